@@ -0,0 +1,82 @@
+// Scuba Diving Calculations - Partial-pressure gas blending
+//
+// Oxygen and top-off gas for a target nitrox mix, with any bleed-down needed.
+// Pressures in any one unit; ideal gas behavior.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function () {
+
+    // Tolerance for rounding in the pressure arithmetic
+    const BLEND_TOLERANCE = 1e-9;
+
+    // Oxygen and top-off pressures to add to a cylinder at a pressure
+    function getBlendAdditions(startPressure, fStart, targetPressure, fTarget, fTopOff) {
+        const oxygenToAdd = (targetPressure * (fTarget - fTopOff) - startPressure * (fStart - fTopOff)) / (1 - fTopOff);
+
+        return {
+            oxygenToAdd: oxygenToAdd,
+            topOffToAdd: targetPressure - startPressure - oxygenToAdd
+        };
+    }
+
+    // Calculate a partial-pressure blend
+    // blend: { startO2, startPressure, targetO2, targetPressure, topOffO2 } - topOffO2 defaults to air
+    function calculateBlend(blend) {
+        const { startO2, startPressure, targetO2, targetPressure } = blend;
+        const topOffO2 = blend.topOffO2 !== undefined ? blend.topOffO2 : 21;
+
+        [startO2, targetO2, topOffO2].forEach(o2 => {
+            if (isNaN(o2) || o2 < 0 || o2 > 100) {
+                throw new Error('O₂ percentages must be between 0% and 100%.');
+            }
+        });
+        if (isNaN(startPressure) || startPressure < 0 || isNaN(targetPressure) || targetPressure <= 0) {
+            throw new Error('Pressures must be zero or more, with a target pressure greater than zero.');
+        }
+        if (topOffO2 >= 100) {
+            throw new Error('The top-off gas must contain something other than oxygen.');
+        }
+
+        const fStart = startO2 / 100;
+        const fTarget = targetO2 / 100;
+        const fTopOff = topOffO2 / 100;
+
+        // Highest pressure to keep so that neither gas has to be removed:
+        // the nitrogen already in the cylinder must fit in the target,
+        // and a mix richer than the top-off gas must leave room to dilute it
+        let remainingPressure = startPressure;
+        if (fStart < 1) {
+            remainingPressure = Math.min(remainingPressure, targetPressure * (1 - fTarget) / (1 - fStart));
+        }
+        if (fStart > fTopOff) {
+            remainingPressure = Math.min(remainingPressure, targetPressure * (fTarget - fTopOff) / (fStart - fTopOff));
+        }
+        remainingPressure = Math.max(0, remainingPressure);
+
+        const { oxygenToAdd, topOffToAdd } = getBlendAdditions(remainingPressure, fStart, targetPressure, fTarget, fTopOff);
+
+        if (oxygenToAdd < -BLEND_TOLERANCE || topOffToAdd < -BLEND_TOLERANCE) {
+            throw new Error(`${targetO2}% O₂ can't be blended with a ${topOffO2}% O₂ top-off gas.`);
+        }
+
+        return {
+            needsBleedDown: remainingPressure < startPressure - BLEND_TOLERANCE,
+            bleedToPressure: remainingPressure,
+            oxygenToAdd: Math.max(0, oxygenToAdd),
+            pressureAfterOxygen: remainingPressure + Math.max(0, oxygenToAdd),
+            topOffToAdd: Math.max(0, topOffToAdd),
+            topOffO2: topOffO2,
+            targetO2: targetO2,
+            targetPressure: targetPressure
+        };
+    }
+
+    return {
+        calculateBlend
+    };
+});
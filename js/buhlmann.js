@@ -0,0 +1,220 @@
+// Scuba Diving Calculations - Bühlmann ZHL-16C decompression model
+//
+// Tissue loading, ceilings and no-decompression limits with gradient factors.
+// Depths in feet, gases as fractions ({ fO2, fHe }), gradient factors in percent.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./calculations.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function (calc) {
+
+    const { ftToATA, ataToFT, ataToBar, barToATA, getSurfacePressure } = calc;
+
+    // Water vapor pressure in the lungs (bar)
+    const WATER_VAPOR_PRESSURE = 0.0627;
+
+    // Fraction of nitrogen in air
+    const AIR_N2_FRACTION = 0.7902;
+
+    // Longest bottom time searched for a no-decompression limit (minutes)
+    const MAX_NDL_SEARCH = 999;
+
+    // Default gradient factors (percent)
+    const DEFAULT_GRADIENT_FACTORS = { gfLow: 30, gfHigh: 85 };
+
+    // ZHL-16C compartments (with compartment 1b)
+    // Format: [N2 half-time (min), N2 a, N2 b, He half-time (min), He a, He b]
+    const zhl16c = [
+        [5.0, 1.1696, 0.5578, 1.88, 1.6189, 0.4770],
+        [8.0, 1.0000, 0.6514, 3.02, 1.3830, 0.5747],
+        [12.5, 0.8618, 0.7222, 4.72, 1.1919, 0.6527],
+        [18.5, 0.7562, 0.7825, 6.99, 1.0458, 0.7223],
+        [27.0, 0.6200, 0.8126, 10.21, 0.9220, 0.7582],
+        [38.3, 0.5043, 0.8434, 14.48, 0.8205, 0.7957],
+        [54.3, 0.4410, 0.8693, 20.53, 0.7305, 0.8279],
+        [77.0, 0.4000, 0.8910, 29.11, 0.6502, 0.8553],
+        [109.0, 0.3750, 0.9092, 41.20, 0.5950, 0.8757],
+        [146.0, 0.3500, 0.9222, 55.19, 0.5545, 0.8903],
+        [187.0, 0.3295, 0.9319, 70.69, 0.5333, 0.8997],
+        [239.0, 0.3065, 0.9403, 90.34, 0.5189, 0.9073],
+        [305.0, 0.2835, 0.9477, 115.29, 0.5181, 0.9122],
+        [390.0, 0.2610, 0.9544, 147.42, 0.5176, 0.9171],
+        [498.0, 0.2480, 0.9602, 188.24, 0.5172, 0.9217],
+        [635.0, 0.2327, 0.9653, 240.03, 0.5119, 0.9267]
+    ];
+
+    // Ambient pressure (bar) at a depth in feet
+    function depthToBar(depth) {
+        return ataToBar(ftToATA(depth));
+    }
+
+    // Depth in feet for an ambient pressure (bar)
+    function barToDepth(pressure) {
+        return ataToFT(barToATA(pressure));
+    }
+
+    // Inspired partial pressures (bar) of N2 and He at a depth in feet
+    function getInspiredPressures(depth, gas) {
+        const fHe = gas.fHe || 0;
+        const fN2 = 1 - gas.fO2 - fHe;
+        const alveolarPressure = depthToBar(depth) - WATER_VAPOR_PRESSURE;
+
+        return {
+            n2: alveolarPressure * fN2,
+            he: alveolarPressure * fHe
+        };
+    }
+
+    // Tissues saturated with air at the surface (of the current altitude)
+    function createSurfaceTissues() {
+        const surfacePressure = ataToBar(getSurfacePressure());
+        const n2 = (surfacePressure - WATER_VAPOR_PRESSURE) * AIR_N2_FRACTION;
+
+        return zhl16c.map(() => ({ n2: n2, he: 0 }));
+    }
+
+    // Load tissues for a time (minutes) at a constant depth (Haldane equation)
+    function loadTissuesAtDepth(tissues, depth, time, gas) {
+        const inspired = getInspiredPressures(depth, gas);
+
+        return tissues.map((tissue, i) => {
+            const [n2HalfTime, , , heHalfTime] = zhl16c[i];
+            return {
+                n2: inspired.n2 + (tissue.n2 - inspired.n2) * Math.pow(2, -time / n2HalfTime),
+                he: inspired.he + (tissue.he - inspired.he) * Math.pow(2, -time / heHalfTime)
+            };
+        });
+    }
+
+    // Load tissues while the depth changes at a constant rate (Schreiner equation)
+    function loadTissuesDuringDepthChange(tissues, startDepth, endDepth, time, gas) {
+        if (time <= 0) {
+            return tissues.map(tissue => ({ n2: tissue.n2, he: tissue.he }));
+        }
+
+        const start = getInspiredPressures(startDepth, gas);
+        const end = getInspiredPressures(endDepth, gas);
+        const n2Rate = (end.n2 - start.n2) / time;
+        const heRate = (end.he - start.he) / time;
+
+        function schreiner(initial, inspired, rate, halfTime) {
+            const k = Math.LN2 / halfTime;
+            return inspired + rate * (time - 1 / k) - (inspired - initial - rate / k) * Math.exp(-k * time);
+        }
+
+        return tissues.map((tissue, i) => {
+            const [n2HalfTime, , , heHalfTime] = zhl16c[i];
+            return {
+                n2: schreiner(tissue.n2, start.n2, n2Rate, n2HalfTime),
+                he: schreiner(tissue.he, start.he, heRate, heHalfTime)
+            };
+        });
+    }
+
+    // Bühlmann a and b coefficients for a tissue, weighted by its N2 and He loading
+    function getCoefficients(tissue, i) {
+        const [, n2A, n2B, , heA, heB] = zhl16c[i];
+        const total = tissue.n2 + tissue.he;
+
+        if (total === 0) {
+            return { a: n2A, b: n2B };
+        }
+
+        return {
+            a: (n2A * tissue.n2 + heA * tissue.he) / total,
+            b: (n2B * tissue.n2 + heB * tissue.he) / total
+        };
+    }
+
+    // Lowest tolerated ambient pressure (bar) for a tissue at a gradient factor (percent)
+    function getToleratedPressure(tissue, i, gradientFactor) {
+        const { a, b } = getCoefficients(tissue, i);
+        const gf = gradientFactor / 100;
+        return (tissue.n2 + tissue.he - a * gf) / (gf / b + 1 - gf);
+    }
+
+    // Ceiling depth (ft) for a set of tissues at a gradient factor (percent)
+    // Returns 0 when the diver can ascend directly to the surface
+    function calculateCeiling(tissues, gradientFactor = DEFAULT_GRADIENT_FACTORS.gfLow) {
+        const toleratedPressure = Math.max(...tissues.map((tissue, i) => getToleratedPressure(tissue, i, gradientFactor)));
+        return Math.max(0, barToDepth(toleratedPressure));
+    }
+
+    // Loading of each tissue as a percentage of its surface M-value gradient
+    // (0% = saturated at surface pressure, 100% = at the M-value on surfacing)
+    function getTissueLoading(tissues) {
+        const surfacePressure = ataToBar(getSurfacePressure());
+
+        return tissues.map((tissue, i) => {
+            const { a, b } = getCoefficients(tissue, i);
+            const mValue = a + surfacePressure / b;
+            const pressure = tissue.n2 + tissue.he;
+            return ((pressure - surfacePressure) / (mValue - surfacePressure)) * 100;
+        });
+    }
+
+    // Check if tissues can surface directly within GF high
+    function canSurface(tissues, gfHigh) {
+        return Math.max(...getTissueLoading(tissues)) <= gfHigh;
+    }
+
+    // No-decompression limit (minutes) at a depth in feet
+    // Returns Infinity when the limit is longer than the search allows
+    function calculateBuhlmannNDL(depth, gas, options = {}) {
+        const gfHigh = options.gfHigh !== undefined ? options.gfHigh : DEFAULT_GRADIENT_FACTORS.gfHigh;
+        const tissues = options.tissues || createSurfaceTissues();
+
+        if (!canSurface(tissues, gfHigh)) {
+            return 0;
+        }
+
+        for (let time = 1; time <= MAX_NDL_SEARCH; time++) {
+            if (!canSurface(loadTissuesAtDepth(tissues, depth, time, gas), gfHigh)) {
+                return time - 1;
+            }
+        }
+
+        return Infinity;
+    }
+
+    // Run a square dive through the model
+    // options: { gfLow, gfHigh, tissues } - tissues default to surface saturation
+    function calculateBuhlmannDive(depth, time, gas, options = {}) {
+        const gfLow = options.gfLow !== undefined ? options.gfLow : DEFAULT_GRADIENT_FACTORS.gfLow;
+        const gfHigh = options.gfHigh !== undefined ? options.gfHigh : DEFAULT_GRADIENT_FACTORS.gfHigh;
+
+        if (gfLow <= 0 || gfHigh <= 0 || gfLow > gfHigh || gfHigh > 100) {
+            throw new Error('Gradient factors must satisfy 0 < GF low <= GF high <= 100.');
+        }
+
+        const startTissues = options.tissues || createSurfaceTissues();
+        const ndl = calculateBuhlmannNDL(depth, gas, { gfHigh: gfHigh, tissues: startTissues });
+        const tissues = loadTissuesAtDepth(startTissues, depth, time, gas);
+        const loading = getTissueLoading(tissues);
+        const leadingCompartment = loading.indexOf(Math.max(...loading));
+
+        return {
+            noDecoLimit: ndl,
+            tissues: tissues,
+            loading: loading,
+            leadingCompartment: leadingCompartment + 1,
+            ceiling: calculateCeiling(tissues, gfLow),
+            isDecoRequired: !canSurface(tissues, gfHigh)
+        };
+    }
+
+    return {
+        zhl16c,
+        DEFAULT_GRADIENT_FACTORS,
+        createSurfaceTissues,
+        loadTissuesAtDepth,
+        loadTissuesDuringDepthChange,
+        calculateCeiling,
+        getTissueLoading,
+        calculateBuhlmannNDL,
+        calculateBuhlmannDive
+    };
+});
@@ -0,0 +1,1601 @@
+// Scuba Diving Calculations - Core calculation library
+//
+// Gas laws, U.S. Navy dive tables and table lookups with no DOM dependencies.
+// In the browser the functions below are exposed as globals for js/script.js;
+// under Node.js the same functions are available through require().
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // CommonJS (Node.js)
+        module.exports = factory();
+    } else {
+        // Browser global scope
+        Object.assign(root, factory());
+    }
+})(this, function () {
+
+    // Helper Functions for Unit Conversions
+    function ftToATA(feet) {
+        // Surface pressure (1 ATA at sea level), and add 1 ATA for every 33 feet of seawater
+        // (about 34 feet of fresh water, see getFeetPerATA)
+        return getSurfacePressure() + (feet / getFeetPerATA());
+    }
+
+    function ataToFT(ata) {
+        // Convert ATA to depth in feet
+        return (ata - getSurfacePressure()) * getFeetPerATA();
+    }
+
+    function percentToDecimal(percent) {
+        return percent / 100;
+    }
+
+    function decimalToPercent(decimal) {
+        return decimal * 100;
+    }
+
+    // Unit System
+    // Depths and pressures are handled internally in feet of seawater and ATA
+    // (the units of the U.S. Navy tables). The active unit system only decides
+    // which units the gas calculations accept and return.
+    const FEET_PER_METER = 3.28084;
+    const BAR_PER_ATA = 1.01325;
+
+    const unitSystem = {
+        depth: 'ft',     // 'ft' or 'm'
+        pressure: 'ATA'  // 'ATA' or 'bar'
+    };
+
+    // Change the active unit system, e.g. setUnitSystem({ depth: 'm', pressure: 'bar' })
+    function setUnitSystem(units) {
+        if (units.depth !== undefined) {
+            if (units.depth !== 'ft' && units.depth !== 'm') {
+                throw new Error(`Unknown depth unit "${units.depth}". Use "ft" or "m".`);
+            }
+            unitSystem.depth = units.depth;
+        }
+
+        if (units.pressure !== undefined) {
+            if (units.pressure !== 'ATA' && units.pressure !== 'bar') {
+                throw new Error(`Unknown pressure unit "${units.pressure}". Use "ATA" or "bar".`);
+            }
+            unitSystem.pressure = units.pressure;
+        }
+
+        return getUnitSystem();
+    }
+
+    // Get a copy of the active unit system
+    function getUnitSystem() {
+        return { depth: unitSystem.depth, pressure: unitSystem.pressure };
+    }
+
+    function feetToMeters(feet) {
+        return feet / FEET_PER_METER;
+    }
+
+    function metersToFeet(meters) {
+        return meters * FEET_PER_METER;
+    }
+
+    function ataToBar(ata) {
+        return ata * BAR_PER_ATA;
+    }
+
+    function barToATA(bar) {
+        return bar / BAR_PER_ATA;
+    }
+
+    // Convert a depth in the active depth unit to feet
+    function depthToFeet(depth) {
+        return unitSystem.depth === 'm' ? metersToFeet(depth) : depth;
+    }
+
+    // Convert a depth in feet to the active depth unit
+    function feetToDepth(feet) {
+        return unitSystem.depth === 'm' ? feetToMeters(feet) : feet;
+    }
+
+    // Convert a pressure in the active pressure unit to ATA
+    function pressureToATA(pressure) {
+        return unitSystem.pressure === 'bar' ? barToATA(pressure) : pressure;
+    }
+
+    // Convert a pressure in ATA to the active pressure unit
+    function ataToPressure(ata) {
+        return unitSystem.pressure === 'bar' ? ataToBar(ata) : ata;
+    }
+
+    // Format a depth given in feet for display in the active depth unit
+    function formatDepth(feet, decimals = unitSystem.depth === 'm' ? 1 : 0) {
+        return `${parseFloat(feetToDepth(feet).toFixed(decimals))} ${unitSystem.depth}`;
+    }
+
+    // Format a pressure given in ATA for display in the active pressure unit
+    function formatPressure(ata, decimals = 2) {
+        return `${ataToPressure(ata).toFixed(decimals)} ${unitSystem.pressure}`;
+    }
+
+    // Water Type
+    // The dive tables are written in feet of seawater (33 ft per ATA). Lighter water
+    // needs a deeper column for the same pressure, so fresh water is about 34 ft per ATA.
+    const SEAWATER_DENSITY = 1.025; // kg/L
+
+    // Density of each water type in kg/L
+    const waterTypes = {
+        salt: 1.025,
+        fresh: 1.000
+    };
+
+    const water = {
+        type: 'salt',
+        density: SEAWATER_DENSITY
+    };
+
+    // Set the water type: 'salt', 'fresh' or 'custom' with a density in kg/L
+    function setWaterType(type, customDensity) {
+        if (type === 'custom') {
+            if (isNaN(customDensity) || customDensity < 0.9 || customDensity > 1.3) {
+                throw new Error('Custom water density must be between 0.9 and 1.3 kg/L.');
+            }
+            water.type = 'custom';
+            water.density = customDensity;
+        } else if (waterTypes[type] !== undefined) {
+            water.type = type;
+            water.density = waterTypes[type];
+        } else {
+            throw new Error(`Unknown water type "${type}". Use "salt", "fresh" or "custom".`);
+        }
+
+        return getWaterType();
+    }
+
+    // Get a copy of the active water type and its density (kg/L)
+    function getWaterType() {
+        return { type: water.type, density: water.density };
+    }
+
+    // Feet of water per ATA for the active water type
+    function getFeetPerATA() {
+        return 33 * SEAWATER_DENSITY / water.density;
+    }
+
+    // Oxygen limits
+    // The working limit is the highest pO2 planned for the bottom of a dive; the
+    // contingency limit is the most accepted if the plan goes wrong. Like the pO2
+    // passed to calculateMOD they are in the active pressure unit.
+    const oxygenLimits = {
+        working: 1.4,
+        contingency: 1.6
+    };
+
+    // Set the working and/or contingency pO2 limits
+    function setOxygenLimits(limits) {
+        const working = limits.working !== undefined ? limits.working : oxygenLimits.working;
+        const contingency = limits.contingency !== undefined ? limits.contingency : oxygenLimits.contingency;
+
+        if (isNaN(working) || working <= 0 || isNaN(contingency) || contingency <= 0) {
+            throw new Error('pO₂ limits must be greater than zero.');
+        }
+        if (contingency < working) {
+            throw new Error('The contingency pO₂ limit can\'t be lower than the working limit.');
+        }
+
+        oxygenLimits.working = working;
+        oxygenLimits.contingency = contingency;
+        return getOxygenLimits();
+    }
+
+    // Get a copy of the working and contingency pO2 limits
+    function getOxygenLimits() {
+        return { working: oxygenLimits.working, contingency: oxygenLimits.contingency };
+    }
+
+    // Altitude Diving
+    // Corrections follow the Cross / U.S. Navy approach: the actual depth is scaled by
+    // the ratio of sea-level to altitude pressure to get the theoretical ocean depth
+    // used for table lookups, and sea-level stop depths are scaled the other way.
+    const ALTITUDE_CORRECTION_THRESHOLD = 300; // feet; no correction needed at or below this
+    const MAX_TABLE_ALTITUDE = 10000;          // feet; highest altitude the corrections cover
+
+    // Repetitive group upon arrival at altitude (U.S. Navy Diving Manual)
+    // Format: altitude in feet -> group
+    const altitudeArrivalGroups = {
+        1000: 'A',
+        2000: 'A',
+        3000: 'B',
+        4000: 'C',
+        5000: 'D',
+        6000: 'E',
+        7000: 'F',
+        8000: 'G',
+        9000: 'H',
+        10000: 'I'
+    };
+
+    // Dive site altitude in feet
+    let siteAltitude = 0;
+
+    // Set the dive site altitude (in feet)
+    function setAltitude(altitude) {
+        if (isNaN(altitude) || altitude < 0 || altitude > MAX_TABLE_ALTITUDE) {
+            throw new Error(`Altitude must be between 0 and ${formatDepth(MAX_TABLE_ALTITUDE, 0)}.`);
+        }
+        siteAltitude = altitude;
+        return siteAltitude;
+    }
+
+    // Get the dive site altitude (in feet)
+    function getAltitude() {
+        return siteAltitude;
+    }
+
+    // Atmospheric pressure (ATA) at an altitude in feet, from the standard atmosphere
+    function altitudeToATA(altitude) {
+        return Math.pow(1 - 0.0000068756 * altitude, 5.2559);
+    }
+
+    // Surface pressure (ATA) at the dive site
+    function getSurfacePressure() {
+        return altitudeToATA(siteAltitude);
+    }
+
+    // Check if a dive at this altitude needs altitude corrections
+    function isAltitudeDive(altitude = siteAltitude) {
+        return altitude > ALTITUDE_CORRECTION_THRESHOLD;
+    }
+
+    // Convert an actual depth (ft) at altitude to the theoretical ocean depth (ft)
+    function calculateTheoreticalOceanDepth(depth, altitude = siteAltitude) {
+        if (!isAltitudeDive(altitude)) {
+            return depth;
+        }
+        return depth / altitudeToATA(altitude);
+    }
+
+    // Convert a theoretical ocean depth (ft) back to the actual depth (ft) at altitude
+    function calculateActualDepthFromTheoreticalDepth(theoreticalDepth, altitude = siteAltitude) {
+        if (!isAltitudeDive(altitude)) {
+            return theoreticalDepth;
+        }
+        return theoreticalDepth * altitudeToATA(altitude);
+    }
+
+    // Correct a sea-level stop depth (ft) for altitude
+    function calculateAltitudeStopDepth(seaLevelStopDepth, altitude = siteAltitude) {
+        return calculateActualDepthFromTheoreticalDepth(seaLevelStopDepth, altitude);
+    }
+
+    // Get the repetitive group a diver is in on arrival at altitude
+    // Returns null when the active table set gives no arrival groups
+    function getAltitudeArrivalGroup(altitude = siteAltitude) {
+        const arrivalGroups = activeTableSet.altitudeArrivalGroups;
+        if (!arrivalGroups || !isAltitudeDive(altitude) || altitude > MAX_TABLE_ALTITUDE) {
+            return null;
+        }
+
+        // Use the next higher altitude in the table
+        const altitudes = Object.keys(arrivalGroups).map(Number).sort((a, b) => a - b);
+        for (let i = 0; i < altitudes.length; i++) {
+            if (altitude <= altitudes[i]) {
+                return arrivalGroups[altitudes[i]];
+            }
+        }
+
+        return null;
+    }
+
+    // Get the altitude corrections for an actual depth (ft)
+    function getAltitudeCorrections(depth, altitude = siteAltitude) {
+        const theoreticalDepth = calculateTheoreticalOceanDepth(depth, altitude);
+        const tableDepth = findClosestDepth(theoreticalDepth);
+
+        return {
+            altitude: altitude,
+            surfacePressure: altitudeToATA(altitude),
+            isAltitudeDive: isAltitudeDive(altitude),
+            actualDepth: depth,
+            theoreticalDepth: theoreticalDepth,
+            tableDepth: tableDepth,
+            safetyStopDepth: calculateAltitudeStopDepth(15, altitude),
+            arrivalGroup: getAltitudeArrivalGroup(altitude)
+        };
+    }
+
+    // Narcosis
+    // Whether oxygen counts as narcotic (alongside nitrogen) for equivalent narcotic depth
+    let oxygenNarcotic = true;
+
+    // Set whether oxygen counts as narcotic
+    function setOxygenNarcotic(narcotic) {
+        oxygenNarcotic = Boolean(narcotic);
+        return oxygenNarcotic;
+    }
+
+    // Check whether oxygen counts as narcotic
+    function isOxygenNarcotic() {
+        return oxygenNarcotic;
+    }
+
+    // Calculate Equivalent Narcotic Depth (END) in the active depth unit
+    // The END is the depth on air in seawater at sea level with the same narcotic pressure
+    function calculateEND(depth, fO2, fHe = 0, narcotic = oxygenNarcotic) {
+        const pressure = ftToATA(depthToFeet(depth));
+        const narcoticFraction = narcotic ? 1 - fHe : 1 - fO2 - fHe;
+        const airNarcoticFraction = narcotic ? 1 : 0.79;
+        const endFeet = (pressure * narcoticFraction / airNarcoticFraction - 1) * 33;
+        return feetToDepth(Math.max(0, endFeet));
+    }
+
+    // Narcosis policy: the deepest END (in feet) a dive may reach; 100 ft is the usual
+    // recreational limit on air
+    let maxEND = 100;
+
+    // Set the maximum END (in feet)
+    function setMaxEND(depth) {
+        if (isNaN(depth) || depth <= 0) {
+            throw new Error('The maximum END must be greater than zero.');
+        }
+        maxEND = depth;
+        return maxEND;
+    }
+
+    // Get the maximum END (in feet)
+    function getMaxEND() {
+        return maxEND;
+    }
+
+    // Check if a depth (in feet) on a mix is at risk for nitrogen narcosis: its END is
+    // deeper than the maximum END
+    function isNarcosisRisk(depth, fO2 = 0.21, fHe = 0) {
+        const endFeet = depthToFeet(calculateEND(feetToDepth(depth), fO2, fHe));
+        return endFeet > maxEND + 1e-9;
+    }
+
+    // Dalton's Triangle Calculations - 2 out of 3 calculator
+    function calculateDaltonsTriangle(inputs) {
+        // Inputs should contain any 2 of the 3: depth, fO2 (decimal), pO2
+        // An optional helium fraction (fHe, decimal) covers trimix and heliox
+        // Depth and pO2 are given (and returned) in the active unit system
+        const result = {};
+        const depth = inputs.depth !== undefined ? depthToFeet(inputs.depth) : undefined;
+        const pO2 = inputs.pO2 !== undefined ? pressureToATA(inputs.pO2) : undefined;
+        const fHe = inputs.fHe !== undefined ? inputs.fHe : 0;
+
+        if (isNaN(fHe) || fHe < 0 || fHe >= 1) {
+            throw new Error('Helium fraction must be between 0 and 1.');
+        }
+
+        // Case 1: Calculate pO2 from depth and fO2
+        if (depth !== undefined && inputs.fO2 !== undefined && pO2 === undefined) {
+            const pressure = ftToATA(depth);
+
+            result.depth = depth;
+            result.fO2 = inputs.fO2;
+            result.pressure = pressure;
+            result.pO2 = pressure * inputs.fO2;
+            result.pN2 = pressure * (1 - inputs.fO2 - fHe);
+        }
+        // Case 2: Calculate depth from fO2 and pO2
+        else if (inputs.fO2 !== undefined && pO2 !== undefined && depth === undefined) {
+            const pressure = pO2 / inputs.fO2;
+
+            result.depth = ataToFT(pressure);
+            result.fO2 = inputs.fO2;
+            result.pressure = pressure;
+            result.pO2 = pO2;
+            result.pN2 = pressure * (1 - inputs.fO2 - fHe);
+        }
+        // Case 3: Calculate fO2 from depth and pO2
+        else if (depth !== undefined && pO2 !== undefined && inputs.fO2 === undefined) {
+            const pressure = ftToATA(depth);
+            const fO2 = pO2 / pressure;
+
+            result.depth = depth;
+            result.fO2 = fO2;
+            result.pressure = pressure;
+            result.pO2 = pO2;
+            result.pN2 = pressure * (1 - fO2 - fHe);
+        }
+        else {
+            throw new Error("Invalid input combination. Provide exactly 2 of the 3 values: depth, fO2, pO2");
+        }
+
+        if (result.fO2 + fHe > 1 + 1e-9) {
+            throw new Error('The O₂ and helium fractions add up to more than 100%.');
+        }
+
+        result.fHe = fHe;
+        result.pHe = result.pressure * fHe;
+
+        // Convert back to the active unit system
+        result.end = calculateEND(feetToDepth(result.depth), result.fO2, fHe);
+        result.depth = feetToDepth(result.depth);
+        result.pressure = ataToPressure(result.pressure);
+        result.pO2 = ataToPressure(result.pO2);
+        result.pN2 = ataToPressure(result.pN2);
+        result.pHe = ataToPressure(result.pHe);
+
+        // Format results to 2 decimal places
+        for (let key in result) {
+            if (typeof result[key] === 'number') {
+                result[key] = parseFloat(result[key].toFixed(2));
+            }
+        }
+
+        return result;
+    }
+
+    // US Navy Dive Tables
+
+    // Table 1: No-Decompression Limits and Repetitive Group Designation
+    const navyTable1 = {
+        // Depth in feet: [no-deco limit in minutes, group designations for different times]
+        // Format: [max NDL, {minutes: group}]
+        10: [60 * 5, {60: 'A', 120: 'B', 210: 'C', 300: 'D'}], // Unlimited in reality, using 5 hours as max
+        15: [60 * 5, {35: 'A', 70: 'B', 110: 'C', 160: 'D', 225: 'E', 350: 'F'}],
+        20: [325, {25: 'A', 50: 'B', 75: 'C', 100: 'D', 135: 'E', 180: 'F', 240: 'G', 325: 'H'}],
+        25: [245, {20: 'A', 35: 'B', 55: 'C', 75: 'D', 100: 'E', 125: 'F', 160: 'G', 195: 'H', 245: 'I'}],
+        30: [205, {15: 'A', 30: 'B', 45: 'C', 60: 'D', 75: 'E', 95: 'F', 120: 'G', 145: 'H', 170: 'I', 205: 'J'}],
+        35: [160, {5: 'A', 15: 'B', 25: 'C', 40: 'D', 50: 'E', 60: 'F', 80: 'G', 100: 'H', 120: 'I', 140: 'J', 160: 'K'}],
+        40: [130, {5: 'A', 15: 'B', 25: 'C', 30: 'D', 40: 'E', 50: 'F', 70: 'G', 80: 'H', 100: 'I', 110: 'J', 130: 'K'}],
+        50: [70, {10: 'B', 15: 'C', 25: 'D', 30: 'E', 40: 'F', 50: 'G', 60: 'H', 70: 'I'}],
+        60: [50, {10: 'B', 15: 'C', 20: 'D', 25: 'E', 30: 'F', 40: 'G', 50: 'H'}],
+        70: [40, {5: 'B', 10: 'C', 15: 'D', 20: 'E', 30: 'F', 35: 'G', 40: 'H'}],
+        80: [30, {5: 'B', 10: 'C', 15: 'D', 20: 'E', 25: 'F', 30: 'G'}],
+        90: [25, {5: 'B', 10: 'C', 12: 'D', 15: 'E', 20: 'F', 25: 'G'}],
+        100: [20, {5: 'B', 7: 'C', 10: 'D', 15: 'E', 20: 'F'}],
+        110: [15, {5: 'B', 10: 'C', 13: 'D', 15: 'E'}],
+        120: [10, {5: 'C', 10: 'D'}],
+        130: [5, {5: 'D'}]
+    };
+
+    // Table 2: Surface Interval Credit Table (corrected version)
+    // This maps from current group to new group based on surface interval
+    // Format: current group -> {new group: [min time, max time]}
+    const navyTable2 = {
+        // For each starting group, we define the minimum and maximum surface interval time to reach each new group
+        'K': {
+            'K': ['0:10', '0:28'],  // Any surface interval less than 29 minutes means you remain in K
+            'J': ['0:29', '0:49'],  // Minimum surface interval to reach J is 29 minutes
+            'I': ['0:50', '1:11'],  // Minimum surface interval to reach I is 50 minutes
+            'H': ['1:12', '1:35'],  // Minimum surface interval to reach H is 1 hour 12 minutes
+            'G': ['1:36', '2:03'],  // Minimum surface interval to reach G is 1 hour 36 minutes
+            'F': ['2:04', '2:38'],  // Minimum surface interval to reach F is 2 hours 4 minutes
+            'E': ['2:39', '3:21'],  // Minimum surface interval to reach E is 2 hours 39 minutes
+            'D': ['3:22', '4:19'],  // Minimum surface interval to reach D is 3 hours 22 minutes
+            'C': ['4:20', '5:48'],  // Minimum surface interval to reach C is 4 hours 20 minutes
+            'B': ['5:49', '8:58'],  // Minimum surface interval to reach B is 5 hours 49 minutes
+            'A': ['8:59', '11:59'], // Minimum surface interval to reach A is 8 hours 59 minutes
+            'None': ['12:00', '--'] // After 12 hours, no longer a repetitive dive
+        },
+        'J': {
+            'J': ['0:10', '0:31'],  // Any surface interval less than 32 minutes means you remain in J
+            'I': ['0:32', '0:54'],  // Minimum surface interval to reach I is 32 minutes
+            'H': ['0:55', '1:19'],  // Minimum surface interval to reach H is 55 minutes
+            'G': ['1:20', '1:47'],  // Minimum surface interval to reach G is 1 hour 20 minutes
+            'F': ['1:48', '2:20'],  // Minimum surface interval to reach F is 1 hour 48 minutes
+            'E': ['2:21', '3:04'],  // Minimum surface interval to reach E is 2 hours 21 minutes
+            'D': ['3:05', '4:02'],  // Minimum surface interval to reach D is 3 hours 5 minutes
+            'C': ['4:03', '5:40'],  // Minimum surface interval to reach C is 4 hours 3 minutes
+            'B': ['5:41', '8:50'],  // Minimum surface interval to reach B is 5 hours 41 minutes
+            'A': ['8:51', '11:59'], // Minimum surface interval to reach A is 8 hours 51 minutes
+            'None': ['12:00', '--'] // After 12 hours, no longer a repetitive dive
+        },
+        'I': {
+            'I': ['0:10', '0:33'],  // Any surface interval less than 34 minutes means you remain in I
+            'H': ['0:34', '0:59'],  // Minimum surface interval to reach H is 34 minutes
+            'G': ['1:00', '1:29'],  // Minimum surface interval to reach G is 1 hour
+            'F': ['1:30', '2:02'],  // Minimum surface interval to reach F is 1 hour 30 minutes
+            'E': ['2:03', '2:44'],  // Minimum surface interval to reach E is 2 hours 3 minutes
+            'D': ['2:45', '3:43'],  // Minimum surface interval to reach D is 2 hours 45 minutes
+            'C': ['3:44', '5:12'],  // Minimum surface interval to reach C is 3 hours 44 minutes
+            'B': ['5:13', '8:21'],  // Minimum surface interval to reach B is 5 hours 13 minutes
+            'A': ['8:22', '11:59'], // Minimum surface interval to reach A is 8 hours 22 minutes
+            'None': ['12:00', '--'] // After 12 hours, no longer a repetitive dive
+        },
+        'H': {
+            'H': ['0:10', '0:36'],  // Any surface interval less than 37 minutes means you remain in H
+            'G': ['0:37', '1:06'],  // Minimum surface interval to reach G is 37 minutes
+            'F': ['1:07', '1:41'],  // Minimum surface interval to reach F is 1 hour 7 minutes
+            'E': ['1:42', '2:23'],  // Minimum surface interval to reach E is 1 hour 42 minutes
+            'D': ['2:24', '3:20'],  // Minimum surface interval to reach D is 2 hours 24 minutes
+            'C': ['3:21', '4:49'],  // Minimum surface interval to reach C is 3 hours 21 minutes
+            'B': ['4:50', '7:59'],  // Minimum surface interval to reach B is 4 hours 50 minutes
+            'A': ['8:00', '11:59'], // Minimum surface interval to reach A is 8 hours
+            'None': ['12:00', '--'] // After 12 hours, no longer a repetitive dive
+        },
+        'G': {
+            'G': ['0:10', '0:40'],  // Any surface interval less than 41 minutes means you remain in G
+            'F': ['0:41', '1:15'],  // Minimum surface interval to reach F is 41 minutes
+            'E': ['1:16', '1:59'],  // Minimum surface interval to reach E is 1 hour 16 minutes
+            'D': ['2:00', '2:58'],  // Minimum surface interval to reach D is 2 hours
+            'C': ['2:59', '4:25'],  // Minimum surface interval to reach C is 2 hours 59 minutes
+            'B': ['4:26', '7:35'],  // Minimum surface interval to reach B is 4 hours 26 minutes
+            'A': ['7:36', '11:59'], // Minimum surface interval to reach A is 7 hours 36 minutes
+            'None': ['12:00', '--'] // After 12 hours, no longer a repetitive dive
+        },
+        'F': {
+            'F': ['0:10', '0:45'],  // Any surface interval less than 46 minutes means you remain in F
+            'E': ['0:46', '1:29'],  // Minimum surface interval to reach E is 46 minutes
+            'D': ['1:30', '2:28'],  // Minimum surface interval to reach D is 1 hour 30 minutes
+            'C': ['2:29', '3:57'],  // Minimum surface interval to reach C is 2 hours 29 minutes
+            'B': ['3:58', '7:05'],  // Minimum surface interval to reach B is 3 hours 58 minutes
+            'A': ['7:06', '11:59'], // Minimum surface interval to reach A is 7 hours 6 minutes
+            'None': ['12:00', '--'] // After 12 hours, no longer a repetitive dive
+        },
+        'E': {
+            'E': ['0:10', '0:54'],  // Any surface interval less than 55 minutes means you remain in E
+            'D': ['0:55', '1:57'],  // Minimum surface interval to reach D is 55 minutes
+            'C': ['1:58', '3:24'],  // Minimum surface interval to reach C is 1 hour 58 minutes
+            'B': ['3:25', '6:34'],  // Minimum surface interval to reach B is 3 hours 25 minutes
+            'A': ['6:35', '11:59'], // Minimum surface interval to reach A is 6 hours 35 minutes
+            'None': ['12:00', '--'] // After 12 hours, no longer a repetitive dive
+        },
+        'D': {
+            'D': ['0:10', '1:09'],  // Any surface interval less than 1 hour 10 minutes means you remain in D
+            'C': ['1:10', '2:38'],  // Minimum surface interval to reach C is 1 hour 10 minutes
+            'B': ['2:39', '5:48'],  // Minimum surface interval to reach B is 2 hours 39 minutes
+            'A': ['5:49', '11:59'], // Minimum surface interval to reach A is 5 hours 49 minutes
+            'None': ['12:00', '--'] // After 12 hours, no longer a repetitive dive
+        },
+        'C': {
+            'C': ['0:10', '1:39'],  // Any surface interval less than 1 hour 40 minutes means you remain in C
+            'B': ['1:40', '4:49'],  // Minimum surface interval to reach B is 1 hour 40 minutes
+            'A': ['4:50', '11:59'], // Minimum surface interval to reach A is 4 hours 50 minutes
+            'None': ['12:00', '--'] // After 12 hours, no longer a repetitive dive
+        },
+        'B': {
+            'B': ['0:10', '3:20'],  // Any surface interval less than 3 hours 21 minutes means you remain in B
+            'A': ['3:21', '11:59'], // Minimum surface interval to reach A is 3 hours 21 minutes
+            'None': ['12:00', '--'] // After 12 hours, no longer a repetitive dive
+        },
+        'A': {
+            'A': ['0:10', '11:59'], // Any surface interval less than 12 hours means you remain in A
+            'None': ['12:00', '--'] // After 12 hours, no longer a repetitive dive
+        }
+    };
+
+    // Table 3: Residual Nitrogen Times (minutes)
+    const navyTable3 = {
+        // Format: depth -> {group: [RNT, ANDL]}
+        // RNT = Residual Nitrogen Time
+        // ANDL = Adjusted No-Decompression Limit
+        10: {
+            'A': [39, 'N/L'], 'B': [88, 'N/L'], 'C': [159, 'N/L'], 'D': [279, 'N/L'],
+            'E': ['N/L', 'N/L'], 'F': ['N/L', 'N/L'], 'G': ['N/L', 'N/L'], 'H': ['N/L', 'N/L'],
+            'I': ['N/L', 'N/L'], 'J': ['N/L', 'N/L'], 'K': ['N/L', 'N/L']
+        },
+        20: {
+            'A': [18, 'N/L'], 'B': [39, 'N/L'], 'C': [62, 'N/L'], 'D': [88, 'N/L'],
+            'E': [120, 'N/L'], 'F': [159, 'N/L'], 'G': [208, 'N/L'], 'H': [279, 'N/L'],
+            'I': [399, 'N/L'], 'J': ['N/L', 'N/L'], 'K': ['N/L', 'N/L']
+        },
+        30: {
+            'A': [12, 193], 'B': [25, 180], 'C': [39, 166], 'D': [54, 151],
+            'E': [70, 135], 'F': [88, 117], 'G': [109, 96], 'H': [132, 73],
+            'I': [159, 46], 'J': [190, 15], 'K': ['N/L', 0]
+        },
+        40: {
+            'A': [7, 123], 'B': [17, 113], 'C': [25, 105], 'D': [37, 93],
+            'E': [49, 81], 'F': [61, 69], 'G': [73, 57], 'H': [87, 43],
+            'I': [101, 29], 'J': [116, 14], 'K': [138, 0]
+        },
+        50: {
+            'A': [6, 64], 'B': [13, 57], 'C': [21, 49], 'D': [29, 41],
+            'E': [38, 32], 'F': [47, 23], 'G': [56, 14], 'H': [66, 4],
+            'I': ['N/L', 0], 'J': ['N/L', 0], 'K': ['N/L', 0]
+        },
+        60: {
+            'A': [5, 45], 'B': [11, 39], 'C': [17, 33], 'D': [24, 26],
+            'E': [30, 20], 'F': [36, 14], 'G': [44, 6], 'H': ['N/L', 0],
+            'I': ['N/L', 0], 'J': ['N/L', 0], 'K': ['N/L', 0]
+        },
+        70: {
+            'A': [4, 36], 'B': [9, 31], 'C': [15, 25], 'D': [20, 20],
+            'E': [26, 14], 'F': [31, 9], 'G': [37, 3], 'H': ['N/L', 0],
+            'I': ['N/L', 0], 'J': ['N/L', 0], 'K': ['N/L', 0]
+        },
+        80: {
+            'A': [4, 26], 'B': [8, 22], 'C': [13, 17], 'D': [18, 12],
+            'E': [23, 7], 'F': [28, 2], 'G': ['N/L', 0], 'H': ['N/L', 0],
+            'I': ['N/L', 0], 'J': ['N/L', 0], 'K': ['N/L', 0]
+        },
+        90: {
+            'A': [3, 22], 'B': [7, 18], 'C': [11, 14], 'D': [16, 9],
+            'E': [20, 5], 'F': [24, 1], 'G': ['N/L', 0], 'H': ['N/L', 0],
+            'I': ['N/L', 0], 'J': ['N/L', 0], 'K': ['N/L', 0]
+        },
+        100: {
+            'A': [3, 17], 'B': [7, 13], 'C': [10, 10], 'D': [14, 6],
+            'E': [18, 2], 'F': ['N/L', 0], 'G': ['N/L', 0], 'H': ['N/L', 0],
+            'I': ['N/L', 0], 'J': ['N/L', 0], 'K': ['N/L', 0]
+        },
+        110: {
+            'A': [3, 12], 'B': [6, 9], 'C': [9, 6], 'D': [12, 3],
+            'E': [15, 0], 'F': ['N/L', 0], 'G': ['N/L', 0], 'H': ['N/L', 0],
+            'I': ['N/L', 0], 'J': ['N/L', 0], 'K': ['N/L', 0]
+        },
+        120: {
+            'A': [3, 7], 'B': [6, 4], 'C': [9, 1], 'D': ['N/L', 0],
+            'E': ['N/L', 0], 'F': ['N/L', 0], 'G': ['N/L', 0], 'H': ['N/L', 0],
+            'I': ['N/L', 0], 'J': ['N/L', 0], 'K': ['N/L', 0]
+        },
+        130: {
+            'A': [3, 2], 'B': ['N/L', 0], 'C': ['N/L', 0], 'D': ['N/L', 0],
+            'E': ['N/L', 0], 'F': ['N/L', 0], 'G': ['N/L', 0], 'H': ['N/L', 0],
+            'I': ['N/L', 0], 'J': ['N/L', 0], 'K': ['N/L', 0]
+        }
+    };
+
+    // Standard Air Decompression Table (schedules past the no-decompression limits)
+    // Format: depth -> {bottom time: [{stop depth: minutes}, repetitive group]}
+    // Stop depths are in feet at sea level; '*' means no repetitive group is given
+    const navyDecompressionTable = {
+        40: {
+            210: [{10: 2}, 'N'], 230: [{10: 7}, 'N'], 250: [{10: 11}, 'O'],
+            270: [{10: 15}, 'O'], 300: [{10: 19}, 'Z'], 360: [{10: 23}, '*']
+        },
+        50: {
+            110: [{10: 3}, 'L'], 120: [{10: 5}, 'M'], 140: [{10: 10}, 'M'],
+            160: [{10: 21}, 'N'], 180: [{10: 29}, 'O'], 200: [{10: 35}, 'O'],
+            220: [{10: 40}, 'Z'], 240: [{10: 47}, 'Z']
+        },
+        60: {
+            70: [{10: 2}, 'K'], 80: [{10: 7}, 'L'], 100: [{10: 14}, 'M'],
+            120: [{10: 26}, 'N'], 140: [{10: 39}, 'O'], 160: [{10: 48}, 'Z'],
+            180: [{10: 56}, 'Z'], 200: [{20: 1, 10: 69}, 'Z']
+        },
+        70: {
+            60: [{10: 8}, 'K'], 70: [{10: 14}, 'L'], 80: [{10: 18}, 'M'],
+            90: [{10: 23}, 'N'], 100: [{10: 33}, 'N'], 110: [{20: 2, 10: 41}, 'O'],
+            120: [{20: 4, 10: 47}, 'O'], 130: [{20: 6, 10: 52}, 'O'], 140: [{20: 8, 10: 56}, 'Z'],
+            150: [{20: 9, 10: 61}, 'Z'], 160: [{20: 13, 10: 72}, 'Z'], 170: [{20: 19, 10: 79}, 'Z']
+        },
+        80: {
+            50: [{10: 10}, 'K'], 60: [{10: 17}, 'L'], 70: [{10: 23}, 'M'],
+            80: [{20: 2, 10: 31}, 'N'], 90: [{20: 7, 10: 39}, 'N'], 100: [{20: 11, 10: 46}, 'O'],
+            110: [{20: 13, 10: 53}, 'O'], 120: [{20: 17, 10: 56}, 'Z'], 130: [{20: 19, 10: 63}, 'Z'],
+            140: [{20: 26, 10: 69}, 'Z'], 150: [{20: 32, 10: 77}, 'Z']
+        },
+        90: {
+            40: [{10: 7}, 'J'], 50: [{10: 18}, 'L'], 60: [{10: 25}, 'M'],
+            70: [{20: 7, 10: 30}, 'N'], 80: [{20: 13, 10: 40}, 'N'], 90: [{20: 18, 10: 48}, 'O'],
+            100: [{20: 21, 10: 54}, 'Z'], 110: [{20: 24, 10: 61}, 'Z'], 120: [{20: 32, 10: 68}, 'Z'],
+            130: [{30: 5, 20: 36, 10: 74}, 'Z']
+        },
+        100: {
+            30: [{10: 3}, 'I'], 40: [{10: 15}, 'K'], 50: [{20: 2, 10: 24}, 'L'],
+            60: [{20: 9, 10: 28}, 'N'], 70: [{20: 17, 10: 39}, 'O'], 80: [{20: 23, 10: 48}, 'O'],
+            90: [{30: 3, 20: 23, 10: 57}, 'Z'], 100: [{30: 7, 20: 23, 10: 66}, 'Z'],
+            110: [{30: 10, 20: 34, 10: 72}, 'Z'], 120: [{30: 12, 20: 41, 10: 78}, 'Z']
+        },
+        110: {
+            25: [{10: 3}, 'H'], 30: [{10: 7}, 'J'], 40: [{20: 2, 10: 21}, 'L'],
+            50: [{20: 8, 10: 26}, 'M'], 60: [{20: 18, 10: 36}, 'N'], 70: [{30: 1, 20: 23, 10: 48}, 'O'],
+            80: [{30: 7, 20: 23, 10: 57}, 'Z'], 90: [{30: 12, 20: 30, 10: 64}, 'Z'],
+            100: [{30: 15, 20: 37, 10: 72}, 'Z']
+        },
+        120: {
+            20: [{10: 2}, 'H'], 25: [{10: 6}, 'I'], 30: [{10: 14}, 'J'],
+            40: [{20: 5, 10: 25}, 'L'], 50: [{20: 15, 10: 31}, 'N'], 60: [{30: 2, 20: 22, 10: 45}, 'O'],
+            70: [{30: 9, 20: 23, 10: 55}, 'O'], 80: [{30: 15, 20: 27, 10: 63}, 'Z'],
+            90: [{30: 19, 20: 37, 10: 74}, 'Z'], 100: [{30: 23, 20: 45, 10: 80}, 'Z']
+        },
+        130: {
+            15: [{10: 1}, 'F'], 20: [{10: 4}, 'H'], 25: [{10: 10}, 'J'],
+            30: [{20: 3, 10: 18}, 'M'], 40: [{20: 10, 10: 25}, 'N'], 50: [{30: 3, 20: 21, 10: 37}, 'O'],
+            60: [{30: 9, 20: 23, 10: 52}, 'Z'], 70: [{30: 16, 20: 24, 10: 61}, 'Z'],
+            80: [{40: 3, 30: 19, 20: 35, 10: 72}, 'Z'], 90: [{40: 8, 30: 19, 20: 45, 10: 80}, 'Z']
+        }
+    };
+
+    // Ascent rate (feet per minute) the decompression schedules are computed for
+    const DECOMPRESSION_ASCENT_RATE = 60;
+
+    // Dive table sets
+    //
+    // The lookups below read the active table set, so tables from other agencies can
+    // stand in for the Navy tables above. A table set is plain data (it can come
+    // from a JSON file) in the same shapes as the Navy tables:
+    //   id, name              - identifier and display name
+    //   source                - optional note on where the tables come from
+    //   groups                - repetitive groups in order, least residual nitrogen first
+    //   table1                - depth (ft) -> [no-deco limit, {minutes: group}]
+    //   table2                - group -> {group: [min 'h:mm', max 'h:mm' or '--']}, with 'None'
+    //                           for the interval after which a dive is no longer repetitive
+    //   table3                - depth (ft) -> {group: [RNT, ANDL]}, 'N/L' where there is no limit
+    //   decompressionTable    - optional, shaped like navyDecompressionTable
+    //   altitudeArrivalGroups - optional, shaped like altitudeArrivalGroups
+    //   noLimitDepth          - optional, deepest depth (ft) with no no-decompression limit;
+    //                           the Table 1 rows down to it stop at the longest time listed
+    //   repetitiveFactors     - optional, group -> [[min 'h:mm', max 'h:mm' or '--', factor], ...],
+    //                           for tables such as DCIEM that give a repetitive factor for the
+    //                           surface interval; the bottom time of a repetitive dive is
+    //                           multiplied by the factor, and Tables 2 and 3 are not needed
+    const tableSets = {};
+
+    // Check that a value is an "h:mm" time
+    function isTableTime(value) {
+        return typeof value === 'string' && /^\d+:[0-5]\d$/.test(value);
+    }
+
+    // Check that the keys of a table are depths in feet
+    function checkTableDepths(table, name, tableName) {
+        if (!table || typeof table !== 'object' || Object.keys(table).length === 0) {
+            throw new Error(`Table set ${name}: ${tableName} is missing.`);
+        }
+        Object.keys(table).forEach(depth => {
+            if (isNaN(Number(depth)) || Number(depth) <= 0) {
+                throw new Error(`Table set ${name}: ${tableName} has a depth of ${depth}; depths must be in feet.`);
+            }
+        });
+    }
+
+    // Check a table set against the format above and make it available to setTableSet
+    // A set with the id of one already loaded replaces it
+    function loadTableSet(data) {
+        if (!data || typeof data.id !== 'string' || data.id === '' || typeof data.name !== 'string' || data.name === '') {
+            throw new Error('A table set needs an id and a name.');
+        }
+
+        const name = data.name;
+        const groups = data.groups;
+        if (!Array.isArray(groups) || groups.length === 0 || groups.some(group => typeof group !== 'string' || group === 'None')) {
+            throw new Error(`Table set ${name}: groups must list the repetitive groups in order.`);
+        }
+        const checkGroup = (group, tableName) => {
+            if (!groups.includes(group)) {
+                throw new Error(`Table set ${name}: ${tableName} uses group ${group}, which is not in its groups.`);
+            }
+        };
+
+        checkTableDepths(data.table1, name, 'Table 1');
+        Object.entries(data.table1).forEach(([depth, entry]) => {
+            if (!Array.isArray(entry) || typeof entry[0] !== 'number' || entry[0] <= 0 || !entry[1] || typeof entry[1] !== 'object') {
+                throw new Error(`Table set ${name}: Table 1 at ${depth} ft needs [no-deco limit, {minutes: group}].`);
+            }
+            Object.values(entry[1]).forEach(group => checkGroup(group, 'Table 1'));
+        });
+
+        // Repetitive factors stand in for Tables 2 and 3
+        const usesRepetitiveFactors = Boolean(data.repetitiveFactors);
+        if (usesRepetitiveFactors) {
+            if (typeof data.repetitiveFactors !== 'object' || Object.keys(data.repetitiveFactors).length === 0) {
+                throw new Error(`Table set ${name}: the repetitive factors are missing.`);
+            }
+            Object.entries(data.repetitiveFactors).forEach(([group, ranges]) => {
+                checkGroup(group, 'the repetitive factors');
+                const isRange = range => Array.isArray(range) && isTableTime(range[0]) &&
+                    (isTableTime(range[1]) || range[1] === '--') && typeof range[2] === 'number' && range[2] >= 1;
+                if (!Array.isArray(ranges) || ranges.length === 0 || !ranges.every(isRange)) {
+                    throw new Error(`Table set ${name}: the repetitive factors for group ${group} need ['h:mm', 'h:mm', factor] ranges with factors of 1 or more.`);
+                }
+            });
+        }
+
+        if (data.table2 || !usesRepetitiveFactors) {
+            if (!data.table2 || typeof data.table2 !== 'object' || Object.keys(data.table2).length === 0) {
+                throw new Error(`Table set ${name}: Table 2 is missing.`);
+            }
+            Object.entries(data.table2).forEach(([startGroup, intervals]) => {
+                checkGroup(startGroup, 'Table 2');
+                Object.entries(intervals).forEach(([group, range]) => {
+                    if (group !== 'None') {
+                        checkGroup(group, 'Table 2');
+                    }
+                    if (!Array.isArray(range) || !isTableTime(range[0]) || !(isTableTime(range[1]) || range[1] === '--')) {
+                        throw new Error(`Table set ${name}: Table 2 from ${startGroup} to ${group} needs ['h:mm', 'h:mm'].`);
+                    }
+                });
+            });
+        }
+
+        if (data.table3 || !usesRepetitiveFactors) {
+            checkTableDepths(data.table3, name, 'Table 3');
+            Object.entries(data.table3).forEach(([depth, row]) => {
+                Object.entries(row).forEach(([group, entry]) => {
+                    checkGroup(group, 'Table 3');
+                    if (!Array.isArray(entry) || entry.length !== 2 || entry.some(value => typeof value !== 'number' && value !== 'N/L')) {
+                        throw new Error(`Table set ${name}: Table 3 at ${depth} ft for group ${group} needs [RNT, ANDL].`);
+                    }
+                });
+            });
+        }
+
+        if (data.decompressionTable) {
+            checkTableDepths(data.decompressionTable, name, 'the decompression table');
+        }
+        if (data.noLimitDepth !== undefined && (typeof data.noLimitDepth !== 'number' || data.noLimitDepth < 0)) {
+            throw new Error(`Table set ${name}: the no-limit depth must be a depth in feet.`);
+        }
+
+        const tableSet = {
+            id: data.id,
+            name: name,
+            source: data.source || '',
+            groups: groups.slice(),
+            table1: data.table1,
+            table2: data.table2 || {},
+            table3: data.table3 || {},
+            decompressionTable: data.decompressionTable || null,
+            altitudeArrivalGroups: data.altitudeArrivalGroups || null,
+            repetitiveFactors: data.repetitiveFactors || null,
+            noLimitDepth: data.noLimitDepth || 0
+        };
+        tableSets[tableSet.id] = tableSet;
+        return tableSet;
+    }
+
+    // The Navy tables above are the default table set
+    let activeTableSet = loadTableSet({
+        id: 'navy',
+        name: 'U.S. Navy',
+        source: 'U.S. Navy air tables with recreational no-decompression limits, and the Standard Air Decompression Table.',
+        groups: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K'],
+        table1: navyTable1,
+        table2: navyTable2,
+        table3: navyTable3,
+        decompressionTable: navyDecompressionTable,
+        altitudeArrivalGroups: altitudeArrivalGroups,
+        noLimitDepth: 20
+    });
+
+    // Set the table set used by the lookups
+    function setTableSet(id) {
+        if (!tableSets[id]) {
+            throw new Error(`Unknown table set: ${id}.`);
+        }
+        activeTableSet = tableSets[id];
+    }
+
+    // Get the active table set
+    function getTableSet() {
+        return activeTableSet;
+    }
+
+    // Get all loaded table sets, in the order they were loaded
+    function getTableSets() {
+        return Object.values(tableSets);
+    }
+
+    // Deepest depth (ft) in Table 1 of the active table set
+    function getMaxTableDepth() {
+        return Math.max(...Object.keys(activeTableSet.table1).map(Number));
+    }
+
+    // Helper function to find the closest depth in the tables
+    function findClosestDepth(depth) {
+        const depths = Object.keys(activeTableSet.table1).map(Number).sort((a, b) => a - b);
+
+        // If depth is less than the minimum in the table
+        if (depth < depths[0]) {
+            return depths[0];
+        }
+
+        // If depth is greater than the maximum in the table
+        if (depth > depths[depths.length - 1]) {
+            return -1; // No safe no-decompression limit
+        }
+
+        // Find the exact depth or next highest depth
+        for (let i = 0; i < depths.length; i++) {
+            if (depth <= depths[i]) {
+                return depths[i];
+            }
+        }
+
+        return -1; // Fallback (should not reach here)
+    }
+
+    // Find the Table 3 row (ft) for a depth: the row for its Table 1 depth, or the next deeper
+    // row where Table 3 skips depths (the Navy one has no 15, 25 or 35 ft rows); -1 beyond Table 3
+    function findTable3Depth(depth) {
+        const tableDepth = findClosestDepth(depth);
+        if (tableDepth === -1) {
+            return -1;
+        }
+
+        const depths = Object.keys(activeTableSet.table3).map(Number).sort((a, b) => a - b);
+        const table3Depth = depths.find(d => d >= tableDepth);
+        return table3Depth === undefined ? -1 : table3Depth;
+    }
+
+    // Get no-decompression limit and pressure group for a single dive
+    function getSingleDiveInfo(depth, bottomTime) {
+        const tableDepth = findClosestDepth(depth);
+
+        if (tableDepth === -1) {
+            return {
+                noDecoLimit: 0,
+                pressureGroup: null,
+                isExceeded: true,
+                message: `Depth exceeds maximum table depth of ${formatDepth(getMaxTableDepth())}.`
+            };
+        }
+
+        const [maxNDL, timeGroups] = activeTableSet.table1[tableDepth];
+        const times = Object.keys(timeGroups).map(Number).sort((a, b) => a - b);
+
+        // Depths with no limit have groups for as long as the row lists times
+        const isNoLimitDepth = tableDepth <= activeTableSet.noLimitDepth;
+        const longestTime = isNoLimitDepth ? Math.max(maxNDL, times[times.length - 1]) : maxNDL;
+
+        // Check if bottom time exceeds the maximum NDL
+        if (bottomTime > longestTime) {
+            const schedule = getDecompressionSchedule(tableDepth, bottomTime);
+            let message = `Bottom time exceeds the no-decompression limit of ${maxNDL} minutes for ${formatDepth(tableDepth)}.`;
+            if (schedule && schedule.isUnlimited) {
+                message = `${formatDepth(tableDepth)} has no no-decompression limit in the ${activeTableSet.name} tables, so no decompression is needed, but Table 1 gives no group past ${longestTime} minutes.`;
+            } else if (schedule) {
+                message += ` Decompression required: use the ${formatDepth(schedule.tableDepth)} / ${schedule.scheduleTime} minute schedule.`;
+            } else if (!activeTableSet.decompressionTable) {
+                message += ` The ${activeTableSet.name} tables have no decompression schedules.`;
+            } else {
+                message += ' The dive is beyond the decompression schedules.';
+            }
+
+            return {
+                noDecoLimit: maxNDL,
+                pressureGroup: null,
+                isExceeded: true,
+                decompressionSchedule: schedule,
+                message: message
+            };
+        }
+
+        // Find the pressure group
+        let pressureGroup = null;
+
+        for (let i = 0; i < times.length; i++) {
+            if (bottomTime <= times[i]) {
+                pressureGroup = timeGroups[times[i]];
+                break;
+            }
+        }
+
+        return {
+            noDecoLimit: maxNDL,
+            pressureGroup: pressureGroup,
+            isExceeded: false,
+            message: bottomTime > maxNDL
+                ? `${formatDepth(tableDepth)} has no no-decompression limit. Pressure group: ${pressureGroup}.`
+                : `No-decompression limit: ${maxNDL} minutes. Pressure group: ${pressureGroup}.`
+        };
+    }
+
+    // Get the decompression schedule for a dive past the no-decompression limit
+    // Uses the next deeper depth and next longer bottom time in the table; returns null beyond the table
+    // or when the active table set has no decompression schedules
+    // Depths with no limit get a schedule with isUnlimited set and no stops or group
+    function getDecompressionSchedule(depth, bottomTime) {
+        const decompressionTable = activeTableSet.decompressionTable;
+        if (!decompressionTable) {
+            return null;
+        }
+
+        if (depth <= activeTableSet.noLimitDepth) {
+            return {
+                tableDepth: findClosestDepth(depth),
+                scheduleTime: null,
+                stops: [],
+                totalStopTime: 0,
+                totalAscentTime: 0,
+                pressureGroup: null,
+                isUnlimited: true
+            };
+        }
+
+        const depths = Object.keys(decompressionTable).map(Number).sort((a, b) => a - b);
+        const tableDepth = depths.find(d => depth <= d);
+        if (tableDepth === undefined) {
+            return null;
+        }
+
+        const schedules = decompressionTable[tableDepth];
+        const times = Object.keys(schedules).map(Number).sort((a, b) => a - b);
+        const scheduleTime = times.find(t => bottomTime <= t);
+        if (scheduleTime === undefined) {
+            return null;
+        }
+
+        const [stopTimes, group] = schedules[scheduleTime];
+        const stops = Object.keys(stopTimes).map(Number).sort((a, b) => b - a).map(stopDepth => ({
+            depth: stopDepth,
+            actualDepth: calculateAltitudeStopDepth(stopDepth),
+            time: stopTimes[stopDepth]
+        }));
+        const totalStopTime = stops.reduce((total, stop) => total + stop.time, 0);
+
+        return {
+            tableDepth: tableDepth,
+            scheduleTime: scheduleTime,
+            stops: stops,
+            totalStopTime: totalStopTime,
+            totalAscentTime: totalStopTime + tableDepth / DECOMPRESSION_ASCENT_RATE,
+            pressureGroup: group === '*' ? null : group,
+            isUnlimited: false
+        };
+    }
+
+    // Parse a time string in the format "h:mm" to minutes
+    function parseTimeToMinutes(timeStr) {
+        const [hours, minutes] = timeStr.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    // Get new pressure group after surface interval
+    function getNewPressureGroup(currentGroup, surfaceInterval) {
+        if (!activeTableSet.table2[currentGroup]) {
+            return null;
+        }
+
+        // Convert surface interval to minutes for comparison
+        const surfaceIntervalMinutes = parseTimeToMinutes(surfaceInterval);
+
+        // Find the new group based on surface interval
+        let newGroup = null;
+
+        // Check each possible new group for the current group
+        for (const [group, [minTime, maxTime]] of Object.entries(activeTableSet.table2[currentGroup])) {
+            const minMinutes = parseTimeToMinutes(minTime);
+            const maxMinutes = maxTime === '--' ? Infinity : parseTimeToMinutes(maxTime);
+
+            // If the surface interval is within this range (both ends included), we found our new group
+            if (surfaceIntervalMinutes >= minMinutes && surfaceIntervalMinutes <= maxMinutes) {
+                newGroup = group === 'None' ? null : group;
+                break;
+            }
+        }
+
+        return newGroup;
+    }
+
+    // Get the repetitive factor after a surface interval, on a table set with repetitive factors
+    // Returns null once the dive is no longer repetitive (a factor of 1 or past the last range)
+    function getRepetitiveFactor(currentGroup, surfaceInterval) {
+        const ranges = activeTableSet.repetitiveFactors && activeTableSet.repetitiveFactors[currentGroup];
+        if (!ranges) {
+            return null;
+        }
+
+        const surfaceIntervalMinutes = parseTimeToMinutes(surfaceInterval);
+        const range = ranges.find(([minTime, maxTime]) => surfaceIntervalMinutes >= parseTimeToMinutes(minTime) &&
+            (maxTime === '--' || surfaceIntervalMinutes <= parseTimeToMinutes(maxTime)));
+
+        return range && range[2] > 1 ? range[2] : null;
+    }
+
+    // Bottom time a repetitive dive counts as in Table 1 for a repetitive factor
+    // (rounded to hundredths first, so that 40 × 1.1 is 44 and not 45)
+    function getEffectiveBottomTime(bottomTime, repetitiveFactor) {
+        return Math.ceil(Math.round(bottomTime * repetitiveFactor * 100) / 100);
+    }
+
+    // Get the adjusted no-decompression limit for a repetitive dive on a repetitive factor
+    // The limit is the Table 1 limit at the depth divided by the factor
+    function getRepetitiveFactorDiveInfo(repetitiveFactor, depth) {
+        const tableDepth = findClosestDepth(depth);
+
+        if (tableDepth === -1) {
+            return {
+                repetitiveFactor: repetitiveFactor,
+                adjustedNoDecoLimit: null,
+                isExceeded: true,
+                message: "Invalid depth for repetitive dive."
+            };
+        }
+
+        const adjustedNoDecoLimit = Math.floor(Math.round(activeTableSet.table1[tableDepth][0] / repetitiveFactor * 100) / 100);
+
+        if (adjustedNoDecoLimit <= 0) {
+            return {
+                repetitiveFactor: repetitiveFactor,
+                adjustedNoDecoLimit: 0,
+                isExceeded: true,
+                message: "Repetitive dive not recommended at this depth with this repetitive factor."
+            };
+        }
+
+        return {
+            repetitiveFactor: repetitiveFactor,
+            adjustedNoDecoLimit: adjustedNoDecoLimit,
+            isExceeded: false,
+            message: `Repetitive factor: ${repetitiveFactor}. Adjusted no-decompression limit: ${adjustedNoDecoLimit} minutes.`
+        };
+    }
+
+    // Get residual nitrogen time and adjusted no-decompression limit for repetitive dive
+    function getRepetitiveDiveInfo(pressureGroup, depth) {
+        const tableDepth = findTable3Depth(depth);
+
+        const table3 = activeTableSet.table3;
+        if (tableDepth === -1 || !table3[tableDepth] || !table3[tableDepth][pressureGroup]) {
+            return {
+                residualNitrogenTime: null,
+                adjustedNoDecoLimit: null,
+                isExceeded: true,
+                message: "Invalid depth or pressure group for repetitive dive."
+            };
+        }
+
+        const [rnt, andl] = table3[tableDepth][pressureGroup];
+
+        // Check if the dive is possible
+        if (rnt === 'N/L' || andl === 0) {
+            return {
+                residualNitrogenTime: rnt,
+                adjustedNoDecoLimit: andl,
+                isExceeded: true,
+                message: "Repetitive dive not recommended at this depth with current pressure group."
+            };
+        }
+
+        return {
+            residualNitrogenTime: rnt,
+            adjustedNoDecoLimit: andl,
+            isExceeded: false,
+            message: `Residual nitrogen time: ${rnt} minutes. Adjusted no-decompression limit: ${andl} minutes.`
+        };
+    }
+
+    // Calculate final pressure group for a repetitive dive
+    function getFinalPressureGroup(depth, actualBottomTime, residualNitrogenTime) {
+        const tableDepth = findClosestDepth(depth);
+        const totalBottomTime = parseInt(actualBottomTime) + parseInt(residualNitrogenTime);
+
+        // Get the pressure group based on the total bottom time
+        return getSingleDiveInfo(tableDepth, totalBottomTime).pressureGroup;
+    }
+
+    // Find the shortest surface interval before a planned repetitive dive
+    // Searches Table 2 from the shortest interval for a group whose Table 3 adjusted
+    // no-decompression limit covers the bottom time at the depth (ft)
+    function calculateSurfaceIntervalForDive(startGroup, depth, bottomTime) {
+        const tableDepth = findClosestDepth(depth);
+
+        const surfaceIntervals = activeTableSet.repetitiveFactors || activeTableSet.table2;
+        if (!surfaceIntervals[startGroup]) {
+            throw new Error(`Unknown pressure group: ${startGroup}.`);
+        }
+        if (isNaN(bottomTime) || bottomTime <= 0) {
+            throw new Error('The bottom time must be greater than zero.');
+        }
+
+        const result = {
+            tableDepth: tableDepth,
+            surfaceInterval: null,
+            targetGroup: null,
+            residualNitrogenTime: null,
+            adjustedNoDecoLimit: null,
+            finalGroup: null,
+            isExceeded: true,
+            message: ''
+        };
+
+        if (tableDepth === -1) {
+            result.message = `Depth exceeds maximum table depth of ${formatDepth(getMaxTableDepth())}.`;
+            return result;
+        }
+
+        if (activeTableSet.repetitiveFactors) {
+            return calculateSurfaceIntervalForFactorDive(startGroup, tableDepth, bottomTime, result);
+        }
+
+        // Shortest interval first; 'None' is the longest, once there is no residual nitrogen left
+        const intervals = Object.entries(activeTableSet.table2[startGroup])
+            .sort(([, [a]], [, [b]]) => parseTimeToMinutes(a) - parseTimeToMinutes(b));
+
+        for (const [group, [minTime]] of intervals) {
+            if (group === 'None') {
+                const info = getSingleDiveInfo(tableDepth, bottomTime);
+                if (!info.isExceeded) {
+                    return Object.assign(result, {
+                        surfaceInterval: minTime,
+                        residualNitrogenTime: 0,
+                        adjustedNoDecoLimit: info.noDecoLimit,
+                        finalGroup: info.pressureGroup,
+                        isExceeded: false,
+                        message: `Wait ${minTime} for the dive to no longer count as a repetitive dive. Final pressure group: ${info.pressureGroup}.`
+                    });
+                }
+                continue;
+            }
+
+            const repetitiveInfo = getRepetitiveDiveInfo(group, tableDepth);
+            if (!repetitiveInfo.isExceeded && bottomTime <= repetitiveInfo.adjustedNoDecoLimit) {
+                const finalGroup = getFinalPressureGroup(tableDepth, bottomTime, repetitiveInfo.residualNitrogenTime);
+                return Object.assign(result, {
+                    surfaceInterval: minTime,
+                    targetGroup: group,
+                    residualNitrogenTime: repetitiveInfo.residualNitrogenTime,
+                    adjustedNoDecoLimit: repetitiveInfo.adjustedNoDecoLimit,
+                    finalGroup: finalGroup,
+                    isExceeded: false,
+                    message: `Minimum surface interval: ${minTime} to reach group ${group}. Residual nitrogen time: ${repetitiveInfo.residualNitrogenTime} minutes. Final pressure group: ${finalGroup}.`
+                });
+            }
+        }
+
+        result.message = `A ${bottomTime} minute dive to ${formatDepth(tableDepth)} is beyond the no-decompression limit even after a full surface interval.`;
+        return result;
+    }
+
+    // calculateSurfaceIntervalForDive on a table set with repetitive factors: the shortest
+    // interval whose factor leaves enough of the Table 1 limit for the bottom time
+    function calculateSurfaceIntervalForFactorDive(startGroup, tableDepth, bottomTime, result) {
+        const ranges = activeTableSet.repetitiveFactors[startGroup].slice()
+            .sort(([a], [b]) => parseTimeToMinutes(a) - parseTimeToMinutes(b));
+
+        // Once the factor is 1, or past the last range, the dive is no longer repetitive
+        const lastMaxTime = ranges[ranges.length - 1][1];
+        if (lastMaxTime !== '--') {
+            const minutes = parseTimeToMinutes(lastMaxTime) + 1;
+            ranges.push([`${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`, '--', 1]);
+        }
+
+        for (const [minTime, , factor] of ranges) {
+            if (factor > 1) {
+                const info = getRepetitiveFactorDiveInfo(factor, tableDepth);
+                if (!info.isExceeded && bottomTime <= info.adjustedNoDecoLimit) {
+                    const effectiveBottomTime = getEffectiveBottomTime(bottomTime, factor);
+                    const finalGroup = getSingleDiveInfo(tableDepth, effectiveBottomTime).pressureGroup;
+                    return Object.assign(result, {
+                        surfaceInterval: minTime,
+                        residualNitrogenTime: effectiveBottomTime - bottomTime,
+                        adjustedNoDecoLimit: info.adjustedNoDecoLimit,
+                        finalGroup: finalGroup,
+                        isExceeded: false,
+                        message: `Minimum surface interval: ${minTime} for a repetitive factor of ${factor}. Effective bottom time: ${effectiveBottomTime} minutes. Final pressure group: ${finalGroup}.`
+                    });
+                }
+                continue;
+            }
+
+            const info = getSingleDiveInfo(tableDepth, bottomTime);
+            if (!info.isExceeded) {
+                return Object.assign(result, {
+                    surfaceInterval: minTime,
+                    residualNitrogenTime: 0,
+                    adjustedNoDecoLimit: info.noDecoLimit,
+                    finalGroup: info.pressureGroup,
+                    isExceeded: false,
+                    message: `Wait ${minTime} for the dive to no longer count as a repetitive dive. Final pressure group: ${info.pressureGroup}.`
+                });
+            }
+            break;
+        }
+
+        result.message = `A ${bottomTime} minute dive to ${formatDepth(tableDepth)} is beyond the no-decompression limit even after a full surface interval.`;
+        return result;
+    }
+
+    // Shortest surface interval in Table 2, or in the repetitive factors (minutes); anything
+    // shorter is part of the previous dive
+    function getShortestSurfaceInterval(pressureGroup) {
+        const ranges = activeTableSet.repetitiveFactors ?
+            activeTableSet.repetitiveFactors[pressureGroup] :
+            Object.values(activeTableSet.table2[pressureGroup]);
+        return Math.min(...ranges.map(([minTime]) => parseTimeToMinutes(minTime)));
+    }
+
+    // Plan a chain of dives and surface intervals through Tables 1, 2 and 3
+    // dives: [{ depth, bottomTime, surfaceInterval }] in order, with depths in feet and surfaceInterval
+    // the time on the surface before each dive after the first, as "h:mm"
+    // On a table set with repetitive factors the steps give the factor instead of a new group,
+    // and the extra effective bottom time as the residual nitrogen time
+    function planDiveChain(dives) {
+        let pressureGroup = null;
+        let isChainExceeded = false;
+
+        return dives.map((dive, i) => {
+            if (isNaN(dive.depth) || dive.depth <= 0 || isNaN(dive.bottomTime) || dive.bottomTime <= 0) {
+                throw new Error(`Dive ${i + 1} needs a depth and a bottom time greater than zero.`);
+            }
+            if (i > 0 && !/^\d+:[0-5]\d$/.test(dive.surfaceInterval)) {
+                throw new Error(`Dive ${i + 1} needs a surface interval as h:mm.`);
+            }
+
+            const step = {
+                depth: dive.depth,
+                tableDepth: findClosestDepth(dive.depth),
+                bottomTime: dive.bottomTime,
+                surfaceInterval: i > 0 ? dive.surfaceInterval : null,
+                startGroup: i > 0 ? pressureGroup : null,
+                newGroup: null,
+                repetitiveFactor: null,
+                residualNitrogenTime: 0,
+                noDecoLimit: null,
+                pressureGroup: null,
+                decompressionSchedule: null,
+                isRepetitive: false,
+                isExceeded: false,
+                message: ''
+            };
+
+            // Nothing can be planned after a dive that leaves the tables
+            if (isChainExceeded) {
+                step.isExceeded = true;
+                step.message = 'An earlier dive is beyond the tables.';
+                return step;
+            }
+
+            if (step.tableDepth === -1) {
+                isChainExceeded = true;
+                step.isExceeded = true;
+                step.message = `Depth exceeds maximum table depth of ${formatDepth(getMaxTableDepth())}.`;
+                return step;
+            }
+
+            if (step.startGroup !== null) {
+                const shortestInterval = getShortestSurfaceInterval(step.startGroup);
+                if (parseTimeToMinutes(dive.surfaceInterval) < shortestInterval) {
+                    isChainExceeded = true;
+                    step.isExceeded = true;
+                    step.message = `A surface interval under ${shortestInterval} minutes makes this part of the previous dive.`;
+                    return step;
+                }
+
+                if (activeTableSet.repetitiveFactors) {
+                    step.repetitiveFactor = getRepetitiveFactor(step.startGroup, dive.surfaceInterval);
+                } else {
+                    step.newGroup = getNewPressureGroup(step.startGroup, dive.surfaceInterval);
+                }
+            }
+
+            if (step.repetitiveFactor !== null) {
+                // Repetitive dive: the bottom time counts as the factor times longer
+                const factorInfo = getRepetitiveFactorDiveInfo(step.repetitiveFactor, dive.depth);
+                step.isRepetitive = true;
+                step.noDecoLimit = factorInfo.adjustedNoDecoLimit;
+
+                if (factorInfo.isExceeded) {
+                    step.isExceeded = true;
+                    step.message = factorInfo.message;
+                } else if (dive.bottomTime > factorInfo.adjustedNoDecoLimit) {
+                    step.isExceeded = true;
+                    step.message = `Bottom time exceeds the adjusted no-decompression limit of ${factorInfo.adjustedNoDecoLimit} minutes.`;
+                } else {
+                    const effectiveBottomTime = getEffectiveBottomTime(dive.bottomTime, step.repetitiveFactor);
+                    step.residualNitrogenTime = effectiveBottomTime - dive.bottomTime;
+                    step.pressureGroup = getSingleDiveInfo(dive.depth, effectiveBottomTime).pressureGroup;
+                    step.message = `Repetitive factor: ${step.repetitiveFactor}. Effective bottom time: ${effectiveBottomTime} minutes. Final pressure group: ${step.pressureGroup}.`;
+                }
+            } else if (step.newGroup !== null) {
+                // Repetitive dive: residual nitrogen from the group after the surface interval
+                const repetitiveInfo = getRepetitiveDiveInfo(step.newGroup, dive.depth);
+                step.isRepetitive = true;
+                step.residualNitrogenTime = repetitiveInfo.residualNitrogenTime;
+                step.noDecoLimit = repetitiveInfo.adjustedNoDecoLimit;
+
+                if (repetitiveInfo.isExceeded) {
+                    step.isExceeded = true;
+                    step.message = repetitiveInfo.message;
+                } else if (dive.bottomTime > repetitiveInfo.adjustedNoDecoLimit) {
+                    step.isExceeded = true;
+                    step.message = `Bottom time exceeds the adjusted no-decompression limit of ${repetitiveInfo.adjustedNoDecoLimit} minutes.`;
+                } else {
+                    step.pressureGroup = getFinalPressureGroup(dive.depth, dive.bottomTime, repetitiveInfo.residualNitrogenTime);
+                    step.message = `Residual nitrogen time: ${step.residualNitrogenTime} minutes. Final pressure group: ${step.pressureGroup}.`;
+                }
+            } else {
+                // First dive, or all residual nitrogen is gone after the surface interval
+                const info = getSingleDiveInfo(dive.depth, dive.bottomTime);
+                step.noDecoLimit = info.noDecoLimit;
+                step.pressureGroup = info.pressureGroup;
+                step.isExceeded = info.isExceeded;
+                step.message = info.message;
+
+                // A decompression dive can still be followed by repetitive dives if Table 2 has its group
+                const schedule = info.decompressionSchedule;
+                if (schedule && activeTableSet.table2[schedule.pressureGroup]) {
+                    step.decompressionSchedule = schedule;
+                    step.pressureGroup = schedule.pressureGroup;
+                }
+            }
+
+            if (step.pressureGroup === null) {
+                isChainExceeded = true;
+            }
+            pressureGroup = step.pressureGroup;
+
+            return step;
+        });
+    }
+
+    // Nitrox (EANx) Calculations
+    // Calculate Equivalent Air Depth (EAD) in the active depth unit
+    // The depth is in the active water type; the EAD is in seawater, like the tables
+    function calculateEAD(depth, o2Percentage) {
+        // Formula: EAD = ((Depth ÷ k + 1) × (Fraction of N2 / 0.79) − 1) × 33
+        // where k is the feet of water per ATA (33 in seawater)
+        const n2Fraction = (100 - o2Percentage) / 100;
+        const pressure = depthToFeet(depth) / getFeetPerATA() + 1;
+        const eadFeet = (pressure * (n2Fraction / 0.79) - 1) * 33;
+        return feetToDepth(eadFeet);
+    }
+
+    // Calculate actual depth from EAD in the active depth unit
+    function calculateActualDepthFromEAD(ead, o2Percentage) {
+        // Formula: D = (((EAD ÷ 33 + 1) × 0.79) ÷ (1 - (O2% ÷ 100)) − 1) × k
+        const airPressure = depthToFeet(ead) / 33 + 1;
+        const depthFeet = ((airPressure * 0.79) / (1 - (o2Percentage / 100)) - 1) * getFeetPerATA();
+        return feetToDepth(depthFeet);
+    }
+
+    // Calculate Maximum Operating Depth (MOD) based on pO2 limit
+    // The pO2 limit (the working limit by default) is in the active pressure unit and the
+    // MOD is returned in the active depth unit
+    function calculateMOD(o2Percentage, pO2Limit = oxygenLimits.working) {
+        // Calculate MOD based on oxygen toxicity limit
+        const o2Fraction = o2Percentage / 100;
+        const pressure = pressureToATA(pO2Limit) / o2Fraction;
+        return feetToDepth(ataToFT(pressure));
+    }
+
+    // Depth (ft) the tables are entered with for an actual depth (ft) on a mix
+    // Corrects for altitude (ft) first, then takes the EAD on nitrox
+    function getEquivalentTableDepth(depth, o2Percentage = 21, altitude = siteAltitude) {
+        const tableDepth = calculateTheoreticalOceanDepth(depth, altitude);
+        if (o2Percentage > 21) {
+            return Math.max(0, depthToFeet(calculateEAD(feetToDepth(tableDepth), o2Percentage)));
+        }
+        return tableDepth;
+    }
+
+    // Table depth (ft) for an actual depth (ft) on a mix, or -1 beyond the tables
+    // Takes the row at or just deeper than the equivalent table depth
+    function getTableDepthForMix(depth, o2Percentage = 21, altitude = siteAltitude) {
+        return findClosestDepth(getEquivalentTableDepth(depth, o2Percentage, altitude));
+    }
+
+    // Plan a chain of dives at actual depths (ft) on their mixes through the tables
+    // dives: [{ depth, o2Percentage, bottomTime, surfaceInterval }]; a dive that the altitude or
+    // mix puts beyond the tables comes back exceeded, and so do the dives after it
+    function planDiveChainForMixes(dives) {
+        return planDiveChain(dives.map(dive => {
+            const tableDepth = getTableDepthForMix(dive.depth, dive.o2Percentage);
+            return {
+                depth: tableDepth === -1 ? getEquivalentTableDepth(dive.depth, dive.o2Percentage) : tableDepth,
+                bottomTime: dive.bottomTime,
+                surfaceInterval: dive.surfaceInterval
+            };
+        }));
+    }
+
+    // Richest nitrox for a planned dive - the reverse of calculateMOD
+    // Nitrox above 40% needs oxygen-clean equipment and is outside the nitrox tables
+    const MAX_BEST_MIX_O2 = 40;
+
+    // Calculate the best mix for a depth and pO2 limit, both in the active units
+    // The O2 percentage is rounded down to a whole, fillable percentage
+    function calculateBestMix(depth, pO2Limit = oxygenLimits.working) {
+        const depthFeet = depthToFeet(depth);
+        const idealFO2 = pressureToATA(pO2Limit) / ftToATA(depthFeet);
+        const o2Percentage = Math.min(MAX_BEST_MIX_O2, Math.floor(idealFO2 * 100 + 1e-9));
+
+        // No nitrox is richer than air at this depth
+        if (o2Percentage < 21) {
+            return {
+                o2Percentage: o2Percentage,
+                idealFO2: idealFO2,
+                isNitrox: false,
+                ead: null,
+                airNoDecoLimit: null,
+                nitroxNoDecoLimit: null,
+                noDecoTimeGained: null
+            };
+        }
+
+        const airTableDepth = getTableDepthForMix(depthFeet);
+        const nitroxTableDepth = getTableDepthForMix(depthFeet, o2Percentage);
+        const airNoDecoLimit = airTableDepth !== -1 ? activeTableSet.table1[airTableDepth][0] : null;
+        const nitroxNoDecoLimit = nitroxTableDepth !== -1 ? activeTableSet.table1[nitroxTableDepth][0] : null;
+
+        return {
+            o2Percentage: o2Percentage,
+            idealFO2: idealFO2,
+            isNitrox: o2Percentage > 21,
+            ead: calculateEAD(depth, o2Percentage),
+            airNoDecoLimit: airNoDecoLimit,
+            nitroxNoDecoLimit: nitroxNoDecoLimit,
+            noDecoTimeGained: airNoDecoLimit !== null && nitroxNoDecoLimit !== null ? nitroxNoDecoLimit - airNoDecoLimit : null
+        };
+    }
+
+    // Calculate minimum surface interval between two dives
+    function calculateMinimumSurfaceInterval(startGroup, targetGroup) {
+        // If the target group is the same or higher than the start group, no surface interval is needed
+        if (!startGroup || !targetGroup) {
+            return null;
+        }
+
+        // Get the alphabetical order of the groups
+        const groups = activeTableSet.groups;
+        const startIndex = groups.indexOf(startGroup);
+        const targetIndex = groups.indexOf(targetGroup);
+
+        // If target group is same or higher (alphabetically) than start group, return minimum interval
+        if (targetIndex <= startIndex) {
+            // Look up the minimum surface interval in Table 2
+            const table2 = activeTableSet.table2;
+            if (table2[startGroup] && table2[startGroup][targetGroup]) {
+                return table2[startGroup][targetGroup][0]; // Return the minimum time
+            }
+        }
+
+        return null; // No valid surface interval found
+    }
+
+    return {
+        ftToATA,
+        ataToFT,
+        percentToDecimal,
+        decimalToPercent,
+        setUnitSystem,
+        getUnitSystem,
+        feetToMeters,
+        metersToFeet,
+        ataToBar,
+        barToATA,
+        depthToFeet,
+        feetToDepth,
+        pressureToATA,
+        ataToPressure,
+        formatDepth,
+        formatPressure,
+        waterTypes,
+        setWaterType,
+        getWaterType,
+        setOxygenLimits,
+        getOxygenLimits,
+        getFeetPerATA,
+        altitudeArrivalGroups,
+        setAltitude,
+        getAltitude,
+        altitudeToATA,
+        getSurfacePressure,
+        isAltitudeDive,
+        calculateTheoreticalOceanDepth,
+        calculateActualDepthFromTheoreticalDepth,
+        calculateAltitudeStopDepth,
+        getAltitudeArrivalGroup,
+        getAltitudeCorrections,
+        setOxygenNarcotic,
+        isOxygenNarcotic,
+        calculateEND,
+        calculateDaltonsTriangle,
+        navyTable1,
+        navyTable2,
+        navyTable3,
+        navyDecompressionTable,
+        loadTableSet,
+        setTableSet,
+        getTableSet,
+        getTableSets,
+        getMaxTableDepth,
+        findClosestDepth,
+        findTable3Depth,
+        getSingleDiveInfo,
+        getDecompressionSchedule,
+        parseTimeToMinutes,
+        getNewPressureGroup,
+        getRepetitiveDiveInfo,
+        getRepetitiveFactor,
+        getRepetitiveFactorDiveInfo,
+        getFinalPressureGroup,
+        planDiveChain,
+        calculateMinimumSurfaceInterval,
+        calculateSurfaceIntervalForDive,
+        calculateEAD,
+        calculateActualDepthFromEAD,
+        calculateMOD,
+        getEquivalentTableDepth,
+        getTableDepthForMix,
+        planDiveChainForMixes,
+        calculateBestMix,
+        setMaxEND,
+        getMaxEND,
+        isNarcosisRisk
+    };
+});
@@ -0,0 +1,113 @@
+// Scuba Diving Calculations - Dive profile chart
+//
+// Depth-vs-time points for a plan of dives. Surface intervals get a fixed width
+// on the time axis since they can last hours. Depths in feet, times in minutes.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function () {
+
+    // Travel rates (feet per minute); descent counts towards bottom time, as in the tables
+    const CHART_DESCENT_RATE = 60;
+    const CHART_ASCENT_RATE = 30;
+
+    // Recreational safety stop after a no-decompression dive
+    const CHART_SAFETY_STOP = { depth: 15, time: 3 };
+
+    // Chart minutes given to each surface interval on the time axis
+    const SURFACE_INTERVAL_WIDTH = 15;
+
+    // Build the profile chart for a plan
+    // dives: [{ depth, bottomTime, surfaceInterval, surfaceIntervalGroup, pressureGroup, noDecoLimit, stops }]
+    // in order, where surfaceInterval is the time (minutes) on the surface before the dive,
+    // surfaceIntervalGroup the group at the end of it and stops are decompression stops
+    // [{ depth, time }] from deepest to shallowest
+    // options: { finalSurfaceInterval: { time, pressureGroup } } for a surface interval after the last dive
+    function buildProfileChart(dives, options = {}) {
+        const points = [{ time: 0, depth: 0 }];
+        const diveMarks = [];
+        const surfaceIntervals = [];
+        let time = 0;
+
+        // Add a surface interval of a real length (minutes) at the current chart time
+        function addSurfaceInterval(realTime, pressureGroup) {
+            surfaceIntervals.push({
+                startTime: time,
+                endTime: time + SURFACE_INTERVAL_WIDTH,
+                surfaceInterval: realTime,
+                pressureGroup: pressureGroup || null
+            });
+            time += SURFACE_INTERVAL_WIDTH;
+            points.push({ time: time, depth: 0 });
+        }
+
+        dives.forEach((dive, i) => {
+            if (isNaN(dive.depth) || dive.depth <= 0 || isNaN(dive.bottomTime) || dive.bottomTime <= 0) {
+                throw new Error(`Dive ${i + 1} needs a depth and a bottom time greater than zero.`);
+            }
+
+            if (i > 0) {
+                addSurfaceInterval(dive.surfaceInterval || 0, dive.surfaceIntervalGroup);
+            }
+
+            const startTime = time;
+            const descentTime = Math.min(dive.bottomTime, dive.depth / CHART_DESCENT_RATE);
+            points.push({ time: startTime + descentTime, depth: dive.depth });
+
+            time = startTime + dive.bottomTime;
+            points.push({ time: time, depth: dive.depth });
+
+            // Decompression stops, or a safety stop on a dive deep enough for one
+            const isDecompression = !!(dive.stops && dive.stops.length > 0);
+            let stops = isDecompression ? dive.stops : [];
+            if (!isDecompression && dive.depth > CHART_SAFETY_STOP.depth) {
+                stops = [CHART_SAFETY_STOP];
+            }
+
+            let depth = dive.depth;
+            stops.forEach(stop => {
+                time += (depth - stop.depth) / CHART_ASCENT_RATE;
+                points.push({ time: time, depth: stop.depth });
+                time += stop.time;
+                points.push({ time: time, depth: stop.depth });
+                depth = stop.depth;
+            });
+
+            time += depth / CHART_ASCENT_RATE;
+            points.push({ time: time, depth: 0 });
+
+            diveMarks.push({
+                startTime: startTime,
+                bottomEndTime: startTime + dive.bottomTime,
+                endTime: time,
+                depth: dive.depth,
+                bottomTime: dive.bottomTime,
+                pressureGroup: dive.pressureGroup || null,
+                noDecoLimit: dive.noDecoLimit || null,
+                noDecoLimitTime: dive.noDecoLimit ? startTime + dive.noDecoLimit : null,
+                isDecompression: isDecompression
+            });
+        });
+
+        if (options.finalSurfaceInterval && dives.length > 0) {
+            addSurfaceInterval(options.finalSurfaceInterval.time, options.finalSurfaceInterval.pressureGroup);
+        }
+
+        return {
+            points: points,
+            dives: diveMarks,
+            surfaceIntervals: surfaceIntervals,
+            totalTime: time,
+            maxDepth: Math.max(0, ...dives.map(dive => dive.depth))
+        };
+    }
+
+    return {
+        SURFACE_INTERVAL_WIDTH,
+        buildProfileChart
+    };
+});
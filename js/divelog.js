@@ -0,0 +1,171 @@
+// Scuba Diving Calculations - Dive log
+//
+// A day's dives kept in IndexedDB, in the shape of the repetitive dive chain.
+// The storage functions return promises.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js needs an IndexedDB implementation installed as a global
+        module.exports = factory(typeof indexedDB !== 'undefined' ? indexedDB : null);
+    } else {
+        Object.assign(root, factory(root.indexedDB || null));
+    }
+})(this, function (idb) {
+
+    const DIVE_LOG_DATABASE = 'scuba-dive-log';
+    const DIVE_LOG_VERSION = 1;
+    const DIVE_LOG_STORE = 'entries';
+
+    // Kinds of log entry: a plan made in the tables, or a dive that was done
+    const diveLogKinds = {
+        plan: 'Plan',
+        dive: 'Logged dive'
+    };
+
+    // Check a log entry and put it in the stored shape
+    // fields: { id, date, site, kind, tableSetId, altitude, notes, dives: [{ depth, bottomTime,
+    // o2Percentage, surfaceInterval, pressureGroup, newGroup }] } with the date as YYYY-MM-DD,
+    // the altitude of the dive site in feet and newGroup the group after the surface interval
+    // before the dive
+    function createDiveLogEntry(fields) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(fields.date || '')) {
+            throw new Error('The log entry needs a date (YYYY-MM-DD).');
+        }
+        if (!diveLogKinds[fields.kind]) {
+            throw new Error(`Unknown log entry kind "${fields.kind}". Use "plan" or "dive".`);
+        }
+        const altitude = fields.altitude === undefined ? 0 : Number(fields.altitude);
+        if (isNaN(altitude) || altitude < 0) {
+            throw new Error('The altitude of the dive site can\'t be negative.');
+        }
+        if (!Array.isArray(fields.dives) || fields.dives.length === 0) {
+            throw new Error('The log entry needs at least one dive.');
+        }
+
+        const dives = fields.dives.map((dive, i) => {
+            const depth = Number(dive.depth);
+            const bottomTime = Number(dive.bottomTime);
+            const o2Percentage = dive.o2Percentage === undefined ? 21 : Number(dive.o2Percentage);
+
+            if (!(depth > 0) || !(bottomTime > 0)) {
+                throw new Error(`Dive ${i + 1} needs a depth and a bottom time greater than zero.`);
+            }
+            if (isNaN(o2Percentage) || o2Percentage < 21 || o2Percentage > 100) {
+                throw new Error(`Dive ${i + 1} needs an O₂ percentage between 21% and 100%.`);
+            }
+            if (i > 0 && !/^\d+:[0-5]\d$/.test(dive.surfaceInterval || '')) {
+                throw new Error(`Dive ${i + 1} needs the surface interval before it as h:mm.`);
+            }
+
+            return {
+                depth: depth,
+                bottomTime: bottomTime,
+                o2Percentage: o2Percentage,
+                surfaceInterval: i > 0 ? dive.surfaceInterval : null,
+                pressureGroup: dive.pressureGroup || null,
+                newGroup: i > 0 ? dive.newGroup || null : null
+            };
+        });
+
+        const entry = {
+            date: fields.date,
+            site: (fields.site || '').trim(),
+            kind: fields.kind,
+            tableSetId: fields.tableSetId || 'navy',
+            altitude: altitude,
+            notes: (fields.notes || '').trim(),
+            dives: dives
+        };
+        if (fields.id !== undefined && fields.id !== null) {
+            entry.id = fields.id;
+        }
+        return entry;
+    }
+
+    // Summary of a log entry for listing: number of dives, deepest depth (ft), total
+    // bottom time, the mixes used and the pressure group after the last dive
+    function summarizeDiveLogEntry(entry) {
+        return {
+            diveCount: entry.dives.length,
+            maxDepth: Math.max(...entry.dives.map(dive => dive.depth)),
+            totalBottomTime: entry.dives.reduce((total, dive) => total + dive.bottomTime, 0),
+            mixes: [...new Set(entry.dives.map(dive => dive.o2Percentage))],
+            finalGroup: entry.dives[entry.dives.length - 1].pressureGroup
+        };
+    }
+
+    let databasePromise = null;
+
+    // Open the dive log database, creating it on first use
+    function openDiveLog() {
+        if (!idb) {
+            return Promise.reject(new Error('This browser has no IndexedDB, so the dive log can\'t be kept.'));
+        }
+
+        if (!databasePromise) {
+            databasePromise = new Promise((resolve, reject) => {
+                const request = idb.open(DIVE_LOG_DATABASE, DIVE_LOG_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(DIVE_LOG_STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('date', 'date');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    databasePromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return databasePromise;
+    }
+
+    // Run a request on the log store and resolve with its result once the transaction completes
+    function runDiveLogRequest(mode, makeRequest) {
+        return openDiveLog().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(DIVE_LOG_STORE, mode);
+            const request = makeRequest(transaction.objectStore(DIVE_LOG_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('The dive log could not be updated.'));
+        }));
+    }
+
+    // Save a log entry, replacing the entry with the same id; resolves with the id
+    function saveDiveLogEntry(fields) {
+        let entry;
+        try {
+            entry = createDiveLogEntry(fields);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        entry.savedAt = new Date().toISOString();
+        return runDiveLogRequest('readwrite', store => store.put(entry));
+    }
+
+    // Get all log entries, newest date first
+    function getDiveLogEntries() {
+        return runDiveLogRequest('readonly', store => store.getAll())
+            .then(entries => entries.sort((a, b) => b.date.localeCompare(a.date) || b.id - a.id));
+    }
+
+    // Get one log entry by id (undefined when there is none)
+    function getDiveLogEntry(id) {
+        return runDiveLogRequest('readonly', store => store.get(id));
+    }
+
+    // Delete a log entry by id
+    function deleteDiveLogEntry(id) {
+        return runDiveLogRequest('readwrite', store => store.delete(id));
+    }
+
+    return {
+        diveLogKinds,
+        createDiveLogEntry,
+        summarizeDiveLogEntry,
+        openDiveLog,
+        saveDiveLogEntry,
+        getDiveLogEntries,
+        getDiveLogEntry,
+        deleteDiveLogEntry
+    };
+});
@@ -0,0 +1,233 @@
+// Scuba Diving Calculations - Flying after diving
+//
+// Surface interval before flying or driving to altitude, under the Navy rules and
+// the DAN/UHMS recommendations. Depths and altitudes in feet, intervals in minutes.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./calculations.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function (calc) {
+
+    const {
+        getTableSet, getSingleDiveInfo, getNewPressureGroup, getRepetitiveDiveInfo,
+        getTableDepthForMix, parseTimeToMinutes, getAltitude
+    } = calc;
+
+    // Required surface interval before ascent to altitude after diving (U.S. Navy Diving Manual)
+    // Format: repetitive group -> [h:mm for an ascent of 1000, 2000, ... 10000 feet]
+    const navyAltitudeIntervals = {
+        'A': ['0:00', '0:00', '0:00', '0:00', '0:00', '0:00', '0:00', '0:00', '0:00', '0:00'],
+        'B': ['0:00', '0:00', '0:00', '0:00', '0:00', '0:00', '0:00', '0:00', '0:00', '1:42'],
+        'C': ['0:00', '0:00', '0:00', '0:00', '0:00', '0:00', '0:00', '0:00', '1:48', '6:13'],
+        'D': ['0:00', '0:00', '0:00', '0:00', '0:00', '0:00', '0:00', '1:45', '5:39', '8:34'],
+        'E': ['0:00', '0:00', '0:00', '0:00', '0:00', '0:00', '1:32', '4:46', '7:24', '10:01'],
+        'F': ['0:00', '0:00', '0:00', '0:00', '0:00', '1:07', '3:49', '6:08', '8:27', '11:03'],
+        'G': ['0:00', '0:00', '0:00', '0:00', '0:28', '2:50', '5:04', '7:11', '9:17', '11:52'],
+        'H': ['0:00', '0:00', '0:00', '0:00', '1:57', '4:03', '6:03', '8:01', '9:59', '12:33'],
+        'I': ['0:00', '0:00', '0:00', '1:12', '3:05', '4:59', '6:52', '8:40', '10:35', '13:08'],
+        'J': ['0:00', '0:00', '0:00', '2:07', '3:58', '5:43', '7:33', '9:15', '11:06', '13:38'],
+        'K': ['0:00', '0:00', '0:52', '2:54', '4:42', '6:21', '8:07', '9:45', '11:34', '14:05'],
+        'L': ['0:00', '0:00', '1:37', '3:35', '5:20', '6:53', '8:37', '10:12', '11:58', '14:28'],
+        'M': ['0:00', '0:12', '2:14', '4:10', '5:52', '7:21', '9:03', '10:35', '12:20', '14:49'],
+        'N': ['0:00', '0:46', '2:45', '4:39', '6:18', '7:45', '9:26', '10:56', '12:39', '15:07'],
+        'O': ['0:00', '1:13', '3:11', '5:03', '6:40', '8:06', '9:46', '11:13', '12:56', '15:23'],
+        'Z': ['0:00', '1:37', '3:33', '5:24', '7:00', '8:24', '10:04', '11:29', '13:11', '15:37']
+    };
+
+    const ALTITUDE_INTERVAL_STEP = 1000;  // feet between the columns of navyAltitudeIntervals
+    const MAX_ALTITUDE_ASCENT = 10000;    // feet; largest ascent the Navy table covers
+
+    // Wait after an exceptional exposure (no repetitive group) before any ascent to altitude
+    const EXCEPTIONAL_EXPOSURE_INTERVAL = 48 * 60;
+
+    // Cabin altitude (feet) commercial aircraft are pressurized to at most
+    const COMMERCIAL_CABIN_ALTITUDE = 8000;
+
+    // DAN/UHMS minimum pre-flight surface intervals (minutes), for cabin altitudes from 2000 to 8000 feet
+    const danFlyingIntervals = {
+        singleDive: 12 * 60,       // a single no-decompression dive
+        repetitiveDives: 18 * 60,  // multiple dives per day or multiple days of diving
+        decompressionDives: 24 * 60 // dives needing decompression stops; substantially longer is advised
+    };
+
+    // Altitude (feet) below which the DAN/UHMS recommendations don't apply
+    const DAN_MINIMUM_ALTITUDE = 2000;
+
+    // Surface interval shorter than which two dives are treated as one (Table 2 starts at 0:10)
+    const MINIMUM_SURFACE_INTERVAL = 10;
+
+    // Format minutes as "h:mm" for the Table 2 lookups
+    function formatTableTime(minutes) {
+        const mins = Math.floor(minutes % 60);
+        return `${Math.floor(minutes / 60)}:${mins < 10 ? '0' : ''}${mins}`;
+    }
+
+    // Navy surface interval (minutes) before ascending to an altitude (ft) from a dive at diveAltitude (ft)
+    // pressureGroup null means an exceptional exposure; returns null past the table
+    function getNavyAltitudeInterval(pressureGroup, altitude, diveAltitude = getAltitude()) {
+        const ascent = altitude - diveAltitude;
+
+        if (ascent <= 0) {
+            return 0;
+        }
+        if (ascent > MAX_ALTITUDE_ASCENT) {
+            return null;
+        }
+        if (pressureGroup === null) {
+            return EXCEPTIONAL_EXPOSURE_INTERVAL;
+        }
+        if (!navyAltitudeIntervals[pressureGroup]) {
+            throw new Error(`Unknown repetitive group: ${pressureGroup}.`);
+        }
+
+        // Use the next higher altitude in the table
+        const column = Math.ceil(ascent / ALTITUDE_INTERVAL_STEP) - 1;
+        return parseTimeToMinutes(navyAltitudeIntervals[pressureGroup][column]);
+    }
+
+    // DAN/UHMS pre-flight surface interval (minutes) for a number of dives
+    // Returns 0 below DAN_MINIMUM_ALTITUDE
+    function getDANFlyingInterval(diveCount, isDecompression, altitude = COMMERCIAL_CABIN_ALTITUDE, diveAltitude = getAltitude()) {
+        if (altitude - diveAltitude < DAN_MINIMUM_ALTITUDE) {
+            return 0;
+        }
+        if (isDecompression) {
+            return danFlyingIntervals.decompressionDives;
+        }
+        return diveCount > 1 ? danFlyingIntervals.repetitiveDives : danFlyingIntervals.singleDive;
+    }
+
+    // Repetitive group at the end of a day of dives, run through the Navy tables
+    // dives: [{ depth, time, o2Percentage, surfaceInterval }] in order, with depths in actual feet
+    // and surfaceInterval the time (minutes) on the surface before the dive
+    function getDiveDayPressureGroup(dives) {
+        let pressureGroup = null;
+        let isDecompression = false;
+        let isExceptionalExposure = false;
+        let previous = null;
+
+        dives.forEach((dive, i) => {
+            if (isNaN(dive.depth) || dive.depth <= 0 || isNaN(dive.time) || dive.time <= 0) {
+                throw new Error(`Dive ${i + 1} needs a depth and a time greater than zero.`);
+            }
+
+            let tableDepth = getTableDepthForMix(dive.depth, dive.o2Percentage || 21);
+            let bottomTime = dive.time;
+            let residualNitrogenTime = 0;
+
+            if (previous && (dive.surfaceInterval || 0) < MINIMUM_SURFACE_INTERVAL) {
+                // Too short an interval: the dives count as one dive at the deeper depth
+                tableDepth = tableDepth === -1 || previous.tableDepth === -1 ? -1 : Math.max(tableDepth, previous.tableDepth);
+                bottomTime += previous.bottomTime;
+                residualNitrogenTime = previous.residualNitrogenTime;
+            } else if (previous && pressureGroup !== null && tableDepth !== -1) {
+                if (!getTableSet().table2[pressureGroup]) {
+                    // No surface interval credit past the groups in Table 2
+                    isExceptionalExposure = true;
+                } else {
+                    const newGroup = getNewPressureGroup(pressureGroup, formatTableTime(dive.surfaceInterval));
+                    if (newGroup !== null) {
+                        const repetitive = getRepetitiveDiveInfo(newGroup, tableDepth);
+                        if (repetitive.isExceeded) {
+                            isExceptionalExposure = true;
+                        } else {
+                            residualNitrogenTime = repetitive.residualNitrogenTime;
+                        }
+                    }
+                }
+            }
+
+            previous = { tableDepth: tableDepth, bottomTime: bottomTime, residualNitrogenTime: residualNitrogenTime };
+
+            if (tableDepth === -1) {
+                isExceptionalExposure = true;
+                return;
+            }
+
+            const info = getSingleDiveInfo(tableDepth, bottomTime + residualNitrogenTime);
+            if (info.isExceeded) {
+                const schedule = info.decompressionSchedule;
+                isDecompression = isDecompression || !(schedule && schedule.isUnlimited);
+                pressureGroup = schedule ? schedule.pressureGroup : null;
+                isExceptionalExposure = isExceptionalExposure || pressureGroup === null;
+            } else {
+                pressureGroup = info.pressureGroup;
+            }
+        });
+
+        return {
+            pressureGroup: isExceptionalExposure ? null : pressureGroup,
+            isDecompression: isDecompression,
+            isExceptionalExposure: isExceptionalExposure
+        };
+    }
+
+    // Surface intervals before flying or driving to altitude
+    // options: { pressureGroup, diveCount, isDecompression } for a known group, or { dives } for a
+    // day of dives (see getDiveDayPressureGroup); plus altitude (ft, defaults to an airliner cabin),
+    // diveAltitude (ft, defaults to the dive site) and timeSinceDive (minutes since surfacing)
+    function calculateFlyingAfterDiving(options = {}) {
+        const altitude = options.altitude !== undefined ? options.altitude : COMMERCIAL_CABIN_ALTITUDE;
+        const diveAltitude = options.diveAltitude !== undefined ? options.diveAltitude : getAltitude();
+        const timeSinceDive = options.timeSinceDive || 0;
+
+        if (isNaN(altitude) || altitude < 0) {
+            throw new Error('The altitude must be zero or more.');
+        }
+        if (isNaN(timeSinceDive) || timeSinceDive < 0) {
+            throw new Error('The time since the last dive must be zero or more.');
+        }
+
+        let dive;
+        let diveCount;
+        if (options.dives) {
+            if (options.dives.length === 0) {
+                throw new Error('Add at least one dive to the day.');
+            }
+            dive = getDiveDayPressureGroup(options.dives);
+            diveCount = options.dives.length;
+        } else {
+            const pressureGroup = options.pressureGroup || null;
+            if (pressureGroup !== null && !navyAltitudeIntervals[pressureGroup]) {
+                throw new Error(`Unknown repetitive group: ${pressureGroup}.`);
+            }
+            dive = {
+                pressureGroup: pressureGroup,
+                isDecompression: !!options.isDecompression,
+                isExceptionalExposure: pressureGroup === null
+            };
+            diveCount = options.diveCount || 1;
+        }
+
+        const navyInterval = getNavyAltitudeInterval(dive.pressureGroup, altitude, diveAltitude);
+        const danInterval = getDANFlyingInterval(diveCount, dive.isDecompression, altitude, diveAltitude);
+        const requiredInterval = navyInterval === null ? null : Math.max(navyInterval, danInterval);
+
+        return {
+            pressureGroup: dive.pressureGroup,
+            diveCount: diveCount,
+            isDecompression: dive.isDecompression,
+            isExceptionalExposure: dive.isExceptionalExposure,
+            altitude: altitude,
+            altitudeAscent: Math.max(0, altitude - diveAltitude),
+            navyInterval: navyInterval,
+            danInterval: danInterval,
+            requiredInterval: requiredInterval,
+            remainingInterval: requiredInterval === null ? null : Math.max(0, requiredInterval - timeSinceDive),
+            isBeyondTable: navyInterval === null
+        };
+    }
+
+    return {
+        navyAltitudeIntervals,
+        danFlyingIntervals,
+        COMMERCIAL_CABIN_ALTITUDE,
+        getNavyAltitudeInterval,
+        getDANFlyingInterval,
+        getDiveDayPressureGroup,
+        calculateFlyingAfterDiving
+    };
+});
@@ -0,0 +1,133 @@
+// Scuba Diving Calculations - Gas consumption planner
+//
+// Gas needed from the surface consumption rate, with turn pressure and reserve.
+// Depths in feet; volumes and pressures in any consistent units.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./calculations.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function (calc) {
+
+    const { ftToATA } = calc;
+
+    const LITERS_PER_CUBIC_FOOT = 28.3168;
+    const PSI_PER_BAR = 14.5038;
+
+    // Ascent rate (feet per minute) and safety stop used for the ascent gas
+    const GAS_ASCENT_RATE = 30;
+    const SAFETY_STOP = { depth: 15, time: 3 };
+
+    // Reserve policies
+    // thirds: a third of the starting pressure out, a third back, a third in reserve
+    // fixed: a set reserve pressure, with the rest split between out and back
+    const reservePolicies = ['thirds', 'fixed'];
+
+    // Convert a surface consumption rate in pressure per minute to a volume per minute
+    function sacToRMV(sac, cylinder) {
+        return sac * cylinder.capacity / cylinder.workingPressure;
+    }
+
+    // Convert a volume per minute to a surface consumption rate for a cylinder
+    function rmvToSAC(rmv, cylinder) {
+        return rmv * cylinder.workingPressure / cylinder.capacity;
+    }
+
+    // Gas capacity of a cylinder from its water volume (liters) and working pressure (bar)
+    function getCylinderCapacity(waterVolume, workingPressure) {
+        return waterVolume * workingPressure;
+    }
+
+    // Gas needed (surface volume) for a dive at a depth (ft) for a bottom time (minutes)
+    // The ascent is direct at GAS_ASCENT_RATE with a safety stop
+    function calculateGasNeeded(rmv, depth, time) {
+        const bottomGas = rmv * ftToATA(depth) * time;
+
+        // Breathe the average pressure of the ascent to the stop, then the stop and the last leg
+        const stopDepth = Math.min(SAFETY_STOP.depth, depth);
+        const ascentToStop = (depth - stopDepth) / GAS_ASCENT_RATE;
+        const ascentGas = rmv * ftToATA((depth + stopDepth) / 2) * ascentToStop +
+            rmv * ftToATA(stopDepth) * SAFETY_STOP.time +
+            rmv * ftToATA(stopDepth / 2) * (stopDepth / GAS_ASCENT_RATE);
+
+        return {
+            bottomGas: bottomGas,
+            ascentGas: ascentGas,
+            totalGas: bottomGas + ascentGas
+        };
+    }
+
+    // Reserve and turn pressure for a starting pressure under a reserve policy
+    // policy: { type: 'thirds' } or { type: 'fixed', reserve: pressure }
+    function calculateReserve(startPressure, policy = { type: 'thirds' }) {
+        let reservePressure;
+
+        if (policy.type === 'thirds') {
+            reservePressure = startPressure / 3;
+        } else if (policy.type === 'fixed') {
+            if (isNaN(policy.reserve) || policy.reserve < 0 || policy.reserve >= startPressure) {
+                throw new Error('The reserve pressure must be less than the starting pressure.');
+            }
+            reservePressure = policy.reserve;
+        } else {
+            throw new Error(`Unknown reserve policy: ${policy.type}. Use ${reservePolicies.join(' or ')}.`);
+        }
+
+        const usablePressure = startPressure - reservePressure;
+
+        return {
+            reservePressure: reservePressure,
+            usablePressure: usablePressure,
+            turnPressure: startPressure - usablePressure / 2
+        };
+    }
+
+    // Plan the gas for a dive
+    // cylinder: { capacity, workingPressure, startPressure } - startPressure defaults to workingPressure
+    function planGas(rmv, cylinder, depth, time, policy = { type: 'thirds' }) {
+        if (isNaN(rmv) || rmv <= 0) {
+            throw new Error('The surface consumption rate must be greater than zero.');
+        }
+        if (isNaN(cylinder.capacity) || cylinder.capacity <= 0 || isNaN(cylinder.workingPressure) || cylinder.workingPressure <= 0) {
+            throw new Error('The cylinder size and working pressure must be greater than zero.');
+        }
+
+        const startPressure = cylinder.startPressure || cylinder.workingPressure;
+        const gasPerPressure = cylinder.capacity / cylinder.workingPressure;
+        const gas = calculateGasNeeded(rmv, depth, time);
+        const reserve = calculateReserve(startPressure, policy);
+        const pressureNeeded = gas.totalGas / gasPerPressure;
+        const endPressure = startPressure - pressureNeeded;
+
+        // Longest bottom time that still surfaces with the reserve
+        const usableGas = reserve.usablePressure * gasPerPressure - gas.ascentGas;
+        const maxBottomTime = Math.max(0, Math.floor(usableGas / (rmv * ftToATA(depth))));
+
+        return {
+            gasNeeded: gas.totalGas,
+            bottomGas: gas.bottomGas,
+            ascentGas: gas.ascentGas,
+            pressureNeeded: pressureNeeded,
+            startPressure: startPressure,
+            endPressure: endPressure,
+            reservePressure: reserve.reservePressure,
+            turnPressure: reserve.turnPressure,
+            maxBottomTime: maxBottomTime,
+            isSufficient: endPressure >= reserve.reservePressure
+        };
+    }
+
+    return {
+        LITERS_PER_CUBIC_FOOT,
+        PSI_PER_BAR,
+        reservePolicies,
+        sacToRMV,
+        rmvToSAC,
+        getCylinderCapacity,
+        calculateGasNeeded,
+        calculateReserve,
+        planGas
+    };
+});
@@ -0,0 +1,443 @@
+// Scuba Diving Calculations - Dive computer log import
+//
+// Reads dives from UDDF, Subsurface XML or CSV samples and checks them against the
+// table limits. Samples are { time, depth } in minutes and feet.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./calculations.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function (calc) {
+
+    const {
+        metersToFeet, depthToFeet, feetToDepth, formatDepth, getTableDepthForMix, getMaxTableDepth, planDiveChain,
+        calculateMOD, getOxygenLimits, getUnitSystem, calculateEND, isNarcosisRisk, getMaxEND, percentToDecimal
+    } = calc;
+
+    // Samples shallower than this (ft) count as being at the surface
+    const SURFACE_DEPTH = 3;
+
+    // The final ascent starts at the last sample deeper than this (ft), or than half
+    // the maximum depth on a shallower dive, so that a safety stop is not bottom time
+    const ASCENT_START_DEPTH = 20;
+
+    // All residual nitrogen is gone after this long (minutes) in every table set
+    const CLEAN_SURFACE_INTERVAL = 24 * 60;
+
+    // Direct child elements of an XML element with a local name
+    function childElements(element, name) {
+        return Array.from(element.childNodes).filter(node => node.nodeType === 1 && node.localName === name);
+    }
+
+    // Descendant elements of an XML element (or document) with a local name
+    function findElements(element, name) {
+        return Array.from(element.getElementsByTagName('*')).filter(node => node.localName === name);
+    }
+
+    // Text of the first descendant with a local name, or null
+    function findText(element, name) {
+        const found = findElements(element, name)[0];
+        return found ? found.textContent.trim() : null;
+    }
+
+    // Parse an XML document with the browser's DOMParser
+    function parseXMLDocument(text) {
+        if (typeof DOMParser === 'undefined') {
+            throw new Error('No XML parser is available; pass one to importDiveComputerLog.');
+        }
+        const xmlDocument = new DOMParser().parseFromString(text, 'application/xml');
+        if (xmlDocument.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('The file is not valid XML.');
+        }
+        return xmlDocument;
+    }
+
+    // Maximum depth, bottom time and total time of a dive from its samples
+    // The bottom time runs from leaving the surface to the start of the final ascent,
+    // rounded up to the next whole minute as the tables require
+    function summarizeSamples(samples) {
+        if (samples.length === 0) {
+            return null;
+        }
+
+        const maxDepth = Math.max(...samples.map(sample => sample.depth));
+        const descentIndex = samples.findIndex(sample => sample.depth > SURFACE_DEPTH);
+        if (descentIndex === -1) {
+            return null;
+        }
+
+        const startTime = samples[Math.max(0, descentIndex - 1)].time;
+        const ascentDepth = Math.min(ASCENT_START_DEPTH, maxDepth / 2);
+        let ascentIndex = samples.length - 1;
+        while (ascentIndex > 0 && samples[ascentIndex].depth <= ascentDepth) {
+            ascentIndex--;
+        }
+        let surfaceIndex = samples.length - 1;
+        while (surfaceIndex > 0 && samples[surfaceIndex].depth <= SURFACE_DEPTH) {
+            surfaceIndex--;
+        }
+        const endTime = samples[Math.min(samples.length - 1, surfaceIndex + 1)].time;
+
+        return {
+            maxDepth: maxDepth,
+            bottomTime: Math.max(1, Math.ceil(samples[ascentIndex].time - startTime - 1e-9)),
+            diveTime: endTime - samples[0].time
+        };
+    }
+
+    // Build an imported dive from what a log gives; dateTime is the start of the samples
+    function createImportedDive(number, dateTime, samples, gas, summary) {
+        samples.sort((a, b) => a.time - b.time);
+        const fromSamples = summarizeSamples(samples);
+        const values = fromSamples || summary;
+
+        if (!values || !(values.maxDepth > 0) || !(values.bottomTime > 0)) {
+            throw new Error(`Dive ${number} has no depth or time samples.`);
+        }
+
+        return {
+            number: number,
+            dateTime: dateTime,
+            maxDepth: values.maxDepth,
+            bottomTime: values.bottomTime,
+            diveTime: values.diveTime || values.bottomTime,
+            o2Percentage: gas.o2Percentage,
+            heliumPercentage: gas.heliumPercentage,
+            samples: samples
+        };
+    }
+
+    // A date and time from a log as a Date, or null
+    function parseLogDateTime(text) {
+        if (!text) {
+            return null;
+        }
+        const date = new Date(text.trim().replace(' ', 'T'));
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    // A fraction (0.32) or percentage ("32", "32.0%") of a gas as a percentage
+    function parseGasPercentage(text, defaultPercentage) {
+        if (text === null || text === undefined || text === '') {
+            return defaultPercentage;
+        }
+        const value = parseFloat(text);
+        if (isNaN(value)) {
+            return defaultPercentage;
+        }
+        return value <= 1 && !/%/.test(text) ? value * 100 : value;
+    }
+
+    // Import the dives in a UDDF document (depths in meters, times in seconds)
+    function importUDDF(xmlDocument) {
+        const mixes = {};
+        findElements(xmlDocument, 'mix').forEach(mix => {
+            mixes[mix.getAttribute('id')] = {
+                o2Percentage: parseGasPercentage(findText(mix, 'o2'), 21),
+                heliumPercentage: parseGasPercentage(findText(mix, 'he'), 0)
+            };
+        });
+        const air = { o2Percentage: 21, heliumPercentage: 0 };
+
+        const dives = findElements(xmlDocument, 'dive');
+        if (dives.length === 0) {
+            throw new Error('The UDDF file has no dives.');
+        }
+
+        return dives.map((dive, i) => {
+            const before = childElements(dive, 'informationbeforedive')[0] || dive;
+            const after = childElements(dive, 'informationafterdive')[0];
+            const number = parseInt(findText(before, 'divenumber'), 10) || i + 1;
+
+            const samples = findElements(dive, 'waypoint').map(waypoint => ({
+                time: parseFloat(findText(waypoint, 'divetime')) / 60,
+                depth: metersToFeet(parseFloat(findText(waypoint, 'depth')))
+            })).filter(sample => !isNaN(sample.time) && !isNaN(sample.depth));
+
+            // The first gas switched to, or else the gas in the first tank
+            const switchMix = findElements(dive, 'switchmix')[0];
+            const tankLink = findElements(dive, 'tankdata').map(tank => childElements(tank, 'link')[0]).find(link => link);
+            const mixRef = switchMix ? switchMix.getAttribute('ref') : tankLink ? tankLink.getAttribute('ref') : null;
+
+            const summary = after ? {
+                maxDepth: metersToFeet(parseFloat(findText(after, 'greatestdepth'))),
+                bottomTime: Math.ceil(parseFloat(findText(after, 'diveduration')) / 60)
+            } : null;
+
+            return createImportedDive(number, parseLogDateTime(findText(before, 'datetime')), samples, mixes[mixRef] || air, summary);
+        });
+    }
+
+    // A Subsurface value with a unit ("18.2 m", "60.0 ft") in feet
+    function parseSubsurfaceDepth(text) {
+        const value = parseFloat(text);
+        return /ft/.test(text || '') ? value : metersToFeet(value);
+    }
+
+    // A Subsurface time ("45:30 min", "1:02:10") in minutes
+    function parseSubsurfaceTime(text) {
+        const parts = (text || '').replace(/[^\d:.]/g, '').split(':').map(Number);
+        if (parts.length === 3) {
+            return parts[0] * 60 + parts[1] + parts[2] / 60;
+        }
+        return parts.length === 2 ? parts[0] + parts[1] / 60 : parts[0];
+    }
+
+    // Import the dives in a Subsurface XML document
+    function importSubsurfaceXML(xmlDocument) {
+        const dives = findElements(xmlDocument, 'dive');
+        if (dives.length === 0) {
+            throw new Error('The Subsurface file has no dives.');
+        }
+
+        return dives.map((dive, i) => {
+            const number = parseInt(dive.getAttribute('number'), 10) || i + 1;
+            const date = dive.getAttribute('date');
+            const dateTime = date ? parseLogDateTime(`${date}T${dive.getAttribute('time') || '00:00:00'}`) : null;
+
+            const cylinder = findElements(dive, 'cylinder')[0];
+            const gas = {
+                o2Percentage: parseGasPercentage(cylinder ? cylinder.getAttribute('o2') : null, 21),
+                heliumPercentage: parseGasPercentage(cylinder ? cylinder.getAttribute('he') : null, 0)
+            };
+
+            // Samples from the first dive computer
+            const computer = findElements(dive, 'divecomputer')[0] || dive;
+            const samples = findElements(computer, 'sample')
+                .filter(sample => sample.getAttribute('depth') !== null)
+                .map(sample => ({
+                    time: parseSubsurfaceTime(sample.getAttribute('time')),
+                    depth: parseSubsurfaceDepth(sample.getAttribute('depth'))
+                }));
+
+            const depthElement = findElements(computer, 'depth')[0];
+            const summary = depthElement ? {
+                maxDepth: parseSubsurfaceDepth(depthElement.getAttribute('max')),
+                bottomTime: Math.ceil(parseSubsurfaceTime(dive.getAttribute('duration')))
+            } : null;
+
+            return createImportedDive(number, dateTime, samples, gas, summary);
+        });
+    }
+
+    // A CSV time: seconds, or minutes with a (min) header, or m:ss / h:mm:ss
+    function parseCSVTime(text, unit) {
+        if (/:/.test(text)) {
+            const parts = text.split(':').map(Number);
+            return parts.length === 3 ? parts[0] * 60 + parts[1] + parts[2] / 60 : parts[0] + parts[1] / 60;
+        }
+        const value = parseFloat(text);
+        return unit === 'min' ? value : value / 60;
+    }
+
+    // Import dives from CSV depth/time samples
+    // The header names the columns: time and depth are needed, and dive (a dive number),
+    // date (the start of the dive), o2 and he (percentages) are optional. Units go in
+    // brackets: "depth (ft)" or "depth (m)", "time (s)" or "time (min)". Depths without
+    // a unit are in options.depthUnit (meters by default) and times in seconds.
+    function importCSVLog(text, options = {}) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length < 2) {
+            throw new Error('The CSV file needs a header row and at least one sample.');
+        }
+
+        const delimiter = lines[0].includes(';') && !lines[0].includes(',') ? ';' : lines[0].includes('\t') ? '\t' : ',';
+        const columns = lines[0].split(delimiter).map(header => {
+            const match = header.trim().toLowerCase().match(/^([a-z0-9]+)\s*(?:[([]\s*([a-z]+)\s*[)\]])?/);
+            return match ? { name: match[1], unit: match[2] || null } : { name: '', unit: null };
+        });
+        const columnIndex = name => columns.findIndex(column => column.name === name);
+
+        const timeIndex = columnIndex('time');
+        const depthIndex = columnIndex('depth');
+        if (timeIndex === -1 || depthIndex === -1) {
+            throw new Error('The CSV header needs time and depth columns.');
+        }
+        const depthUnit = columns[depthIndex].unit || options.depthUnit || 'm';
+        const timeUnit = columns[timeIndex].unit || 's';
+        const diveIndex = columnIndex('dive');
+        const dateIndex = columnIndex('date');
+        const o2Index = columnIndex('o2');
+        const heIndex = columnIndex('he');
+
+        const dives = [];
+        lines.slice(1).forEach((line, i) => {
+            const cells = line.split(delimiter).map(cell => cell.trim());
+            const time = parseCSVTime(cells[timeIndex] || '', timeUnit);
+            const depth = parseFloat(cells[depthIndex]);
+            if (isNaN(time) || isNaN(depth)) {
+                throw new Error(`Line ${i + 2} of the CSV file has no time or depth.`);
+            }
+
+            const number = diveIndex !== -1 ? cells[diveIndex] : '1';
+            let dive = dives.find(candidate => candidate.key === number);
+            if (!dive) {
+                dive = { key: number, dateTime: null, o2: null, he: null, samples: [] };
+                dives.push(dive);
+            }
+            if (dateIndex !== -1 && cells[dateIndex] && !dive.dateTime) {
+                dive.dateTime = parseLogDateTime(cells[dateIndex]);
+            }
+            if (o2Index !== -1 && cells[o2Index] && dive.o2 === null) {
+                dive.o2 = cells[o2Index];
+            }
+            if (heIndex !== -1 && cells[heIndex] && dive.he === null) {
+                dive.he = cells[heIndex];
+            }
+            dive.samples.push({ time: time, depth: depthUnit === 'ft' ? depth : metersToFeet(depth) });
+        });
+
+        return dives.map((dive, i) => createImportedDive(parseInt(dive.key, 10) || i + 1, dive.dateTime, dive.samples, {
+            o2Percentage: parseGasPercentage(dive.o2, 21),
+            heliumPercentage: parseGasPercentage(dive.he, 0)
+        }, null));
+    }
+
+    // Import a dive computer log, picking the format from the file name or contents
+    function importDiveComputerLog(text, fileName = '', parseXML = parseXMLDocument) {
+        const trimmed = text.trim();
+        if (/\.csv$/i.test(fileName) || !trimmed.startsWith('<')) {
+            return importCSVLog(text);
+        }
+
+        const xmlDocument = parseXML(trimmed);
+        const rootName = xmlDocument.documentElement.localName;
+        if (rootName === 'uddf') {
+            return importUDDF(xmlDocument);
+        }
+        if (rootName === 'divelog' || rootName === 'dives') {
+            return importSubsurfaceXML(xmlDocument);
+        }
+        throw new Error(`Unknown log format <${rootName}>. Use UDDF, Subsurface XML or CSV.`);
+    }
+
+    // Minutes as h:mm
+    function formatSurfaceInterval(minutes) {
+        const wholeMinutes = Math.floor(minutes);
+        return `${Math.floor(wholeMinutes / 60)}:${String(wholeMinutes % 60).padStart(2, '0')}`;
+    }
+
+    // Check imported dives against the tables, MOD and narcosis limits
+    // Dives with dates are put in order and linked by their surface intervals; dives
+    // without a date follow them in file order. A dive without a date, or a day later,
+    // starts again with no residual nitrogen.
+    // Returns [{ dive, surfaceInterval, tableDepth, startGroup, newGroup, residualNitrogenTime,
+    // noDecoLimit, pressureGroup, decompressionSchedule, isExceeded, problems }]
+    function analyzeImportedDives(dives) {
+        const ordered = dives.slice().sort((a, b) => {
+            if (a.dateTime && b.dateTime) return a.dateTime - b.dateTime;
+            if (a.dateTime || b.dateTime) return a.dateTime ? -1 : 1;
+            return 0;
+        });
+        const limits = getOxygenLimits();
+        const pressureUnit = getUnitSystem().pressure;
+
+        const results = ordered.map((dive, i) => {
+            const previous = ordered[i - 1];
+            let surfaceInterval = null;
+            if (previous && previous.dateTime && dive.dateTime) {
+                const minutes = (dive.dateTime - previous.dateTime) / 60000 - previous.diveTime;
+                if (minutes >= 0 && minutes < CLEAN_SURFACE_INTERVAL) {
+                    surfaceInterval = formatSurfaceInterval(minutes);
+                }
+            }
+
+            const result = {
+                dive: dive,
+                surfaceInterval: surfaceInterval,
+                tableDepth: null,
+                startGroup: null,
+                newGroup: null,
+                residualNitrogenTime: 0,
+                noDecoLimit: null,
+                pressureGroup: null,
+                decompressionSchedule: null,
+                isExceeded: false,
+                problems: []
+            };
+
+            if (dive.heliumPercentage > 0) {
+                result.problems.push(`The tables don't cover mixes with helium (${dive.heliumPercentage}% He).`);
+            } else {
+                result.tableDepth = getTableDepthForMix(dive.maxDepth, dive.o2Percentage);
+                if (result.tableDepth === -1) {
+                    result.problems.push(`${formatDepth(dive.maxDepth)} is beyond the maximum table depth of ${formatDepth(getMaxTableDepth())}.`);
+                }
+            }
+
+            const fO2 = percentToDecimal(dive.o2Percentage);
+            const fHe = percentToDecimal(dive.heliumPercentage);
+            if (dive.o2Percentage > 21) {
+                const depth = feetToDepth(dive.maxDepth);
+                if (depth > calculateMOD(dive.o2Percentage, limits.contingency)) {
+                    result.problems.push(`${formatDepth(dive.maxDepth)} is past the contingency MOD (pO₂ ${limits.contingency} ${pressureUnit}).`);
+                } else if (depth > calculateMOD(dive.o2Percentage, limits.working)) {
+                    result.problems.push(`${formatDepth(dive.maxDepth)} is past the working MOD (pO₂ ${limits.working} ${pressureUnit}).`);
+                }
+            }
+            if (isNarcosisRisk(dive.maxDepth, fO2, fHe)) {
+                const endFeet = depthToFeet(calculateEND(feetToDepth(dive.maxDepth), fO2, fHe));
+                result.problems.push(`The END of ${formatDepth(endFeet)} is beyond the maximum END of ${formatDepth(getMaxEND())}.`);
+            }
+
+            return result;
+        });
+
+        // Run each series of linked dives through the tables until one leaves them
+        let series = [];
+        const planSeries = () => {
+            const steps = planDiveChain(series.map(result => ({
+                depth: result.tableDepth,
+                bottomTime: result.dive.bottomTime,
+                surfaceInterval: result.surfaceInterval
+            })));
+            steps.forEach((step, i) => {
+                const result = series[i];
+                result.startGroup = step.startGroup;
+                result.newGroup = step.newGroup;
+                result.residualNitrogenTime = step.residualNitrogenTime;
+                result.noDecoLimit = step.noDecoLimit;
+                result.pressureGroup = step.pressureGroup;
+                result.decompressionSchedule = step.decompressionSchedule;
+                if (step.isExceeded) {
+                    result.problems.unshift(step.message);
+                }
+            });
+            series = [];
+        };
+
+        let isSeriesBroken = false;
+        results.forEach(result => {
+            if (result.surfaceInterval === null) {
+                if (series.length > 0) planSeries();
+                isSeriesBroken = false;
+            }
+
+            if (result.tableDepth === null || result.tableDepth === -1) {
+                if (series.length > 0) planSeries();
+                isSeriesBroken = true;
+            } else if (isSeriesBroken) {
+                result.problems.unshift('An earlier dive is beyond the tables.');
+            } else {
+                series.push(result);
+            }
+        });
+        if (series.length > 0) planSeries();
+
+        results.forEach(result => {
+            result.isExceeded = result.problems.length > 0;
+        });
+        return results;
+    }
+
+    return {
+        summarizeSamples,
+        importUDDF,
+        importSubsurfaceXML,
+        importCSVLog,
+        importDiveComputerLog,
+        analyzeImportedDives
+    };
+});
@@ -0,0 +1,122 @@
+// Scuba Diving Calculations - Oxygen exposure tracking
+//
+// NOAA CNS clock and pulmonary OTUs for a day of dives, with CNS recovery on the
+// surface. Depths in feet, oxygen partial pressures in ATA.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./calculations.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function (calc) {
+
+    const { ftToATA, percentToDecimal } = calc;
+
+    // NOAA single exposure limits
+    // Format: pO2 (ATA): maximum single exposure in minutes
+    const noaaOxygenLimits = {
+        0.6: 720, 0.7: 570, 0.8: 450, 0.9: 360, 1.0: 300, 1.1: 240,
+        1.2: 210, 1.3: 180, 1.4: 150, 1.5: 120, 1.6: 45
+    };
+
+    // pO2 (ATA) below which there is no CNS or pulmonary oxygen loading
+    const OXYGEN_TOXICITY_THRESHOLD = 0.5;
+
+    // Half-time (minutes) of CNS clock recovery at the surface
+    const CNS_HALF_TIME = 90;
+
+    // NOAA single-day pulmonary limit (OTUs)
+    const DAILY_OTU_LIMIT = 850;
+
+    // Maximum single exposure (minutes) at a pO2, interpolated between the NOAA limits
+    // Returns Infinity at or below the threshold; pO2s above 1.6 use the 1.6 limit
+    function getCNSLimit(pO2) {
+        if (pO2 <= OXYGEN_TOXICITY_THRESHOLD) {
+            return Infinity;
+        }
+
+        const pressures = Object.keys(noaaOxygenLimits).map(Number).sort((a, b) => a - b);
+        const lowest = pressures[0];
+        const highest = pressures[pressures.length - 1];
+
+        if (pO2 >= highest) {
+            return noaaOxygenLimits[highest];
+        }
+        if (pO2 <= lowest) {
+            return noaaOxygenLimits[lowest];
+        }
+
+        const upper = pressures.find(p => p >= pO2);
+        const lower = pressures[pressures.indexOf(upper) - 1];
+        const fraction = (pO2 - lower) / (upper - lower);
+        return noaaOxygenLimits[lower] + (noaaOxygenLimits[upper] - noaaOxygenLimits[lower]) * fraction;
+    }
+
+    // CNS clock percentage for a time (minutes) at a pO2
+    function calculateCNS(pO2, time) {
+        return (time / getCNSLimit(pO2)) * 100;
+    }
+
+    // Pulmonary oxygen toxicity units for a time (minutes) at a pO2
+    function calculateOTU(pO2, time) {
+        if (pO2 <= OXYGEN_TOXICITY_THRESHOLD) {
+            return 0;
+        }
+        return time * Math.pow((pO2 - OXYGEN_TOXICITY_THRESHOLD) / OXYGEN_TOXICITY_THRESHOLD, 0.83);
+    }
+
+    // CNS clock percentage remaining after a surface interval (minutes)
+    function recoverCNS(cns, surfaceInterval) {
+        return cns * Math.pow(0.5, surfaceInterval / CNS_HALF_TIME);
+    }
+
+    // Oxygen exposure of a dive at a depth (ft) for a time (minutes) on a nitrox mix
+    function calculateOxygenExposure(depth, time, o2Percentage) {
+        const pO2 = ftToATA(depth) * percentToDecimal(o2Percentage);
+
+        return {
+            pO2: pO2,
+            cns: calculateCNS(pO2, time),
+            otu: calculateOTU(pO2, time),
+            exceedsLimit: pO2 > 1.6 || time > getCNSLimit(pO2)
+        };
+    }
+
+    // Oxygen exposure over a day of dives
+    // dives: [{ depth, time, o2Percentage, surfaceInterval }] in order, where surfaceInterval
+    // is the time (minutes) on the surface before the dive
+    function calculateDailyOxygenExposure(dives) {
+        let cns = 0;
+        let otu = 0;
+
+        const results = dives.map(dive => {
+            const exposure = calculateOxygenExposure(dive.depth, dive.time, dive.o2Percentage);
+
+            cns = recoverCNS(cns, dive.surfaceInterval || 0) + exposure.cns;
+            otu += exposure.otu;
+
+            return Object.assign({}, exposure, { totalCNS: cns, totalOTU: otu });
+        });
+
+        return {
+            dives: results,
+            cns: cns,
+            otu: otu,
+            exceedsCNS: cns > 100,
+            exceedsOTU: otu > DAILY_OTU_LIMIT
+        };
+    }
+
+    return {
+        noaaOxygenLimits,
+        CNS_HALF_TIME,
+        DAILY_OTU_LIMIT,
+        getCNSLimit,
+        calculateCNS,
+        calculateOTU,
+        recoverCNS,
+        calculateOxygenExposure,
+        calculateDailyOxygenExposure
+    };
+});
@@ -0,0 +1,494 @@
+// Scuba Diving Calculations - Plan files
+//
+// Plans as versioned JSON, UDDF, CSV and link fragments. Depths in feet, surface
+// intervals as h:mm; values read back are worked out again from the tables.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./calculations.js'), require('./chart.js'));
+    } else {
+        Object.assign(root, factory(root, root));
+    }
+})(this, function (calc, chart) {
+
+    const {
+        feetToMeters, formatDepth, getTableSet, getAltitude, getMaxTableDepth, getTableDepthForMix, getSingleDiveInfo,
+        getNewPressureGroup, getRepetitiveDiveInfo, calculateMinimumSurfaceInterval, planDiveChainForMixes,
+        parseTimeToMinutes
+    } = calc;
+    const { buildProfileChart } = chart;
+
+    const PLAN_FILE_FORMAT = 'scuba-dive-plan';
+    const PLAN_FILE_VERSION = 1;
+
+    const SURFACE_INTERVAL_PATTERN = /^\d+:[0-5]\d$/;
+
+    // Table set a plan is on when it doesn't say
+    const DEFAULT_TABLE_SET_ID = 'navy';
+
+    // Work out what the tables give for a plan and put it in the versioned document shape
+    // plan: { o2Percentage, depth, bottomTime, surfaceInterval, repetitiveTableDepth,
+    // targetTableDepth, targetGroup, diveChain: [{ depth, o2Percentage, bottomTime, surfaceInterval }] }
+    // where anything not picked yet is null
+    function createPlanDocument(plan) {
+        const o2Percentage = plan.o2Percentage || 21;
+        const planDocument = {
+            format: PLAN_FILE_FORMAT,
+            version: PLAN_FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            tableSetId: getTableSet().id,
+            o2Percentage: o2Percentage,
+            altitude: getAltitude(),
+            firstDive: null,
+            surfaceInterval: null,
+            repetitiveDive: null,
+            target: null,
+            diveChain: []
+        };
+
+        // Table 1: the depth and bottom time of the first dive
+        const tableDepth = plan.depth ? getTableDepthForMix(plan.depth, o2Percentage) : -1;
+        if (tableDepth !== -1) {
+            const firstDive = {
+                depth: plan.depth,
+                tableDepth: tableDepth,
+                bottomTime: plan.bottomTime || null,
+                noDecoLimit: getTableSet().table1[tableDepth][0],
+                pressureGroup: null,
+                decompressionSchedule: null
+            };
+            if (plan.bottomTime) {
+                const info = getSingleDiveInfo(tableDepth, plan.bottomTime);
+                const schedule = info.decompressionSchedule || null;
+                firstDive.pressureGroup = info.pressureGroup ||
+                    (schedule && getTableSet().table2[schedule.pressureGroup] ? schedule.pressureGroup : null);
+                firstDive.decompressionSchedule = schedule;
+            }
+            planDocument.firstDive = firstDive;
+        }
+        const startGroup = planDocument.firstDive ? planDocument.firstDive.pressureGroup : null;
+
+        // Table 2: the surface interval and the group at the end of it
+        if (startGroup && SURFACE_INTERVAL_PATTERN.test(plan.surfaceInterval || '')) {
+            planDocument.surfaceInterval = {
+                time: plan.surfaceInterval,
+                startGroup: startGroup,
+                newGroup: getNewPressureGroup(startGroup, plan.surfaceInterval)
+            };
+        }
+        const newGroup = planDocument.surfaceInterval ? planDocument.surfaceInterval.newGroup : null;
+
+        // Table 3: the repetitive dive after the surface interval
+        if (newGroup && plan.repetitiveTableDepth) {
+            const info = getRepetitiveDiveInfo(newGroup, plan.repetitiveTableDepth);
+            planDocument.repetitiveDive = {
+                tableDepth: plan.repetitiveTableDepth,
+                pressureGroup: newGroup,
+                residualNitrogenTime: info.residualNitrogenTime,
+                adjustedNoDecoLimit: info.adjustedNoDecoLimit,
+                isExceeded: info.isExceeded,
+                message: info.message || null
+            };
+        }
+
+        // Table 3 the other way round: the group wanted for a dive, and the surface interval it takes
+        if (startGroup && plan.targetGroup && plan.targetTableDepth) {
+            const info = getRepetitiveDiveInfo(plan.targetGroup, plan.targetTableDepth);
+            planDocument.target = {
+                tableDepth: plan.targetTableDepth,
+                pressureGroup: plan.targetGroup,
+                minimumSurfaceInterval: calculateMinimumSurfaceInterval(startGroup, plan.targetGroup),
+                residualNitrogenTime: info.residualNitrogenTime,
+                adjustedNoDecoLimit: info.adjustedNoDecoLimit
+            };
+        }
+
+        // The repetitive dive chain, exceeded from a dive beyond the tables on
+        const chain = plan.diveChain || [];
+        const steps = planDiveChainForMixes(chain);
+        planDocument.diveChain = chain.map((dive, i) => ({
+            depth: dive.depth,
+            o2Percentage: dive.o2Percentage,
+            bottomTime: dive.bottomTime,
+            surfaceInterval: i > 0 ? dive.surfaceInterval : null,
+            tableDepth: steps[i].tableDepth === -1 ? null : steps[i].tableDepth,
+            startGroup: steps[i].startGroup,
+            newGroup: steps[i].newGroup,
+            residualNitrogenTime: steps[i].residualNitrogenTime,
+            noDecoLimit: steps[i].noDecoLimit,
+            pressureGroup: steps[i].pressureGroup,
+            isExceeded: steps[i].isExceeded,
+            message: steps[i].message || null
+        }));
+
+        return planDocument;
+    }
+
+    // A number from a plan file, or null when it is missing
+    function readPlanNumber(value, name) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        if (typeof value !== 'number' || !(value > 0)) {
+            throw new Error(`The plan's ${name} must be a number greater than zero.`);
+        }
+        return value;
+    }
+
+    // An O₂ percentage from a plan file or link, 21% when it is missing
+    function readPlanO2(value) {
+        const o2Percentage = value === undefined || value === null ? 21 : value;
+        if (typeof o2Percentage !== 'number' || isNaN(o2Percentage) || o2Percentage < 21 || o2Percentage > 100) {
+            throw new Error('The plan needs an O₂ percentage between 21% and 100%.');
+        }
+        return o2Percentage;
+    }
+
+    // An altitude (ft) from a plan file or link, sea level when it is missing
+    function readPlanAltitude(value) {
+        const altitude = value === undefined || value === null ? 0 : value;
+        if (typeof altitude !== 'number' || isNaN(altitude) || altitude < 0) {
+            throw new Error('The plan\'s altitude must be a number of feet, zero or more.');
+        }
+        return altitude;
+    }
+
+    // A dive of the dive chain from a plan file or link, within the active tables at the
+    // plan's altitude (ft)
+    function readPlanChainDive(dive, i, altitude) {
+        if (!dive || typeof dive !== 'object' || Array.isArray(dive)) {
+            throw new Error(`Dive ${i + 1} of the plan's dive chain is not a dive.`);
+        }
+        if (!(dive.depth > 0) || !(dive.bottomTime > 0)) {
+            throw new Error(`Dive ${i + 1} of the plan's dive chain needs a depth and a bottom time greater than zero.`);
+        }
+        if (i > 0 && !SURFACE_INTERVAL_PATTERN.test(dive.surfaceInterval || '')) {
+            throw new Error(`Dive ${i + 1} of the plan's dive chain needs a surface interval as h:mm.`);
+        }
+        const o2Percentage = readPlanO2(dive.o2Percentage);
+        if (getTableDepthForMix(dive.depth, o2Percentage, altitude) === -1) {
+            throw new Error(`Dive ${i + 1} of the plan's dive chain is beyond the maximum table depth of ${formatDepth(getMaxTableDepth())}.`);
+        }
+        return {
+            depth: dive.depth,
+            o2Percentage: o2Percentage,
+            bottomTime: dive.bottomTime,
+            surfaceInterval: i > 0 ? dive.surfaceInterval : null
+        };
+    }
+
+    // Read a JSON plan document back into a plan for createPlanDocument
+    // Returns { tableSetId, altitude, o2Percentage, depth, bottomTime, surfaceInterval,
+    // repetitiveTableDepth, targetTableDepth, targetGroup, diveChain }
+    function readPlanDocument(text) {
+        let planDocument;
+        try {
+            planDocument = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The plan file is not valid JSON.');
+        }
+
+        if (!planDocument || planDocument.format !== PLAN_FILE_FORMAT) {
+            throw new Error('This is not a dive plan file.');
+        }
+        if (!Number.isInteger(planDocument.version) || planDocument.version < 1) {
+            throw new Error('The plan file has no version.');
+        }
+        if (planDocument.version > PLAN_FILE_VERSION) {
+            throw new Error(`The plan file is version ${planDocument.version}, which is newer than this page reads (version ${PLAN_FILE_VERSION}).`);
+        }
+
+        const firstDive = planDocument.firstDive || {};
+        const surfaceInterval = planDocument.surfaceInterval ? planDocument.surfaceInterval.time : null;
+        if (surfaceInterval !== null && !SURFACE_INTERVAL_PATTERN.test(surfaceInterval)) {
+            throw new Error('The plan\'s surface interval must be h:mm.');
+        }
+        const repetitiveDive = planDocument.repetitiveDive || {};
+        const target = planDocument.target || {};
+        const diveChain = planDocument.diveChain === undefined || planDocument.diveChain === null ? [] : planDocument.diveChain;
+        if (!Array.isArray(diveChain)) {
+            throw new Error('The plan\'s dive chain must be a list of dives.');
+        }
+        const altitude = readPlanAltitude(planDocument.altitude);
+
+        return {
+            tableSetId: planDocument.tableSetId || DEFAULT_TABLE_SET_ID,
+            altitude: altitude,
+            o2Percentage: readPlanO2(planDocument.o2Percentage),
+            depth: readPlanNumber(firstDive.depth, 'depth'),
+            bottomTime: readPlanNumber(firstDive.bottomTime, 'bottom time'),
+            surfaceInterval: surfaceInterval,
+            repetitiveTableDepth: readPlanNumber(repetitiveDive.tableDepth, 'repetitive dive depth'),
+            targetTableDepth: readPlanNumber(target.tableDepth, 'target depth'),
+            targetGroup: target.pressureGroup || null,
+            diveChain: diveChain.map((dive, i) => readPlanChainDive(dive, i, altitude))
+        };
+    }
+
+    // Write a plan document as the fragment of a shareable link, such as
+    // "o2=32&depth=60&time=35&group=F&si=1:30&newgroup=E", with depths in feet and
+    // each dive of the dive chain as "dive=depth,bottom time,O₂[,surface interval]"
+    // The groups are there for people reading the link; they are worked out again when it is opened
+    function encodePlanHash(planDocument) {
+        const params = [];
+        const add = (name, value) => {
+            params.push(`${name}=${encodeURIComponent(value).replace(/%3A/g, ':').replace(/%2C/g, ',')}`);
+        };
+        const round = value => Math.round(value * 100) / 100;
+
+        if (planDocument.tableSetId !== DEFAULT_TABLE_SET_ID) add('tables', planDocument.tableSetId);
+        if (planDocument.altitude > 0) add('altitude', round(planDocument.altitude));
+        if (planDocument.o2Percentage !== 21) add('o2', planDocument.o2Percentage);
+
+        const firstDive = planDocument.firstDive;
+        if (firstDive) {
+            add('depth', round(firstDive.depth));
+            if (firstDive.bottomTime) add('time', firstDive.bottomTime);
+            if (firstDive.pressureGroup) add('group', firstDive.pressureGroup);
+        }
+        if (planDocument.surfaceInterval) {
+            add('si', planDocument.surfaceInterval.time);
+            add('newgroup', planDocument.surfaceInterval.newGroup || 'None');
+        }
+        if (planDocument.repetitiveDive) {
+            add('rep', planDocument.repetitiveDive.tableDepth);
+        }
+        if (planDocument.target) {
+            add('target', planDocument.target.pressureGroup);
+            add('targetdepth', planDocument.target.tableDepth);
+        }
+        planDocument.diveChain.forEach(dive => {
+            add('dive', [round(dive.depth), dive.bottomTime, dive.o2Percentage, dive.surfaceInterval].filter(value => value !== null).join(','));
+        });
+
+        return params.join('&');
+    }
+
+    // Read the fragment of a plan link back into a plan for createPlanDocument, with the
+    // groups the link gives as pressureGroup and newGroup
+    function decodePlanHash(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const number = name => params.has(name) ? Number(params.get(name)) : null;
+        const positive = (name, label) => {
+            const value = number(name);
+            if (value !== null && !(value > 0)) {
+                throw new Error(`The link's ${label} must be a number greater than zero.`);
+            }
+            return value;
+        };
+
+        const surfaceInterval = params.get('si');
+        if (surfaceInterval !== null && !SURFACE_INTERVAL_PATTERN.test(surfaceInterval)) {
+            throw new Error('The link\'s surface interval must be h:mm.');
+        }
+        const altitude = readPlanAltitude(number('altitude'));
+
+        return {
+            tableSetId: params.get('tables') || DEFAULT_TABLE_SET_ID,
+            altitude: altitude,
+            o2Percentage: readPlanO2(number('o2')),
+            depth: positive('depth', 'depth'),
+            bottomTime: positive('time', 'bottom time'),
+            surfaceInterval: surfaceInterval,
+            repetitiveTableDepth: positive('rep', 'repetitive dive depth'),
+            targetTableDepth: positive('targetdepth', 'target depth'),
+            targetGroup: params.get('target'),
+            pressureGroup: params.get('group'),
+            newGroup: params.has('newgroup') ? params.get('newgroup') : null,
+            diveChain: params.getAll('dive').map((text, i) => {
+                const [depth, bottomTime, o2Percentage, chainSurfaceInterval] = text.split(',');
+                return readPlanChainDive({
+                    depth: Number(depth),
+                    bottomTime: Number(bottomTime),
+                    o2Percentage: o2Percentage === undefined ? 21 : Number(o2Percentage),
+                    surfaceInterval: chainSurfaceInterval
+                }, i, altitude);
+            })
+        };
+    }
+
+    // The dives of a plan document with a depth and a bottom time: the dive chain, or
+    // else the first dive picked in Table 1
+    // Returns [{ depth, bottomTime, o2Percentage, surfaceInterval, stops }]
+    function getPlannedDives(planDocument) {
+        if (planDocument.diveChain.length > 0) {
+            return planDocument.diveChain.map(dive => ({
+                depth: dive.depth,
+                bottomTime: dive.bottomTime,
+                o2Percentage: dive.o2Percentage,
+                surfaceInterval: dive.surfaceInterval,
+                stops: []
+            }));
+        }
+
+        const firstDive = planDocument.firstDive;
+        if (!firstDive || !firstDive.bottomTime) {
+            return [];
+        }
+        const schedule = firstDive.decompressionSchedule;
+        return [{
+            depth: firstDive.depth,
+            bottomTime: firstDive.bottomTime,
+            o2Percentage: planDocument.o2Percentage,
+            surfaceInterval: null,
+            stops: schedule ? schedule.stops.map(stop => ({ depth: stop.actualDepth, time: stop.time })) : []
+        }];
+    }
+
+    // Escape text for XML
+    function escapeXML(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // Meters with one decimal for UDDF
+    function formatMeters(feet) {
+        return (Math.round(feetToMeters(feet) * 10) / 10).toFixed(1);
+    }
+
+    // Write the planned dives of a plan document as UDDF 3.2, with each dive's profile
+    // (descent, bottom time, stops and ascent) as waypoints in meters and seconds
+    function exportPlanUDDF(planDocument) {
+        const dives = getPlannedDives(planDocument);
+        if (dives.length === 0) {
+            throw new Error('The plan has no dive with a depth and a bottom time to export.');
+        }
+
+        const mixIds = {};
+        dives.forEach(dive => {
+            mixIds[dive.o2Percentage] = `mix-${String(dive.o2Percentage).replace('.', '-')}`;
+        });
+        const mixes = Object.keys(mixIds).map(o2Percentage => [
+            `    <mix id="${mixIds[o2Percentage]}">`,
+            `      <name>${Number(o2Percentage) > 21 ? `EANx ${o2Percentage}` : 'Air'}</name>`,
+            `      <o2>${(o2Percentage / 100).toFixed(3)}</o2>`,
+            `      <n2>${(1 - o2Percentage / 100).toFixed(3)}</n2>`,
+            '      <he>0.000</he>',
+            '    </mix>'
+        ].join('\n'));
+
+        const diveElements = dives.map((dive, i) => {
+            const profile = buildProfileChart([{ depth: dive.depth, bottomTime: dive.bottomTime, stops: dive.stops }]);
+            const waypoints = profile.points.map((point, j) => [
+                '          <waypoint>',
+                `            <depth>${formatMeters(point.depth)}</depth>`,
+                `            <divetime>${Math.round(point.time * 60)}</divetime>`,
+                j === 0 ? `            <switchmix ref="${mixIds[dive.o2Percentage]}"/>` : null,
+                '          </waypoint>'
+            ].filter(line => line !== null).join('\n'));
+            const surfaceInterval = dive.surfaceInterval ?
+                `<passedtime>${parseTimeToMinutes(dive.surfaceInterval) * 60}</passedtime>` :
+                '<infinity/>';
+
+            return [
+                `      <dive id="dive-${i + 1}">`,
+                '        <informationbeforedive>',
+                `          <divenumber>${i + 1}</divenumber>`,
+                `          <surfaceintervalbeforedive>${surfaceInterval}</surfaceintervalbeforedive>`,
+                '        </informationbeforedive>',
+                '        <samples>',
+                waypoints.join('\n'),
+                '        </samples>',
+                '        <informationafterdive>',
+                `          <greatestdepth>${formatMeters(dive.depth)}</greatestdepth>`,
+                `          <diveduration>${Math.round(profile.totalTime * 60)}</diveduration>`,
+                '        </informationafterdive>',
+                '      </dive>'
+            ].join('\n');
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<uddf xmlns="http://www.streit.cc/uddf/3.2/" version="3.2.0">',
+            '  <generator>',
+            '    <name>Scuba Diving Calculations</name>',
+            '    <type>diveplanner</type>',
+            `    <datetime>${escapeXML(planDocument.exportedAt)}</datetime>`,
+            '  </generator>',
+            '  <gasdefinitions>',
+            mixes.join('\n'),
+            '  </gasdefinitions>',
+            '  <profiledata>',
+            `    <repetitiongroup id="plan-${escapeXML(planDocument.tableSetId)}">`,
+            diveElements.join('\n'),
+            '    </repetitiongroup>',
+            '  </profiledata>',
+            '</uddf>',
+            ''
+        ].join('\n');
+    }
+
+    // A CSV field, quoted when it holds a comma, quote or line break
+    function formatCSVField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Write a plan document as CSV, one line per dive with what the tables give for it
+    // The dive chain is written when there is one; otherwise the first dive and the
+    // repetitive dive (or target group) picked in the tables
+    function exportPlanCSV(planDocument) {
+        const header = [
+            'dive', 'depth (ft)', 'table depth (ft)', 'o2 (%)', 'bottom time (min)', 'surface interval',
+            'start group', 'new group', 'residual nitrogen time (min)', 'no-deco limit (min)', 'pressure group', 'notes'
+        ];
+        const rows = [];
+
+        if (planDocument.diveChain.length > 0) {
+            planDocument.diveChain.forEach((dive, i) => {
+                rows.push([
+                    i + 1, dive.depth, dive.tableDepth, dive.o2Percentage, dive.bottomTime, dive.surfaceInterval,
+                    dive.startGroup, dive.newGroup, dive.residualNitrogenTime, dive.noDecoLimit, dive.pressureGroup,
+                    dive.isExceeded ? dive.message : ''
+                ]);
+            });
+        } else if (planDocument.firstDive) {
+            const firstDive = planDocument.firstDive;
+            const schedule = firstDive.decompressionSchedule;
+            rows.push([
+                1, firstDive.depth, firstDive.tableDepth, planDocument.o2Percentage, firstDive.bottomTime, '',
+                '', '', 0, firstDive.noDecoLimit, firstDive.pressureGroup,
+                !schedule ? '' : schedule.isUnlimited ? 'No decompression needed: no limit at this depth' :
+                    `Decompression: ${schedule.stops.map(stop => `${stop.time} min at ${stop.depth} ft`).join(', ') || 'no stops'}`
+            ]);
+
+            const surfaceInterval = planDocument.surfaceInterval;
+            const repetitiveDive = planDocument.repetitiveDive;
+            const target = planDocument.target;
+            if (repetitiveDive) {
+                rows.push([
+                    2, '', repetitiveDive.tableDepth, planDocument.o2Percentage, '', surfaceInterval.time,
+                    surfaceInterval.startGroup, surfaceInterval.newGroup, repetitiveDive.residualNitrogenTime,
+                    repetitiveDive.adjustedNoDecoLimit, '', repetitiveDive.isExceeded ? repetitiveDive.message : ''
+                ]);
+            } else if (target) {
+                rows.push([
+                    2, '', target.tableDepth, planDocument.o2Percentage, '', target.minimumSurfaceInterval,
+                    firstDive.pressureGroup, target.pressureGroup, target.residualNitrogenTime,
+                    target.adjustedNoDecoLimit, '', `Minimum surface interval to reach group ${target.pressureGroup}`
+                ]);
+            } else if (surfaceInterval) {
+                rows.push([
+                    2, '', '', planDocument.o2Percentage, '', surfaceInterval.time,
+                    surfaceInterval.startGroup, surfaceInterval.newGroup || 'None', '', '', '', ''
+                ]);
+            }
+        }
+
+        if (rows.length === 0) {
+            throw new Error('The plan has no dive to export.');
+        }
+
+        return [header, ...rows].map(row => row.map(formatCSVField).join(',')).join('\n') + '\n';
+    }
+
+    return {
+        PLAN_FILE_FORMAT,
+        PLAN_FILE_VERSION,
+        createPlanDocument,
+        readPlanDocument,
+        exportPlanUDDF,
+        exportPlanCSV,
+        encodePlanHash,
+        decodePlanHash
+    };
+});
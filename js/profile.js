@@ -0,0 +1,131 @@
+// Scuba Diving Calculations - Multi-level dive profile planner
+//
+// Remaining no-decompression time per level from the Bühlmann tissues, and the
+// pressure group from the Navy 120-minute repetitive tissue. Depths in feet.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./calculations.js'), require('./buhlmann.js'));
+    } else {
+        Object.assign(root, factory(root, root));
+    }
+})(this, function (calc, buhlmann) {
+
+    const { getTableSet, getSingleDiveInfo, getTableDepthForMix, calculateMOD, depthToFeet, percentToDecimal } = calc;
+    const { createSurfaceTissues, loadTissuesAtDepth, loadTissuesDuringDepthChange, calculateBuhlmannNDL } = buhlmann;
+
+    // Half-time (minutes) of the tissue that sets the Navy repetitive group
+    const NAVY_REPETITIVE_HALF_TIME = 120;
+
+    // Default travel rates between levels (feet per minute)
+    const DEFAULT_DESCENT_RATE = 60;
+    const DEFAULT_ASCENT_RATE = 30;
+
+    // Inspired nitrogen (fsw) on air at a Navy table depth
+    function getTableInspiredNitrogen(tableDepth) {
+        return (tableDepth + 33) * 0.79;
+    }
+
+    // Square-dive bottom time at a table depth that gives the same repetitive tissue tension
+    function getEquivalentBottomTime(tension, tableDepth) {
+        const inspired = getTableInspiredNitrogen(tableDepth);
+        const surface = getTableInspiredNitrogen(0);
+        return -NAVY_REPETITIVE_HALF_TIME * Math.log2((inspired - tension) / (inspired - surface));
+    }
+
+    // Plan a multi-level dive
+    // segments: [{ depth, time }] in actual feet and minutes, in the order they are dived
+    // options: { o2Percentage, gfLow, gfHigh, descentRate, ascentRate }
+    function planMultiLevelDive(segments, options = {}) {
+        const o2Percentage = options.o2Percentage || 21;
+        const descentRate = options.descentRate || DEFAULT_DESCENT_RATE;
+        const ascentRate = options.ascentRate || DEFAULT_ASCENT_RATE;
+        const gas = { fO2: percentToDecimal(o2Percentage) };
+        const gfOptions = { gfLow: options.gfLow, gfHigh: options.gfHigh };
+
+        if (!Array.isArray(segments) || segments.length === 0) {
+            throw new Error('Enter at least one depth and time segment.');
+        }
+
+        segments.forEach((segment, i) => {
+            if (isNaN(segment.depth) || segment.depth <= 0 || isNaN(segment.time) || segment.time <= 0) {
+                throw new Error(`Segment ${i + 1} needs a depth and a time greater than zero.`);
+            }
+        });
+
+        // The MOD is only checked for nitrox mixes
+        const mod = o2Percentage > 21 ? depthToFeet(calculateMOD(o2Percentage)) : Infinity;
+
+        let tissues = createSurfaceTissues();
+        let tension = getTableInspiredNitrogen(0);
+        let previousDepth = 0;
+        let deepestTableDepth = 0;
+        let totalTime = 0;
+        let isExceeded = false;
+        const results = [];
+
+        segments.forEach((segment, i) => {
+            const tableDepth = getTableDepthForMix(segment.depth, o2Percentage);
+
+            // Travel to the level counts towards the segment time, as descent counts towards bottom time
+            const rate = segment.depth > previousDepth ? descentRate : ascentRate;
+            const travelTime = Math.min(segment.time, Math.abs(segment.depth - previousDepth) / rate);
+            tissues = loadTissuesDuringDepthChange(tissues, previousDepth, segment.depth, travelTime, gas);
+            tissues = loadTissuesAtDepth(tissues, segment.depth, segment.time - travelTime, gas);
+
+            const noDecoTimeRemaining = calculateBuhlmannNDL(segment.depth, gas, { gfHigh: gfOptions.gfHigh, tissues: tissues });
+
+            // Navy group from the repetitive tissue, as a square dive at the deepest level so far
+            let pressureGroup = null;
+            let equivalentTime = null;
+            if (tableDepth === -1) {
+                isExceeded = true;
+            } else {
+                const inspired = getTableInspiredNitrogen(tableDepth);
+                tension = inspired + (tension - inspired) * Math.pow(2, -segment.time / NAVY_REPETITIVE_HALF_TIME);
+                deepestTableDepth = Math.max(deepestTableDepth, tableDepth);
+                equivalentTime = Math.ceil(getEquivalentBottomTime(tension, deepestTableDepth) - 1e-9);
+
+                const info = getSingleDiveInfo(deepestTableDepth, equivalentTime);
+                pressureGroup = info.pressureGroup;
+                isExceeded = isExceeded || info.isExceeded;
+            }
+
+            totalTime += segment.time;
+            results.push({
+                depth: segment.depth,
+                time: segment.time,
+                tableDepth: tableDepth,
+                equivalentTime: equivalentTime,
+                pressureGroup: isExceeded ? null : pressureGroup,
+                noDecoTimeRemaining: noDecoTimeRemaining,
+                exceedsMOD: segment.depth > mod,
+                exceedsTable: tableDepth === -1,
+                isDeeperThanPrevious: i > 0 && segment.depth > segments[i - 1].depth
+            });
+
+            previousDepth = segment.depth;
+        });
+
+        const last = results[results.length - 1];
+
+        return {
+            segments: results,
+            totalTime: totalTime,
+            maxDepth: Math.max(...segments.map(segment => segment.depth)),
+            tableDepth: deepestTableDepth,
+            equivalentTime: last.equivalentTime,
+            pressureGroup: isExceeded ? null : last.pressureGroup,
+            isExceeded: isExceeded,
+            exceedsMOD: results.some(segment => segment.exceedsMOD),
+            isReverseProfile: results.some(segment => segment.isDeeperThanPrevious),
+            mod: mod,
+            noDecoLimit: deepestTableDepth > 0 ? getTableSet().table1[deepestTableDepth][0] : null,
+            tissues: tissues
+        };
+    }
+
+    return {
+        planMultiLevelDive
+    };
+});
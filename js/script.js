@@ -1,461 +1,62 @@
 // Scuba Diving Calculations - Dalton's Triangle and Doppler No-Decompression Limits
 
-// Helper Functions for Unit Conversions
-function ftToATA(feet) {
-    // 1 ATA at surface, and add 1 ATA for every 33 feet of seawater
-    return 1 + (feet / 33);
-}
-
-function ataToFT(ata) {
-    // Convert ATA to depth in feet
-    return (ata - 1) * 33;
-}
-
-function percentToDecimal(percent) {
-    return percent / 100;
-}
-
-function decimalToPercent(decimal) {
-    return decimal * 100;
-}
-
-// Dalton's Triangle Calculations - 2 out of 3 calculator
-function calculateDaltonsTriangle(inputs) {
-    // Inputs should contain any 2 of the 3: depth (ft), fO2 (decimal), pO2 (ATA)
-    const result = {};
-    
-    // Case 1: Calculate pO2 from depth and fO2
-    if (inputs.depth !== undefined && inputs.fO2 !== undefined && inputs.pO2 === undefined) {
-        const pressure = ftToATA(inputs.depth);
-        const pO2 = pressure * inputs.fO2;
-        const pN2 = pressure * (1 - inputs.fO2);
-        
-        result.depth = inputs.depth;
-        result.fO2 = inputs.fO2;
-        result.pressure = pressure;
-        result.pO2 = pO2;
-        result.pN2 = pN2;
-    }
-    // Case 2: Calculate depth from fO2 and pO2
-    else if (inputs.fO2 !== undefined && inputs.pO2 !== undefined && inputs.depth === undefined) {
-        const pressure = inputs.pO2 / inputs.fO2;
-        const depth = ataToFT(pressure);
-        const pN2 = pressure * (1 - inputs.fO2);
-        
-        result.depth = depth;
-        result.fO2 = inputs.fO2;
-        result.pressure = pressure;
-        result.pO2 = inputs.pO2;
-        result.pN2 = pN2;
-    }
-    // Case 3: Calculate fO2 from depth and pO2
-    else if (inputs.depth !== undefined && inputs.pO2 !== undefined && inputs.fO2 === undefined) {
-        const pressure = ftToATA(inputs.depth);
-        const fO2 = inputs.pO2 / pressure;
-        const pN2 = pressure * (1 - fO2);
-        
-        result.depth = inputs.depth;
-        result.fO2 = fO2;
-        result.pressure = pressure;
-        result.pO2 = inputs.pO2;
-        result.pN2 = pN2;
-    }
-    else {
-        throw new Error("Invalid input combination. Provide exactly 2 of the 3 values: depth, fO2, pO2");
-    }
-    
-    // Format results to 2 decimal places
-    for (let key in result) {
-        if (typeof result[key] === 'number') {
-            result[key] = parseFloat(result[key].toFixed(2));
-        }
-    }
-    
-    return result;
-}
-
-// US Navy Dive Tables
-
-// Table 1: No-Decompression Limits and Repetitive Group Designation
-const navyTable1 = {
-    // Depth in feet: [no-deco limit in minutes, group designations for different times]
-    // Format: [max NDL, {minutes: group}]
-    10: [60 * 5, {60: 'A', 120: 'B', 210: 'C', 300: 'D'}], // Unlimited in reality, using 5 hours as max
-    15: [60 * 5, {35: 'A', 70: 'B', 110: 'C', 160: 'D', 225: 'E', 350: 'F'}],
-    20: [325, {25: 'A', 50: 'B', 75: 'C', 100: 'D', 135: 'E', 180: 'F', 240: 'G', 325: 'H'}],
-    25: [245, {20: 'A', 35: 'B', 55: 'C', 75: 'D', 100: 'E', 125: 'F', 160: 'G', 195: 'H', 245: 'I'}],
-    30: [205, {15: 'A', 30: 'B', 45: 'C', 60: 'D', 75: 'E', 95: 'F', 120: 'G', 145: 'H', 170: 'I', 205: 'J'}],
-    35: [160, {5: 'A', 15: 'B', 25: 'C', 40: 'D', 50: 'E', 60: 'F', 80: 'G', 100: 'H', 120: 'I', 140: 'J', 160: 'K'}],
-    40: [130, {5: 'A', 15: 'B', 25: 'C', 30: 'D', 40: 'E', 50: 'F', 70: 'G', 80: 'H', 100: 'I', 110: 'J', 130: 'K'}],
-    50: [70, {10: 'B', 15: 'C', 25: 'D', 30: 'E', 40: 'F', 50: 'G', 60: 'H', 70: 'I'}],
-    60: [50, {10: 'B', 15: 'C', 20: 'D', 25: 'E', 30: 'F', 40: 'G', 50: 'H'}],
-    70: [40, {5: 'B', 10: 'C', 15: 'D', 20: 'E', 30: 'F', 35: 'G', 40: 'H'}],
-    80: [30, {5: 'B', 10: 'C', 15: 'D', 20: 'E', 25: 'F', 30: 'G'}],
-    90: [25, {5: 'B', 10: 'C', 12: 'D', 15: 'E', 20: 'F', 25: 'G'}],
-    100: [20, {5: 'B', 7: 'C', 10: 'D', 15: 'E', 20: 'F'}],
-    110: [15, {5: 'B', 10: 'C', 13: 'D', 15: 'E'}],
-    120: [10, {5: 'C', 10: 'D'}],
-    130: [5, {5: 'D'}]
-};
-
-// Table 2: Surface Interval Credit Table (corrected version)
-// This maps from current group to new group based on surface interval
-// Format: current group -> {new group: [min time, max time]}
-const navyTable2 = {
-    // For each starting group, we define the minimum and maximum surface interval time to reach each new group
-    'K': {
-        'K': ['0:10', '0:28'],  // Any surface interval less than 29 minutes means you remain in K
-        'J': ['0:29', '0:49'],  // Minimum surface interval to reach J is 29 minutes
-        'I': ['0:50', '1:11'],  // Minimum surface interval to reach I is 50 minutes
-        'H': ['1:12', '1:35'],  // Minimum surface interval to reach H is 1 hour 12 minutes
-        'G': ['1:36', '2:03'],  // Minimum surface interval to reach G is 1 hour 36 minutes
-        'F': ['2:04', '2:38'],  // Minimum surface interval to reach F is 2 hours 4 minutes
-        'E': ['2:39', '3:21'],  // Minimum surface interval to reach E is 2 hours 39 minutes
-        'D': ['3:22', '4:19'],  // Minimum surface interval to reach D is 3 hours 22 minutes
-        'C': ['4:20', '5:48'],  // Minimum surface interval to reach C is 4 hours 20 minutes
-        'B': ['5:49', '8:58'],  // Minimum surface interval to reach B is 5 hours 49 minutes
-        'A': ['8:59', '11:59'], // Minimum surface interval to reach A is 8 hours 59 minutes
-        'None': ['12:00', '--'] // After 12 hours, no longer a repetitive dive
-    },
-    'J': {
-        'J': ['0:10', '0:31'],  // Any surface interval less than 32 minutes means you remain in J
-        'I': ['0:32', '0:54'],  // Minimum surface interval to reach I is 32 minutes
-        'H': ['0:55', '1:19'],  // Minimum surface interval to reach H is 55 minutes
-        'G': ['1:20', '1:47'],  // Minimum surface interval to reach G is 1 hour 20 minutes
-        'F': ['1:48', '2:20'],  // Minimum surface interval to reach F is 1 hour 48 minutes
-        'E': ['2:21', '3:04'],  // Minimum surface interval to reach E is 2 hours 21 minutes
-        'D': ['3:05', '4:02'],  // Minimum surface interval to reach D is 3 hours 5 minutes
-        'C': ['4:03', '5:40'],  // Minimum surface interval to reach C is 4 hours 3 minutes
-        'B': ['5:41', '8:50'],  // Minimum surface interval to reach B is 5 hours 41 minutes
-        'A': ['8:51', '11:59'], // Minimum surface interval to reach A is 8 hours 51 minutes
-        'None': ['12:00', '--'] // After 12 hours, no longer a repetitive dive
-    },
-    'I': {
-        'I': ['0:10', '0:33'],  // Any surface interval less than 34 minutes means you remain in I
-        'H': ['0:34', '0:59'],  // Minimum surface interval to reach H is 34 minutes
-        'G': ['1:00', '1:29'],  // Minimum surface interval to reach G is 1 hour
-        'F': ['1:30', '2:02'],  // Minimum surface interval to reach F is 1 hour 30 minutes
-        'E': ['2:03', '2:44'],  // Minimum surface interval to reach E is 2 hours 3 minutes
-        'D': ['2:45', '3:43'],  // Minimum surface interval to reach D is 2 hours 45 minutes
-        'C': ['3:44', '5:12'],  // Minimum surface interval to reach C is 3 hours 44 minutes
-        'B': ['5:13', '8:21'],  // Minimum surface interval to reach B is 5 hours 13 minutes
-        'A': ['8:22', '11:59'], // Minimum surface interval to reach A is 8 hours 22 minutes
-        'None': ['12:00', '--'] // After 12 hours, no longer a repetitive dive
-    },
-    'H': {
-        'H': ['0:10', '0:36'],  // Any surface interval less than 37 minutes means you remain in H
-        'G': ['0:37', '1:06'],  // Minimum surface interval to reach G is 37 minutes
-        'F': ['1:07', '1:41'],  // Minimum surface interval to reach F is 1 hour 7 minutes
-        'E': ['1:42', '2:23'],  // Minimum surface interval to reach E is 1 hour 42 minutes
-        'D': ['2:24', '3:20'],  // Minimum surface interval to reach D is 2 hours 24 minutes
-        'C': ['3:21', '4:49'],  // Minimum surface interval to reach C is 3 hours 21 minutes
-        'B': ['4:50', '7:59'],  // Minimum surface interval to reach B is 4 hours 50 minutes
-        'A': ['8:00', '11:59'], // Minimum surface interval to reach A is 8 hours
-        'None': ['12:00', '--'] // After 12 hours, no longer a repetitive dive
-    },
-    'G': {
-        'G': ['0:10', '0:40'],  // Any surface interval less than 41 minutes means you remain in G
-        'F': ['0:41', '1:15'],  // Minimum surface interval to reach F is 41 minutes
-        'E': ['1:16', '1:59'],  // Minimum surface interval to reach E is 1 hour 16 minutes
-        'D': ['2:00', '2:58'],  // Minimum surface interval to reach D is 2 hours
-        'C': ['2:59', '4:25'],  // Minimum surface interval to reach C is 2 hours 59 minutes
-        'B': ['4:26', '7:35'],  // Minimum surface interval to reach B is 4 hours 26 minutes
-        'A': ['7:36', '11:59'], // Minimum surface interval to reach A is 7 hours 36 minutes
-        'None': ['12:00', '--'] // After 12 hours, no longer a repetitive dive
-    },
-    'F': {
-        'F': ['0:10', '0:45'],  // Any surface interval less than 46 minutes means you remain in F
-        'E': ['0:46', '1:29'],  // Minimum surface interval to reach E is 46 minutes
-        'D': ['1:30', '2:28'],  // Minimum surface interval to reach D is 1 hour 30 minutes
-        'C': ['2:29', '3:57'],  // Minimum surface interval to reach C is 2 hours 29 minutes
-        'B': ['3:58', '7:05'],  // Minimum surface interval to reach B is 3 hours 58 minutes
-        'A': ['7:06', '11:59'], // Minimum surface interval to reach A is 7 hours 6 minutes
-        'None': ['12:00', '--'] // After 12 hours, no longer a repetitive dive
-    },
-    'E': {
-        'E': ['0:10', '0:54'],  // Any surface interval less than 55 minutes means you remain in E
-        'D': ['0:55', '1:57'],  // Minimum surface interval to reach D is 55 minutes
-        'C': ['1:58', '3:24'],  // Minimum surface interval to reach C is 1 hour 58 minutes
-        'B': ['3:25', '6:34'],  // Minimum surface interval to reach B is 3 hours 25 minutes
-        'A': ['6:35', '11:59'], // Minimum surface interval to reach A is 6 hours 35 minutes
-        'None': ['12:00', '--'] // After 12 hours, no longer a repetitive dive
-    },
-    'D': {
-        'D': ['0:10', '1:09'],  // Any surface interval less than 1 hour 10 minutes means you remain in D
-        'C': ['1:10', '2:38'],  // Minimum surface interval to reach C is 1 hour 10 minutes
-        'B': ['2:39', '5:48'],  // Minimum surface interval to reach B is 2 hours 39 minutes
-        'A': ['5:49', '11:59'], // Minimum surface interval to reach A is 5 hours 49 minutes
-        'None': ['12:00', '--'] // After 12 hours, no longer a repetitive dive
-    },
-    'C': {
-        'C': ['0:10', '1:39'],  // Any surface interval less than 1 hour 40 minutes means you remain in C
-        'B': ['1:40', '4:49'],  // Minimum surface interval to reach B is 1 hour 40 minutes
-        'A': ['4:50', '11:59'], // Minimum surface interval to reach A is 4 hours 50 minutes
-        'None': ['12:00', '--'] // After 12 hours, no longer a repetitive dive
-    },
-    'B': {
-        'B': ['0:10', '3:20'],  // Any surface interval less than 3 hours 21 minutes means you remain in B
-        'A': ['3:21', '11:59'], // Minimum surface interval to reach A is 3 hours 21 minutes
-        'None': ['12:00', '--'] // After 12 hours, no longer a repetitive dive
-    },
-    'A': {
-        'A': ['0:10', '11:59'], // Any surface interval less than 12 hours means you remain in A
-        'None': ['12:00', '--'] // After 12 hours, no longer a repetitive dive
-    }
-};
-
-// Table 3: Residual Nitrogen Times (minutes)
-const navyTable3 = {
-    // Format: depth -> {group: [RNT, ANDL]}
-    // RNT = Residual Nitrogen Time
-    // ANDL = Adjusted No-Decompression Limit
-    10: {
-        'A': [39, 'N/L'], 'B': [88, 'N/L'], 'C': [159, 'N/L'], 'D': [279, 'N/L'],
-        'E': ['N/L', 'N/L'], 'F': ['N/L', 'N/L'], 'G': ['N/L', 'N/L'], 'H': ['N/L', 'N/L'],
-        'I': ['N/L', 'N/L'], 'J': ['N/L', 'N/L'], 'K': ['N/L', 'N/L']
-    },
-    20: {
-        'A': [18, 'N/L'], 'B': [39, 'N/L'], 'C': [62, 'N/L'], 'D': [88, 'N/L'],
-        'E': [120, 'N/L'], 'F': [159, 'N/L'], 'G': [208, 'N/L'], 'H': [279, 'N/L'],
-        'I': [399, 'N/L'], 'J': ['N/L', 'N/L'], 'K': ['N/L', 'N/L']
-    },
-    30: {
-        'A': [12, 193], 'B': [25, 180], 'C': [39, 166], 'D': [54, 151],
-        'E': [70, 135], 'F': [88, 117], 'G': [109, 96], 'H': [132, 73],
-        'I': [159, 46], 'J': [190, 15], 'K': ['N/L', 0]
-    },
-    40: {
-        'A': [7, 123], 'B': [17, 113], 'C': [25, 105], 'D': [37, 93],
-        'E': [49, 81], 'F': [61, 69], 'G': [73, 57], 'H': [87, 43],
-        'I': [101, 29], 'J': [116, 14], 'K': [138, 0]
-    },
-    50: {
-        'A': [6, 64], 'B': [13, 57], 'C': [21, 49], 'D': [29, 41],
-        'E': [38, 32], 'F': [47, 23], 'G': [56, 14], 'H': [66, 4],
-        'I': ['N/L', 0], 'J': ['N/L', 0], 'K': ['N/L', 0]
-    },
-    60: {
-        'A': [5, 45], 'B': [11, 39], 'C': [17, 33], 'D': [24, 26],
-        'E': [30, 20], 'F': [36, 14], 'G': [44, 6], 'H': ['N/L', 0],
-        'I': ['N/L', 0], 'J': ['N/L', 0], 'K': ['N/L', 0]
-    },
-    70: {
-        'A': [4, 36], 'B': [9, 31], 'C': [15, 25], 'D': [20, 20],
-        'E': [26, 14], 'F': [31, 9], 'G': [37, 3], 'H': ['N/L', 0],
-        'I': ['N/L', 0], 'J': ['N/L', 0], 'K': ['N/L', 0]
-    },
-    80: {
-        'A': [4, 26], 'B': [8, 22], 'C': [13, 17], 'D': [18, 12],
-        'E': [23, 7], 'F': [28, 2], 'G': ['N/L', 0], 'H': ['N/L', 0],
-        'I': ['N/L', 0], 'J': ['N/L', 0], 'K': ['N/L', 0]
-    },
-    90: {
-        'A': [3, 22], 'B': [7, 18], 'C': [11, 14], 'D': [16, 9],
-        'E': [20, 5], 'F': [24, 1], 'G': ['N/L', 0], 'H': ['N/L', 0],
-        'I': ['N/L', 0], 'J': ['N/L', 0], 'K': ['N/L', 0]
-    },
-    100: {
-        'A': [3, 17], 'B': [7, 13], 'C': [10, 10], 'D': [14, 6],
-        'E': [18, 2], 'F': ['N/L', 0], 'G': ['N/L', 0], 'H': ['N/L', 0],
-        'I': ['N/L', 0], 'J': ['N/L', 0], 'K': ['N/L', 0]
-    },
-    110: {
-        'A': [3, 12], 'B': [6, 9], 'C': [9, 6], 'D': [12, 3],
-        'E': [15, 0], 'F': ['N/L', 0], 'G': ['N/L', 0], 'H': ['N/L', 0],
-        'I': ['N/L', 0], 'J': ['N/L', 0], 'K': ['N/L', 0]
-    },
-    120: {
-        'A': [3, 7], 'B': [6, 4], 'C': [9, 1], 'D': ['N/L', 0],
-        'E': ['N/L', 0], 'F': ['N/L', 0], 'G': ['N/L', 0], 'H': ['N/L', 0],
-        'I': ['N/L', 0], 'J': ['N/L', 0], 'K': ['N/L', 0]
-    },
-    130: {
-        'A': [3, 2], 'B': ['N/L', 0], 'C': ['N/L', 0], 'D': ['N/L', 0],
-        'E': ['N/L', 0], 'F': ['N/L', 0], 'G': ['N/L', 0], 'H': ['N/L', 0],
-        'I': ['N/L', 0], 'J': ['N/L', 0], 'K': ['N/L', 0]
-    }
-};
-
-// Helper function to find the closest depth in the tables
-function findClosestDepth(depth) {
-    const depths = Object.keys(navyTable1).map(Number);
-    
-    // If depth is less than the minimum in the table
-    if (depth < depths[0]) {
-        return depths[0];
-    }
-    
-    // If depth is greater than the maximum in the table
-    if (depth > depths[depths.length - 1]) {
-        return -1; // No safe no-decompression limit
-    }
-    
-    // Find the exact depth or next highest depth
-    for (let i = 0; i < depths.length; i++) {
-        if (depth <= depths[i]) {
-            return depths[i];
-        }
-    }
-    
-    return -1; // Fallback (should not reach here)
-}
-
-// Get no-decompression limit and pressure group for a single dive
-function getSingleDiveInfo(depth, bottomTime) {
-    const tableDepth = findClosestDepth(depth);
-    
-    if (tableDepth === -1) {
-        return {
-            noDecoLimit: 0,
-            pressureGroup: null,
-            isExceeded: true,
-            message: "Depth exceeds maximum table depth of 130 feet."
-        };
-    }
+// Event listeners for form submissions and UI interactions
+document.addEventListener('DOMContentLoaded', function() {
+    // Setup unit system, water type, altitude and table set before anything is rendered
+    setupUnitSettings();
+    setupWaterSettings();
+    setupOxygenLimitSettings();
+    setupNarcosisSettings();
+    setupAltitudeSettings();
+    setupTableSetSettings();
     
-    const [maxNDL, timeGroups] = navyTable1[tableDepth];
+    // Populate dive tables
+    populateDiveTables();
     
-    // Check if bottom time exceeds the maximum NDL
-    if (bottomTime > maxNDL) {
-        return {
-            noDecoLimit: maxNDL,
-            pressureGroup: null,
-            isExceeded: true,
-            message: `Bottom time exceeds the no-decompression limit of ${maxNDL} minutes for ${tableDepth} feet.`
-        };
-    }
+    // Setup interactive functionality
+    setupInteractiveTables();
     
-    // Find the pressure group
-    let pressureGroup = null;
-    const times = Object.keys(timeGroups).map(Number).sort((a, b) => a - b);
+    // Setup Nitrox functionality
+    setupNitroxCalculations();
     
-    for (let i = 0; i < times.length; i++) {
-        if (bottomTime <= times[i]) {
-            pressureGroup = timeGroups[times[i]];
-            break;
-        }
-    }
+    // Setup the gas blending calculator
+    setupGasBlending();
     
-    return {
-        noDecoLimit: maxNDL,
-        pressureGroup: pressureGroup,
-        isExceeded: false,
-        message: `No-decompression limit: ${maxNDL} minutes. Pressure group: ${pressureGroup}.`
-    };
-}
-
-// Parse a time string in the format "h:mm" to minutes
-function parseTimeToMinutes(timeStr) {
-    const [hours, minutes] = timeStr.split(':').map(Number);
-    return hours * 60 + minutes;
-}
-
-// Get new pressure group after surface interval
-function getNewPressureGroup(currentGroup, surfaceInterval) {
-    if (!navyTable2[currentGroup]) {
-        return null;
-    }
+    // Setup Bühlmann gradient factors
+    setupBuhlmannSettings();
     
-    // Convert surface interval to minutes for comparison
-    const surfaceIntervalMinutes = parseTimeToMinutes(surfaceInterval);
+    // Setup gas planning
+    setupGasPlanner();
     
-    // Find the new group based on surface interval
-    let newGroup = null;
+    // Setup oxygen exposure tracking
+    setupOxygenTracking();
     
-    // Check each possible new group for the current group
-    for (const [group, [minTime, maxTime]] of Object.entries(navyTable2[currentGroup])) {
-        const minMinutes = parseTimeToMinutes(minTime);
-        const maxMinutes = maxTime === '--' ? Infinity : parseTimeToMinutes(maxTime);
-        
-        // If the surface interval is within this range, we found our new group
-        if (surfaceIntervalMinutes >= minMinutes && surfaceIntervalMinutes < maxMinutes) {
-            newGroup = group === 'None' ? null : group;
-            break;
-        }
-    }
+    // Setup the flying after diving calculator
+    setupFlyingAfterDiving();
     
-    return newGroup;
-}
-
-// Get residual nitrogen time and adjusted no-decompression limit for repetitive dive
-function getRepetitiveDiveInfo(pressureGroup, depth) {
-    const tableDepth = findClosestDepth(depth);
+    // Setup the multi-level dive planner
+    setupProfilePlanner();
     
-    if (tableDepth === -1 || !navyTable3[tableDepth] || !navyTable3[tableDepth][pressureGroup]) {
-        return {
-            residualNitrogenTime: null,
-            adjustedNoDecoLimit: null,
-            isExceeded: true,
-            message: "Invalid depth or pressure group for repetitive dive."
-        };
-    }
+    // Setup actual depth entry for depths between the Table 1 rows
+    setupDepthEntry();
     
-    const [rnt, andl] = navyTable3[tableDepth][pressureGroup];
+    // Setup bottom time entry for times past the Table 1 columns
+    setupBottomTimeEntry();
     
-    // Check if the dive is possible
-    if (rnt === 'N/L' || andl === 0) {
-        return {
-            residualNitrogenTime: rnt,
-            adjustedNoDecoLimit: andl,
-            isExceeded: true,
-            message: "Repetitive dive not recommended at this depth with current pressure group."
-        };
-    }
+    // Setup the surface interval solver for the next dive
+    setupNextDivePlanner();
     
-    return {
-        residualNitrogenTime: rnt,
-        adjustedNoDecoLimit: andl,
-        isExceeded: false,
-        message: `Residual nitrogen time: ${rnt} minutes. Adjusted no-decompression limit: ${andl} minutes.`
-    };
-}
-
-// Calculate final pressure group for a repetitive dive
-function getFinalPressureGroup(depth, actualBottomTime, residualNitrogenTime) {
-    const tableDepth = findClosestDepth(depth);
-    const totalBottomTime = parseInt(actualBottomTime) + parseInt(residualNitrogenTime);
+    // Setup the chain of repetitive dives
+    setupDiveChain();
     
-    // Get the pressure group based on the total bottom time
-    return getSingleDiveInfo(tableDepth, totalBottomTime).pressureGroup;
-}
-// Nitrox (EANx) Calculations
-// Calculate Equivalent Air Depth (EAD)
-function calculateEAD(depth, o2Percentage) {
-    // Formula: EAD = (Depth + 10) × (Fraction of N2 / 0.79) − 10
-    const n2Fraction = (100 - o2Percentage) / 100;
-    return (depth + 10) * (n2Fraction / 0.79) - 10;
-}
-
-// Calculate actual depth from EAD
-function calculateActualDepthFromEAD(ead, o2Percentage) {
-    // Formula: D = (((EAD + 10) × 0.79) ÷ (1 - (O2% ÷ 100))) - 10
-    return (((ead + 10) * 0.79) / (1 - (o2Percentage / 100))) - 10;
-}
-
-// Calculate Maximum Operating Depth (MOD) based on pO2 limit
-function calculateMOD(o2Percentage, pO2Limit = 1.4) {
-    // Calculate MOD based on oxygen toxicity limit
-    const o2Fraction = o2Percentage / 100;
-    const pressure = pO2Limit / o2Fraction;
-    return ataToFT(pressure);
-}
-
-// Check if a depth is at risk for nitrogen narcosis
-function isNarcosisRisk(depth) {
-    // Nitrogen narcosis risk increases significantly at 100 feet and beyond
-    return depth >= 100;
-}
-
-// Event listeners for form submissions and UI interactions
-document.addEventListener('DOMContentLoaded', function() {
-    // Populate dive tables
-    populateDiveTables();
+    // Setup the dive log kept in the browser
+    setupDiveLog();
     
-    // Setup interactive functionality
-    setupInteractiveTables();
+    // Setup the plan export and import
+    setupPlanFiles();
     
-    // Setup Nitrox functionality
-    setupNitroxCalculations();
+    // Setup the dive computer log import
+    setupLogImport();
     
     // Show calculation results container by default
     document.getElementById('calculation-results').style.display = 'block';
@@ -471,6 +72,7 @@ document.addEventListener('DOMContentLoaded', function() {
             const depthInput = document.getElementById('depth').value;
             const fO2Input = document.getElementById('fo2').value;
             const pO2Input = document.getElementById('po2').value;
+            const fHeInput = document.getElementById('fhe').value;
             
             // Count how many inputs are provided
             let inputCount = 0;
@@ -497,30 +99,43 @@ document.addEventListener('DOMContentLoaded', function() {
                 return;
             }
             
+            // Helium is optional and not one of the 2 of 3 values
+            if (fHeInput !== '') {
+                inputs.fHe = percentToDecimal(parseFloat(fHeInput));
+            }
+            
+            setOxygenNarcotic(document.getElementById('o2-narcotic').checked);
+            
             try {
                 const results = calculateDaltonsTriangle(inputs);
                 
                 // Display results
-                document.getElementById('depth-result').textContent = results.depth.toFixed(1) + ' ft';
+                const units = getUnitSystem();
+                document.getElementById('depth-result').textContent = results.depth.toFixed(1) + ' ' + units.depth;
                 document.getElementById('fo2-result').textContent = decimalToPercent(results.fO2).toFixed(1) + '%';
-                document.getElementById('pressure-result').textContent = results.pressure.toFixed(2) + ' ATA';
-                document.getElementById('po2-result').textContent = results.pO2.toFixed(2) + ' ATA';
-                document.getElementById('pn2-result').textContent = results.pN2.toFixed(2) + ' ATA';
+                document.getElementById('pressure-result').textContent = results.pressure.toFixed(2) + ' ' + units.pressure;
+                document.getElementById('po2-result').textContent = results.pO2.toFixed(2) + ' ' + units.pressure;
+                document.getElementById('pn2-result').textContent = results.pN2.toFixed(2) + ' ' + units.pressure;
+                document.getElementById('fhe-result').textContent = decimalToPercent(results.fHe).toFixed(1) + '%';
+                document.getElementById('phe-result').textContent = results.pHe.toFixed(2) + ' ' + units.pressure;
+                document.getElementById('end-result').textContent = results.end.toFixed(1) + ' ' + units.depth;
                 
                 // Show warnings if applicable
+                // pO2 limits are quoted in the active pressure unit (1.4 ATA or 1.4 bar)
+                const limits = getOxygenLimits();
                 const pO2Warning = document.getElementById('po2-warning');
-                if (results.pO2 > 1.4 && results.pO2 <= 1.6) {
-                    pO2Warning.textContent = 'WARNING: pO₂ exceeds 1.4 ATA (maximum recommended for recreational diving)';
+                if (results.pO2 > limits.working && results.pO2 <= limits.contingency) {
+                    pO2Warning.textContent = `WARNING: pO₂ exceeds the working limit of ${limits.working} ${units.pressure} (contingency use only)`;
                     pO2Warning.style.display = 'block';
-                } else if (results.pO2 > 1.6) {
-                    pO2Warning.textContent = 'DANGER: pO₂ exceeds 1.6 ATA (risk of oxygen toxicity)';
+                } else if (results.pO2 > limits.contingency) {
+                    pO2Warning.textContent = `DANGER: pO₂ exceeds the contingency limit of ${limits.contingency} ${units.pressure} (risk of oxygen toxicity)`;
                     pO2Warning.style.display = 'block';
                 } else {
                     pO2Warning.style.display = 'none';
                 }
                 const pN2Warning = document.getElementById('pn2-warning');
-                if (results.pN2 > 3.94) {
-                    pN2Warning.textContent = 'WARNING: pN₂ exceeds 3.94 ATA (risk of nitrogen narcosis). Nitrogen narcosis affects divers breathing compressed air below 100 feet. To avoid it, use a higher oxygen mixture.';
+                if (isNarcosisRisk(depthToFeet(results.depth), results.fO2, results.fHe)) {
+                    pN2Warning.textContent = `WARNING: The END of ${results.end.toFixed(1)} ${units.depth} is beyond the maximum END of ${formatDepth(getMaxEND())} (risk of nitrogen narcosis). To avoid it, dive shallower or use a less narcotic mix.`;
                     pN2Warning.style.display = 'block';
                 } else {
                     pN2Warning.style.display = 'none';
@@ -553,12 +168,16 @@ document.addEventListener('DOMContentLoaded', function() {
             const result = getSingleDiveInfo(depth, bottomTime);
             
             // Update results display
-            document.getElementById('selected-depth-result').textContent = findClosestDepth(depth) + ' ft';
+            document.getElementById('selected-depth-result').textContent = formatDepth(findClosestDepth(depth));
             document.getElementById('nodeco-result').textContent = result.noDecoLimit + ' minutes';
             document.getElementById('pressure-group-result').textContent = bottomTime > 0 ? result.pressureGroup : '--';
             
-            // Show warning if applicable
-            if (result.isExceeded) {
+            // Show the decompression schedule or a warning if applicable
+            if (result.isExceeded && result.decompressionSchedule) {
+                displayDecompressionSchedule(result.decompressionSchedule);
+                document.getElementById('pressure-group-result').textContent = result.decompressionSchedule.pressureGroup || 'None (no repetitive dive)';
+                document.getElementById('nodeco-warning').style.display = 'none';
+            } else if (result.isExceeded) {
                 document.getElementById('nodeco-warning').textContent = result.message;
                 document.getElementById('nodeco-warning').style.display = 'block';
             } else if (result.noDecoLimit <= 10) {
@@ -612,7 +231,7 @@ document.addEventListener('DOMContentLoaded', function() {
             const repetitiveInfo = getRepetitiveDiveInfo(newGroup, depth);
             
             // Update results display
-            document.getElementById('selected-depth-result').textContent = findClosestDepth(depth) + ' ft';
+            document.getElementById('selected-depth-result').textContent = formatDepth(findClosestDepth(depth));
             document.getElementById('new-group-result').textContent = newGroup;
             
             if (repetitiveInfo.isExceeded) {
@@ -654,6 +273,9 @@ document.addEventListener('DOMContentLoaded', function() {
             document.getElementById('repetitive-dive-fields').style.display = this.value === 'repetitive' ? 'block' : 'none';
         });
     });
+    
+    // Open a plan shared as a link, once everything else is set up
+    setupPlanLinks();
 });
 
 // Function to populate the dive tables
@@ -674,42 +296,47 @@ const diveState = {
     targetPressureGroup: null,
     nitroxO2: 21,
     isNitroxMode: false,
-    mod: null
+    mod: null,
+    contingencyMod: null,
+    gfLow: 30,
+    gfHigh: 85,
+    gas: {
+        rate: 0.6,
+        rateType: 'rmv',
+        cylinderSize: 77.4,
+        workingPressure: 3000,
+        reservePolicy: 'thirds',
+        reservePressure: 500
+    },
+    oxygenDives: [],
+    diveChain: [],
+    selectedChainStep: null,
+    firstDiveDepth: null,
+    repetitiveDepth: null,
+    isRestoringPlan: true, // until the plan in the page's link has been opened
+    editingLogEntryId: null,
+    importedDives: [],
+    importedFileName: null
 };
 
 // Setup Nitrox calculations
 function setupNitroxCalculations() {
     const nitroxO2Input = document.getElementById('nitrox-o2');
     const applyNitroxBtn = document.getElementById('apply-nitrox');
-    const modResult = document.getElementById('mod-result');
-    const tableMode = document.getElementById('table-mode');
     
     if (!nitroxO2Input || !applyNitroxBtn) return;
     
     // Initialize with default values
-    diveState.nitroxO2 = parseInt(nitroxO2Input.value) || 21;
+    diveState.nitroxO2 = parseFloat(nitroxO2Input.value) || 21;
     diveState.isNitroxMode = diveState.nitroxO2 > 21;
-    diveState.mod = calculateMOD(diveState.nitroxO2);
+    updateMODs();
     
-    // Update MOD display
-    if (modResult) {
-        if (!diveState.isNitroxMode) {
-            modResult.textContent = 'No limit (Air)';
-        } else {
-            modResult.textContent = `${Math.floor(diveState.mod)} ft (pO₂ 1.4)`;
-        }
-    }
-    
-    // Update table mode display
-    if (tableMode) {
-        tableMode.textContent = diveState.isNitroxMode ?
-            `EANx ${diveState.nitroxO2}%` :
-            'Air (21% O₂)';
-    }
+    // Update MOD and table mode displays
+    updateNitroxDisplay();
     
     // Apply Nitrox button click handler
     applyNitroxBtn.addEventListener('click', function() {
-        const newO2 = parseInt(nitroxO2Input.value);
+        const newO2 = parseFloat(nitroxO2Input.value);
         
         // Validate O2 percentage
         if (isNaN(newO2) || newO2 < 21 || newO2 > 100) {
@@ -718,639 +345,2910 @@ function setupNitroxCalculations() {
             return;
         }
         
-        // Update state
-        diveState.nitroxO2 = newO2;
-        diveState.isNitroxMode = newO2 > 21;
-        diveState.mod = calculateMOD(newO2);
-        
-        // Update displays
-        if (modResult) {
-            if (!diveState.isNitroxMode) {
-                modResult.textContent = 'No limit (Air)';
-            } else {
-                modResult.textContent = `${Math.floor(diveState.mod)} ft (pO₂ 1.4)`;
-            }
-        }
-        
-        if (tableMode) {
-            tableMode.textContent = diveState.isNitroxMode ?
-                `EANx ${diveState.nitroxO2}%` :
-                'Air (21% O₂)';
-        }
-        
-        // Repopulate Tables with Nitrox adjustments
-        populateTable1();
-        populateTable3();
-        
-        // Re-setup interactive functionality for both tables
-        setupTable1Interactions();
-        setupTable3Interactions();
-        
-        // Clear any highlights
-        clearAllHighlights();
-        
-        // Reset selected values
-        diveState.selectedDepth = null;
-        diveState.selectedBottomTime = null;
-        diveState.selectedPressureGroup = null;
-        diveState.selectedSurfaceInterval = null;
-        diveState.newPressureGroup = null;
-        diveState.targetDepth = null;
-        diveState.targetPressureGroup = null;
-        
-        // Update results display
-        document.getElementById('selected-depth-result').textContent = '-- ft';
-        document.getElementById('nodeco-result').textContent = '-- minutes';
-        document.getElementById('pressure-group-result').textContent = '--';
-        document.getElementById('repetitive-dive-section').style.display = 'none';
+        applyNitroxMix(newO2);
     });
+    
+    setupBestMix();
 }
 
-// Setup interactive functionality for dive tables
-function setupInteractiveTables() {
-    // Add click event listeners to depth rows in Table 1
-    setupTable1Interactions();
-    
-    // Add click event listeners to cells in Table 2
-    setupTable2Interactions();
+// Work out the working and contingency MODs of the current mix (in the active depth unit)
+function updateMODs() {
+    const limits = getOxygenLimits();
+    diveState.mod = calculateMOD(diveState.nitroxO2, limits.working);
+    diveState.contingencyMod = calculateMOD(diveState.nitroxO2, limits.contingency);
+}
+
+// Apply a Nitrox mix to the state and the tables
+function applyNitroxMix(o2Percentage) {
+    // Update state
+    diveState.nitroxO2 = o2Percentage;
+    diveState.isNitroxMode = o2Percentage > 21;
+    updateMODs();
+    document.getElementById('nitrox-o2').value = o2Percentage;
     
-    // Add hover tooltips to Table 3 cells
-    setupTable3Tooltips();
+    // Update displays
+    updateNitroxDisplay();
     
-    // Show calculation results container by default
-    document.getElementById('calculation-results').style.display = 'block';
+    // Repopulate Tables with Nitrox adjustments
+    refreshDiveTables();
 }
 
-// Setup Table 1 interactions
-function setupTable1Interactions() {
-    const table1 = document.getElementById('table1');
-    if (!table1) return;
+// Setup the best mix calculator
+function setupBestMix() {
+    const depthInput = document.getElementById('best-mix-depth');
+    const pO2Input = document.getElementById('best-mix-po2');
+    const findBestMixBtn = document.getElementById('find-best-mix');
+    const applyBestMixBtn = document.getElementById('apply-best-mix');
     
-    const tbody = table1.querySelector('tbody');
-    const rows = tbody.querySelectorAll('tr');
+    if (!depthInput || !pO2Input || !findBestMixBtn || !applyBestMixBtn) return;
     
-    // Make depth rows clickable
-    rows.forEach(row => {
-        row.classList.add('clickable');
+    let bestMix = null;
+    
+    findBestMixBtn.addEventListener('click', function() {
+        const depth = parseFloat(depthInput.value);
+        const pO2Limit = parseFloat(pO2Input.value);
+        const units = getUnitSystem();
         
-        // Add click event to depth cell
-        const depthCell = row.querySelector('td:first-child');
-        if (depthCell) {
-            depthCell.addEventListener('click', function() {
-                const depth = parseFloat(this.textContent);
-                
-                // In Nitrox mode, we need to handle the depth differently
-                if (diveState.isNitroxMode) {
-                    // We're already displaying the actual depth for Nitrox
-                    // Just pass it directly to selectDepth
-                    selectDepth(depth);
-                } else {
-                    // Standard air mode
-                    selectDepth(depth);
-                }
-            });
+        if (isNaN(depth) || depth <= 0) {
+            alert('Please enter a valid planned depth.');
+            return;
         }
         
-        // Add click events to time cells
-        const timeCells = row.querySelectorAll('td:not(:first-child):not(:nth-child(2))');
-        timeCells.forEach((cell, index) => {
-            if (cell.textContent !== '-') {
-                cell.classList.add('clickable');
-                cell.addEventListener('click', function() {
-                    if (diveState.selectedDepth === null) {
-                        alert('Please select a depth first');
-                        return;
-                    }
-                    
-                    const bottomTime = parseFloat(this.textContent);
-                    
-                    // Get the actual column index of this cell
-                    const cellIndex = Array.from(row.cells).indexOf(this);
-                    
-                    // Get the pressure group from the column header
-                    // The header is at the same column index
-                    const headerCell = table1.querySelector(`thead tr:nth-child(2) th:nth-child(${cellIndex + 1})`);
-                    const pressureGroup = headerCell.textContent;
-                    
-                    selectBottomTime(bottomTime, pressureGroup);
-                });
+        if (isNaN(pO2Limit) || pO2Limit <= 0) {
+            alert('Please enter a valid pO₂ limit.');
+            return;
+        }
+        
+        bestMix = calculateBestMix(depth, pO2Limit);
+        
+        if (!bestMix.isNitrox) {
+            document.getElementById('best-mix-result').textContent = bestMix.o2Percentage < 21 ?
+                `None - air is over ${pO2Limit} ${units.pressure} pO₂ at this depth` :
+                'Air (21% O₂)';
+            document.getElementById('best-mix-ead-result').textContent = '--';
+            document.getElementById('best-mix-gain-result').textContent = '--';
+            applyBestMixBtn.style.display = 'none';
+        } else {
+            document.getElementById('best-mix-result').textContent = `EANx ${bestMix.o2Percentage}%`;
+            document.getElementById('best-mix-ead-result').textContent = `${bestMix.ead.toFixed(1)} ${units.depth}`;
+            
+            let gain = 'Beyond the tables';
+            if (bestMix.airNoDecoLimit === null && bestMix.nitroxNoDecoLimit !== null) {
+                gain = `${bestMix.nitroxNoDecoLimit} minutes on nitrox (beyond the air tables)`;
+            } else if (bestMix.noDecoTimeGained !== null) {
+                const gained = bestMix.noDecoTimeGained > 0 ? `${bestMix.noDecoTimeGained} minutes` : 'None';
+                gain = `${gained} (${bestMix.nitroxNoDecoLimit} vs ${bestMix.airNoDecoLimit} minutes on air)`;
             }
-        });
+            document.getElementById('best-mix-gain-result').textContent = gain;
+            applyBestMixBtn.style.display = '';
+        }
+        
+        document.getElementById('best-mix-results').style.display = 'block';
+    });
+    
+    applyBestMixBtn.addEventListener('click', function() {
+        if (bestMix && bestMix.isNitrox) {
+            applyNitroxMix(bestMix.o2Percentage);
+        }
     });
 }
 
-// Setup Table 2 interactions
-function setupTable2Interactions() {
-    const table2 = document.getElementById('table2');
-    if (!table2) return;
+// Setup the partial-pressure gas blending calculator
+function setupGasBlending() {
+    const calculateBlendBtn = document.getElementById('calculate-blend');
+    const applyBlendBtn = document.getElementById('apply-blend');
     
-    const tbody = table2.querySelector('tbody');
-    const rows = tbody.querySelectorAll('tr');
+    if (!calculateBlendBtn || !applyBlendBtn) return;
     
-    // Make rows clickable
-    rows.forEach(row => {
-        // Add click event to pressure group row
-        const startGroupCell = row.querySelector('td:first-child');
-        if (startGroupCell) {
-            startGroupCell.classList.add('clickable');
-            startGroupCell.addEventListener('click', function() {
-                if (diveState.selectedPressureGroup === null) {
-                    alert('Please select a depth and bottom time first to determine your pressure group');
-                    return;
-                }
-                
-                const startGroup = this.textContent;
-                if (startGroup !== diveState.selectedPressureGroup) {
-                    alert(`You selected pressure group ${startGroup}, but your current pressure group is ${diveState.selectedPressureGroup}`);
-                    return;
-                }
-                
-                selectStartGroup(startGroup);
+    let blend = null;
+    
+    calculateBlendBtn.addEventListener('click', function() {
+        const pressureUnit = getGasUnits().pressure;
+        const decimals = pressureUnit === 'bar' ? 1 : 0;
+        const formatPressure = pressure => `${pressure.toFixed(decimals)} ${pressureUnit}`;
+        
+        try {
+            blend = calculateBlend({
+                startO2: parseFloat(document.getElementById('blend-start-o2').value),
+                startPressure: parseFloat(document.getElementById('blend-start-pressure').value),
+                targetO2: parseFloat(document.getElementById('blend-target-o2').value),
+                targetPressure: parseFloat(document.getElementById('blend-target-pressure').value),
+                topOffO2: parseFloat(document.getElementById('blend-topoff-o2').value)
             });
+        } catch (error) {
+            alert(error.message);
+            return;
         }
         
-        // Add click events to surface interval cells
-        const intervalCells = row.querySelectorAll('td:not(:first-child)');
-        intervalCells.forEach((cell, index) => {
-            if (cell.textContent !== '-') {
-                cell.classList.add('clickable');
-                cell.addEventListener('click', function() {
-                    if (diveState.selectedPressureGroup === null) {
-                        alert('Please select a depth and bottom time first');
-                        return;
-                    }
-                    
-                    // Get the column index of this cell
-                    const cellIndex = Array.from(row.cells).indexOf(this);
-                    
-                    // Get the header cell at the same column index
-                    const headerCell = table2.querySelector(`thead tr:nth-child(2) th:nth-child(${cellIndex + 1})`);
-                    const newGroup = headerCell.textContent;
-                    
-                    // If the new group is '-', it means 'None'
-                    const finalGroup = newGroup === '-' ? null : newGroup;
-                    
-                    // Get the surface interval from the cell's top value
-                    const surfaceInterval = cell.querySelector('.top-value').textContent;
-                    
-                    selectSurfaceInterval(surfaceInterval, finalGroup);
-                });
+        document.getElementById('blend-bleed-result').textContent = blend.needsBleedDown ?
+            formatPressure(blend.bleedToPressure) :
+            'Not needed';
+        document.getElementById('blend-oxygen-result').textContent =
+            `${formatPressure(blend.oxygenToAdd)} (fill to ${formatPressure(blend.pressureAfterOxygen)})`;
+        document.getElementById('blend-topoff-result').textContent =
+            `${formatPressure(blend.topOffToAdd)} of ${blend.topOffO2}% O₂ (fill to ${formatPressure(blend.targetPressure)})`;
+        
+        // The tables only plan on nitrox mixes
+        applyBlendBtn.style.display = blend.targetO2 >= 21 ? '' : 'none';
+        document.getElementById('blend-results').style.display = 'block';
+    });
+    
+    applyBlendBtn.addEventListener('click', function() {
+        if (blend && blend.targetO2 >= 21) {
+            applyNitroxMix(blend.targetO2);
+        }
+    });
+}
+
+// Update the MOD and table mode displays for the current Nitrox mix
+function updateNitroxDisplay() {
+    const modResult = document.getElementById('mod-result');
+    const contingencyModResult = document.getElementById('contingency-mod-result');
+    const tableMode = document.getElementById('table-mode');
+    const units = getUnitSystem();
+    const limits = getOxygenLimits();
+    
+    if (modResult) {
+        if (!diveState.isNitroxMode) {
+            modResult.textContent = 'No limit (Air)';
+        } else {
+            modResult.textContent = `${Math.floor(diveState.mod)} ${units.depth} (pO₂ ${limits.working} ${units.pressure})`;
+        }
+    }
+    
+    if (contingencyModResult) {
+        if (!diveState.isNitroxMode) {
+            contingencyModResult.textContent = 'No limit (Air)';
+        } else {
+            contingencyModResult.textContent = `${Math.floor(diveState.contingencyMod)} ${units.depth} (pO₂ ${limits.contingency} ${units.pressure})`;
+        }
+    }
+    
+    if (tableMode) {
+        tableMode.textContent = diveState.isNitroxMode ?
+            `EANx ${diveState.nitroxO2}%` :
+            'Air (21% O₂)';
+    }
+}
+
+// Repopulate Table 1 and Table 3 and reset the current selection
+function refreshDiveTables() {
+    populateTable1();
+    populateTable3();
+    
+    // Re-setup interactive functionality for both tables
+    setupTable1Interactions();
+    setupTable3Interactions();
+    
+    // Clear any highlights
+    clearAllHighlights();
+    
+    // Reset selected values
+    diveState.selectedDepth = null;
+    diveState.selectedBottomTime = null;
+    diveState.selectedPressureGroup = null;
+    diveState.selectedSurfaceInterval = null;
+    diveState.newPressureGroup = null;
+    diveState.targetDepth = null;
+    diveState.targetPressureGroup = null;
+    diveState.selectedChainStep = null;
+    diveState.firstDiveDepth = null;
+    diveState.repetitiveDepth = null;
+    
+    // Update results display
+    document.getElementById('next-dive-results').style.display = 'none';
+    document.getElementById('next-dive-warning').style.display = 'none';
+    document.getElementById('selected-depth-result').textContent = `-- ${getUnitSystem().depth}`;
+    document.getElementById('nodeco-result').textContent = '-- minutes';
+    document.getElementById('pressure-group-result').textContent = '--';
+    document.getElementById('repetitive-dive-section').style.display = 'none';
+    document.getElementById('deco-schedule-section').style.display = 'none';
+    updateBuhlmannDisplay();
+    updateGasPlan();
+    updateOxygenExposure();
+    updateDiveChain();
+    updateLogImportReport();
+}
+
+// Actual depth (in feet) covered by a table row for the current mix and altitude
+function getActualDepthForTableRow(tableDepth) {
+    let depth = tableDepth;
+    if (diveState.isNitroxMode) {
+        depth = depthToFeet(calculateActualDepthFromEAD(feetToDepth(tableDepth), diveState.nitroxO2));
+    }
+    return calculateActualDepthFromTheoreticalDepth(depth);
+}
+
+// Find the table row (in feet) for an actual depth in the active unit, corrected for altitude
+// In Nitrox mode this is the row at or just deeper than the depth's EAD, or -1 beyond the tables
+function findTableDepthForActualDepth(depth) {
+    return getTableDepthForMix(depthToFeet(depth), diveState.isNitroxMode ? diveState.nitroxO2 : 21);
+}
+
+// Check the narcosis policy for an actual depth (in feet) on the current mix
+function isNarcosisRiskOnMix(depth) {
+    return isNarcosisRisk(depth, percentToDecimal(diveState.nitroxO2));
+}
+
+// Narcosis warning for an actual depth (in feet) on the current mix
+function getNarcosisWarning(depth) {
+    const end = calculateEND(feetToDepth(depth), percentToDecimal(diveState.nitroxO2));
+    return `Warning: Increased risk of nitrogen narcosis (END ${formatDepth(depthToFeet(end))}, beyond the maximum END of ${formatDepth(getMaxEND())})`;
+}
+
+// Ask before selecting an actual depth (in feet) beyond the maximum END
+function confirmNarcosisRisk(depth) {
+    return !isNarcosisRiskOnMix(depth) || confirm(`${getNarcosisWarning(depth)}. Do you want to proceed?`);
+}
+
+// Equivalent air depth (in the active unit) of an actual depth on the current mix, corrected for altitude
+function getEquivalentAirDepth(depth) {
+    const theoreticalDepth = feetToDepth(calculateTheoreticalOceanDepth(depthToFeet(depth)));
+    return Math.max(0, calculateEAD(theoreticalDepth, diveState.nitroxO2));
+}
+
+// Format the selected depth for the results panel
+// In Nitrox mode this is the actual depth in the active unit, otherwise the table depth in feet
+function formatSelectedDepth(depth) {
+    const label = diveState.isNitroxMode ? depth : formatTableDepthLabel(getActualDepthForTableRow(depth));
+    return `${label} ${getUnitSystem().depth}`;
+}
+
+// Show the selected depth, plus the corrected table depth when diving at altitude
+function displaySelectedDepth(depth, tableDepth) {
+    document.getElementById('selected-depth-result').textContent = formatSelectedDepth(depth);
+    
+    const correctedDepthItem = document.getElementById('corrected-depth-item');
+    if (correctedDepthItem) {
+        correctedDepthItem.style.display = isAltitudeDive() ? 'flex' : 'none';
+        document.getElementById('corrected-depth-result').textContent = formatDepth(tableDepth);
+    }
+    
+    // In Nitrox mode the row is picked by the equivalent air depth
+    const eadItem = document.getElementById('ead-item');
+    if (eadItem) {
+        eadItem.style.display = diveState.isNitroxMode ? 'flex' : 'none';
+        if (diveState.isNitroxMode) {
+            const ead = getEquivalentAirDepth(depth);
+            document.getElementById('ead-result').textContent = `${formatDepth(depthToFeet(ead), 1)} (table row ${formatDepth(tableDepth)})`;
+        }
+    }
+}
+
+// Label for a table depth row (given in feet) in the active unit
+// Labels are rounded down so that they map back onto the same foot row
+function formatTableDepthLabel(feet) {
+    if (getUnitSystem().depth === 'm') {
+        return Math.floor(feetToMeters(feet) * 10) / 10;
+    }
+    return Math.floor(feet);
+}
+
+// Setup the unit system selectors (depth in ft/m, pressure in ATA/bar)
+function setupUnitSettings() {
+    const depthUnitSelect = document.getElementById('depth-unit');
+    const pressureUnitSelect = document.getElementById('pressure-unit');
+    
+    if (!depthUnitSelect || !pressureUnitSelect) return;
+    
+    // Initialize with the selected values
+    setUnitSystem({ depth: depthUnitSelect.value, pressure: pressureUnitSelect.value });
+    updateUnitLabels();
+    
+    function onUnitChange() {
+        const previousUnits = getUnitSystem();
+        const depthInput = document.getElementById('depth');
+        const pO2Input = document.getElementById('po2');
+        const altitudeInput = document.getElementById('altitude');
+        
+        // Read the entered values in the old units before switching
+        const depthFeet = depthInput && depthInput.value !== '' ? depthToFeet(parseFloat(depthInput.value)) : null;
+        const pO2ATA = pO2Input && pO2Input.value !== '' ? pressureToATA(parseFloat(pO2Input.value)) : null;
+        const altitudeFeet = altitudeInput && altitudeInput.value !== '' ? depthToFeet(parseFloat(altitudeInput.value)) : null;
+        const flyingAltitudeInput = document.getElementById('flying-altitude');
+        const flyingAltitudeFeet = flyingAltitudeInput && flyingAltitudeInput.value !== '' ? depthToFeet(parseFloat(flyingAltitudeInput.value)) : null;
+        const bestMixDepthInput = document.getElementById('best-mix-depth');
+        const chainDepthInput = document.getElementById('chain-depth');
+        const chainDepthFeet = chainDepthInput && chainDepthInput.value !== '' ? depthToFeet(parseFloat(chainDepthInput.value)) : null;
+        const nextDiveDepthInput = document.getElementById('next-dive-depth');
+        const nextDiveDepthFeet = nextDiveDepthInput && nextDiveDepthInput.value !== '' ? depthToFeet(parseFloat(nextDiveDepthInput.value)) : null;
+        const bestMixPO2Input = document.getElementById('best-mix-po2');
+        const bestMixDepthFeet = bestMixDepthInput && bestMixDepthInput.value !== '' ? depthToFeet(parseFloat(bestMixDepthInput.value)) : null;
+        const bestMixPO2ATA = bestMixPO2Input && bestMixPO2Input.value !== '' ? pressureToATA(parseFloat(bestMixPO2Input.value)) : null;
+        const segmentDepthInputs = Array.from(document.querySelectorAll('.segment-depth'));
+        const segmentDepthsFeet = segmentDepthInputs.map(input => input.value !== '' ? depthToFeet(parseFloat(input.value)) : null);
+        
+        setUnitSystem({ depth: depthUnitSelect.value, pressure: pressureUnitSelect.value });
+        
+        // Carry the entered values over to the new units
+        if (depthFeet !== null && previousUnits.depth !== depthUnitSelect.value) {
+            depthInput.value = parseFloat(feetToDepth(depthFeet).toFixed(1));
+        }
+        if (altitudeFeet !== null && previousUnits.depth !== depthUnitSelect.value) {
+            altitudeInput.value = Math.round(feetToDepth(altitudeFeet));
+        }
+        const maxENDInput = document.getElementById('max-end');
+        if (maxENDInput && previousUnits.depth !== depthUnitSelect.value) {
+            maxENDInput.value = parseFloat(feetToDepth(getMaxEND()).toFixed(1));
+        }
+        if (flyingAltitudeFeet !== null && previousUnits.depth !== depthUnitSelect.value) {
+            flyingAltitudeInput.value = Math.round(feetToDepth(flyingAltitudeFeet));
+        }
+        if (pO2ATA !== null && previousUnits.pressure !== pressureUnitSelect.value) {
+            pO2Input.value = parseFloat(ataToPressure(pO2ATA).toFixed(2));
+        }
+        if (bestMixDepthFeet !== null && previousUnits.depth !== depthUnitSelect.value) {
+            bestMixDepthInput.value = parseFloat(feetToDepth(bestMixDepthFeet).toFixed(1));
+        }
+        if (chainDepthFeet !== null && previousUnits.depth !== depthUnitSelect.value) {
+            chainDepthInput.value = parseFloat(feetToDepth(chainDepthFeet).toFixed(1));
+        }
+        if (nextDiveDepthFeet !== null && previousUnits.depth !== depthUnitSelect.value) {
+            nextDiveDepthInput.value = parseFloat(feetToDepth(nextDiveDepthFeet).toFixed(1));
+        }
+        if (bestMixPO2ATA !== null && previousUnits.pressure !== pressureUnitSelect.value) {
+            bestMixPO2Input.value = parseFloat(ataToPressure(bestMixPO2ATA).toFixed(2));
+        }
+        if (previousUnits.depth !== depthUnitSelect.value) {
+            convertGasSettings(depthUnitSelect.value === 'm');
+            ['blend-start-pressure', 'blend-target-pressure'].forEach(id => {
+                const input = document.getElementById(id);
+                const pressure = parseFloat(input.value);
+                if (!isNaN(pressure)) {
+                    input.value = depthUnitSelect.value === 'm' ?
+                        parseFloat((pressure / PSI_PER_BAR).toFixed(1)) :
+                        Math.round(pressure * PSI_PER_BAR);
+                }
+            });
+            segmentDepthInputs.forEach((input, i) => {
+                if (segmentDepthsFeet[i] !== null) {
+                    input.value = parseFloat(feetToDepth(segmentDepthsFeet[i]).toFixed(1));
+                }
+            });
+        }
+        
+        // Results from the previous units are no longer valid
+        document.getElementById('daltons-results').style.display = 'none';
+        document.getElementById('profile-results').style.display = 'none';
+        document.getElementById('best-mix-results').style.display = 'none';
+        document.getElementById('blend-results').style.display = 'none';
+        document.getElementById('flying-results').style.display = 'none';
+        
+        updateUnitLabels();
+        updateMODs();
+        updateNitroxDisplay();
+        updateAltitudeDisplay();
+        refreshDiveTables();
+    }
+    
+    depthUnitSelect.addEventListener('change', onUnitChange);
+    pressureUnitSelect.addEventListener('change', onUnitChange);
+}
+
+// Setup the water type selector (salt, fresh or a custom density)
+function setupWaterSettings() {
+    const waterTypeSelect = document.getElementById('water-type');
+    const densityInput = document.getElementById('water-density');
+    const customDensityGroup = document.getElementById('custom-density-group');
+    
+    if (!waterTypeSelect || !densityInput) return;
+    
+    // Initialize with the selected water type, falling back to salt water
+    try {
+        setWaterType(waterTypeSelect.value, parseFloat(densityInput.value));
+    } catch (error) {
+        waterTypeSelect.value = 'salt';
+        setWaterType('salt');
+    }
+    
+    function onWaterChange() {
+        if (customDensityGroup) {
+            customDensityGroup.style.display = waterTypeSelect.value === 'custom' ? 'block' : 'none';
+        }
+        
+        try {
+            setWaterType(waterTypeSelect.value, parseFloat(densityInput.value));
+        } catch (error) {
+            alert(error.message);
+            densityInput.value = getWaterType().density;
+            return;
+        }
+        
+        // Results for the previous water type are no longer valid
+        document.getElementById('daltons-results').style.display = 'none';
+        
+        // The depth to pressure conversion changes the MOD and the Nitrox table rows
+        updateMODs();
+        updateNitroxDisplay();
+        refreshDiveTables();
+    }
+    
+    if (customDensityGroup) {
+        customDensityGroup.style.display = waterTypeSelect.value === 'custom' ? 'block' : 'none';
+    }
+    
+    waterTypeSelect.addEventListener('change', onWaterChange);
+    densityInput.addEventListener('change', onWaterChange);
+}
+
+// Setup the working and contingency pO2 limits
+function setupOxygenLimitSettings() {
+    const workingInput = document.getElementById('working-po2');
+    const contingencyInput = document.getElementById('contingency-po2');
+    const bestMixPO2Input = document.getElementById('best-mix-po2');
+    
+    if (!workingInput || !contingencyInput) return;
+    
+    // Initialize with the entered limits, falling back to 1.4 and 1.6
+    try {
+        setOxygenLimits({ working: parseFloat(workingInput.value), contingency: parseFloat(contingencyInput.value) });
+    } catch (error) {
+        setOxygenLimits({ working: 1.4, contingency: 1.6 });
+        workingInput.value = 1.4;
+        contingencyInput.value = 1.6;
+    }
+    
+    function onOxygenLimitChange() {
+        try {
+            setOxygenLimits({ working: parseFloat(workingInput.value), contingency: parseFloat(contingencyInput.value) });
+        } catch (error) {
+            alert(error.message);
+            const limits = getOxygenLimits();
+            workingInput.value = limits.working;
+            contingencyInput.value = limits.contingency;
+            return;
+        }
+        
+        // Results against the previous limits are no longer valid
+        document.getElementById('daltons-results').style.display = 'none';
+        document.getElementById('profile-results').style.display = 'none';
+        document.getElementById('best-mix-results').style.display = 'none';
+        if (bestMixPO2Input) {
+            bestMixPO2Input.value = getOxygenLimits().working;
+        }
+        
+        // The limits set the MODs and which Nitrox table rows can be used
+        updateMODs();
+        updateNitroxDisplay();
+        refreshDiveTables();
+    }
+    
+    workingInput.addEventListener('change', onOxygenLimitChange);
+    contingencyInput.addEventListener('change', onOxygenLimitChange);
+}
+
+// Setup the narcosis policy: the maximum END, and whether oxygen counts as narcotic
+function setupNarcosisSettings() {
+    const maxENDInput = document.getElementById('max-end');
+    const o2NarcoticInput = document.getElementById('o2-narcotic');
+    
+    if (!maxENDInput) return;
+    
+    // Initialize with the entered maximum END, falling back to 100 ft
+    try {
+        setMaxEND(depthToFeet(parseFloat(maxENDInput.value)));
+    } catch (error) {
+        setMaxEND(100);
+        maxENDInput.value = parseFloat(feetToDepth(100).toFixed(1));
+    }
+    if (o2NarcoticInput) {
+        setOxygenNarcotic(o2NarcoticInput.checked);
+    }
+    
+    function onNarcosisChange() {
+        try {
+            setMaxEND(depthToFeet(parseFloat(maxENDInput.value)));
+        } catch (error) {
+            alert(error.message);
+            maxENDInput.value = parseFloat(feetToDepth(getMaxEND()).toFixed(1));
+            return;
+        }
+        if (o2NarcoticInput) {
+            setOxygenNarcotic(o2NarcoticInput.checked);
+        }
+        
+        // Results against the previous policy are no longer valid
+        document.getElementById('daltons-results').style.display = 'none';
+        
+        // The policy decides which table rows carry a narcosis warning
+        refreshDiveTables();
+    }
+    
+    maxENDInput.addEventListener('change', onNarcosisChange);
+    if (o2NarcoticInput) {
+        o2NarcoticInput.addEventListener('change', onNarcosisChange);
+    }
+}
+
+// Setup the altitude diving settings
+function setupAltitudeSettings() {
+    const altitudeInput = document.getElementById('altitude');
+    const applyAltitudeBtn = document.getElementById('apply-altitude');
+    
+    if (!altitudeInput || !applyAltitudeBtn) return;
+    
+    // Initialize with the entered altitude, falling back to sea level
+    try {
+        setAltitude(depthToFeet(parseFloat(altitudeInput.value) || 0));
+    } catch (error) {
+        altitudeInput.value = 0;
+        setAltitude(0);
+    }
+    updateAltitudeDisplay();
+    
+    // Apply altitude button click handler
+    applyAltitudeBtn.addEventListener('click', function() {
+        const newAltitude = parseFloat(altitudeInput.value);
+        
+        // Validate altitude
+        try {
+            setAltitude(depthToFeet(newAltitude));
+        } catch (error) {
+            alert(error.message);
+            altitudeInput.value = Math.round(feetToDepth(getAltitude()));
+            return;
+        }
+        
+        // The surface pressure changes the MOD as well as the table depths
+        updateMODs();
+        updateNitroxDisplay();
+        updateAltitudeDisplay();
+        
+        // Repopulate Tables with altitude corrections
+        refreshDiveTables();
+    });
+}
+
+// Update the surface pressure, arrival group and safety stop displays for the current altitude
+function updateAltitudeDisplay() {
+    const surfacePressureResult = document.getElementById('surface-pressure-result');
+    const arrivalGroupResult = document.getElementById('arrival-group-result');
+    const safetyStopResult = document.getElementById('safety-stop-result');
+    
+    if (surfacePressureResult) {
+        surfacePressureResult.textContent = formatPressure(getSurfacePressure());
+    }
+    
+    if (arrivalGroupResult) {
+        arrivalGroupResult.textContent = getTableSet().altitudeArrivalGroups ?
+            getAltitudeArrivalGroup() || 'None' :
+            `Not given by the ${getTableSet().name} tables`;
+    }
+    
+    if (safetyStopResult) {
+        safetyStopResult.textContent = isAltitudeDive() ?
+            formatDepth(calculateAltitudeStopDepth(15)) :
+            `${formatDepth(15)} (no correction)`;
+    }
+}
+
+// Setup the dive table set selector and loading table sets from JSON files
+function setupTableSetSettings() {
+    const tableSetSelect = document.getElementById('table-set');
+    const loadTableSetBtn = document.getElementById('load-table-set');
+    const tableSetFileInput = document.getElementById('table-set-file');
+    const checkTableSetBtn = document.getElementById('check-table-set');
+    
+    if (!tableSetSelect || !loadTableSetBtn || !tableSetFileInput || !checkTableSetBtn) return;
+    
+    updateTableSetDisplay();
+    
+    tableSetSelect.addEventListener('change', function() {
+        setTableSet(this.value);
+        onTableSetChange();
+    });
+    
+    loadTableSetBtn.addEventListener('click', function() {
+        tableSetFileInput.click();
+    });
+    
+    tableSetFileInput.addEventListener('change', function() {
+        const file = this.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = function() {
+            tableSetFileInput.value = '';
+            
+            try {
+                const tableSet = loadTableSet(JSON.parse(reader.result));
+                setTableSet(tableSet.id);
+            } catch (error) {
+                alert(`Could not load ${file.name}: ${error.message}`);
+                return;
             }
+            
+            onTableSetChange();
+            
+            // Point out problems in hand-made tables straight away
+            if (validateTableSet().length > 0) {
+                displayTableDiagnostics();
+            }
+        };
+        reader.readAsText(file);
+    });
+    
+    checkTableSetBtn.addEventListener('click', displayTableDiagnostics);
+}
+
+// Show the problems the integrity checks find in the active table set
+function displayTableDiagnostics() {
+    const tableSet = getTableSet();
+    const problems = validateTableSet(tableSet);
+    const tbody = document.querySelector('#table-diagnostics-table tbody');
+    
+    document.getElementById('table-diagnostics-summary').textContent = problems.length === 0 ?
+        `No problems found in the ${tableSet.name} tables.` :
+        `${problems.length} problem${problems.length === 1 ? '' : 's'} found in the ${tableSet.name} tables.`;
+    
+    tbody.innerHTML = '';
+    problems.forEach(problem => {
+        const row = document.createElement('tr');
+        [
+            `Table ${problem.table}`,
+            problem.depth !== null ? formatDepth(problem.depth) : '--',
+            problem.group || '--',
+            problem.message
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    });
+    
+    document.getElementById('table-diagnostics-table').style.display = problems.length === 0 ? 'none' : 'table';
+    document.getElementById('table-diagnostics').style.display = 'block';
+}
+
+// Show the loaded table sets in the selector, and the name and source of the active one
+function updateTableSetDisplay() {
+    const tableSetSelect = document.getElementById('table-set');
+    const tableSet = getTableSet();
+    
+    tableSetSelect.innerHTML = '';
+    getTableSets().forEach(set => {
+        const option = document.createElement('option');
+        option.value = set.id;
+        option.textContent = set.name;
+        tableSetSelect.appendChild(option);
+    });
+    tableSetSelect.value = tableSet.id;
+    
+    document.getElementById('table-set-title').textContent = tableSet.name;
+    
+    // Tables with repetitive factors leave Tables 2 and 3 empty
+    document.getElementById('table-set-source').textContent = tableSet.repetitiveFactors ?
+        `${tableSet.source} These tables give a repetitive factor (RF) for the surface interval instead of Tables 2 and 3; plan repetitive dives in the Repetitive Dive Chain.`.trim() :
+        tableSet.source;
+}
+
+// Redraw the tables and everything read from them for a new table set
+function onTableSetChange() {
+    updateTableSetDisplay();
+    
+    // Results from the previous tables are no longer valid
+    document.getElementById('table-diagnostics').style.display = 'none';
+    document.getElementById('profile-results').style.display = 'none';
+    document.getElementById('best-mix-results').style.display = 'none';
+    document.getElementById('flying-results').style.display = 'none';
+    
+    // Table 2 only changes with the table set
+    populateTable2();
+    setupTable2Interactions();
+    
+    updateAltitudeDisplay();
+    refreshDiveTables();
+}
+
+// Setup the Bühlmann gradient factor settings
+function setupBuhlmannSettings() {
+    const gfLowInput = document.getElementById('gf-low');
+    const gfHighInput = document.getElementById('gf-high');
+    const applyGfBtn = document.getElementById('apply-gf');
+    
+    if (!gfLowInput || !gfHighInput || !applyGfBtn) return;
+    
+    gfLowInput.value = diveState.gfLow;
+    gfHighInput.value = diveState.gfHigh;
+    updateBuhlmannDisplay();
+    
+    // Apply gradient factors button click handler
+    applyGfBtn.addEventListener('click', function() {
+        const gfLow = parseInt(gfLowInput.value);
+        const gfHigh = parseInt(gfHighInput.value);
+        
+        // Validate gradient factors
+        if (isNaN(gfLow) || isNaN(gfHigh) || gfLow < 1 || gfHigh > 100 || gfLow > gfHigh) {
+            alert('Please enter gradient factors between 1% and 100% with GF Low no higher than GF High');
+            gfLowInput.value = diveState.gfLow;
+            gfHighInput.value = diveState.gfHigh;
+            return;
+        }
+        
+        diveState.gfLow = gfLow;
+        diveState.gfHigh = gfHigh;
+        updateBuhlmannDisplay();
+    });
+}
+
+// Actual depth (in feet) of the current Table 1 selection
+function getSelectedActualDepth() {
+    if (diveState.selectedDepth === null) return null;
+    
+    // Nitrox selections are actual depths in the active unit, air selections are table depths
+    return diveState.isNitroxMode ?
+        depthToFeet(diveState.selectedDepth) :
+        getActualDepthForTableRow(diveState.selectedDepth);
+}
+
+// Update the Bühlmann NDL, tissue loading and ceiling for the current selection
+function updateBuhlmannDisplay() {
+    const ndlResult = document.getElementById('buhlmann-ndl-result');
+    const diveSection = document.getElementById('buhlmann-dive-section');
+    
+    document.querySelectorAll('.gf-label').forEach(el => {
+        el.textContent = `${diveState.gfLow}/${diveState.gfHigh}`;
+    });
+    
+    if (!ndlResult) return;
+    
+    const depth = getSelectedActualDepth();
+    if (depth === null) {
+        ndlResult.textContent = '-- minutes';
+        if (diveSection) diveSection.style.display = 'none';
+        return;
+    }
+    
+    const gas = { fO2: percentToDecimal(diveState.nitroxO2) };
+    const options = { gfLow: diveState.gfLow, gfHigh: diveState.gfHigh };
+    const result = calculateBuhlmannDive(depth, diveState.selectedBottomTime || 0, gas, options);
+    
+    ndlResult.textContent = result.noDecoLimit === Infinity ?
+        'No limit' :
+        result.noDecoLimit + ' minutes';
+    
+    if (!diveSection) return;
+    
+    // Tissue loading and ceiling only apply once a bottom time is chosen
+    if (!diveState.selectedBottomTime) {
+        diveSection.style.display = 'none';
+        return;
+    }
+    
+    const leadingLoading = Math.round(result.loading[result.leadingCompartment - 1]);
+    document.getElementById('buhlmann-loading-result').textContent =
+        `Compartment ${result.leadingCompartment} at ${leadingLoading}% of surface M-value`;
+    document.getElementById('buhlmann-ceiling-result').textContent = result.ceiling > 0 ?
+        `${formatDepth(result.ceiling)}${result.isDecoRequired ? ' (decompression required)' : ''}` :
+        'Surface';
+    diveSection.style.display = 'block';
+}
+
+// Volume and cylinder pressure units for gas planning
+function getGasUnits() {
+    return getUnitSystem().depth === 'm' ?
+        { volume: 'L', pressure: 'bar' } :
+        { volume: 'cu ft', pressure: 'psi' };
+}
+
+// Setup the gas planning settings
+function setupGasPlanner() {
+    const rateInput = document.getElementById('gas-rate');
+    const rateTypeSelect = document.getElementById('gas-rate-type');
+    const cylinderSizeInput = document.getElementById('cylinder-size');
+    const cylinderPressureInput = document.getElementById('cylinder-pressure');
+    const reservePolicySelect = document.getElementById('reserve-policy');
+    const reservePressureInput = document.getElementById('reserve-pressure');
+    const applyGasBtn = document.getElementById('apply-gas');
+    
+    if (!rateInput || !cylinderSizeInput || !cylinderPressureInput || !reservePolicySelect || !applyGasBtn) return;
+    
+    updateGasInputs();
+    updateGasPlan();
+    
+    // The fixed reserve pressure only applies to the fixed policy
+    reservePolicySelect.addEventListener('change', function() {
+        reservePressureInput.style.display = this.value === 'fixed' ? '' : 'none';
+    });
+    
+    // Apply gas settings button click handler
+    applyGasBtn.addEventListener('click', function() {
+        const settings = {
+            rate: parseFloat(rateInput.value),
+            rateType: rateTypeSelect.value,
+            cylinderSize: parseFloat(cylinderSizeInput.value),
+            workingPressure: parseFloat(cylinderPressureInput.value),
+            reservePolicy: reservePolicySelect.value,
+            reservePressure: parseFloat(reservePressureInput.value)
+        };
+        
+        // Validate the settings against a dive at the surface
+        try {
+            planGas(getGasRMV(settings), getGasCylinder(settings), 0, 0, getReservePolicy(settings));
+        } catch (error) {
+            alert(error.message);
+            updateGasInputs();
+            return;
+        }
+        
+        diveState.gas = settings;
+        updateGasPlan();
+    });
+}
+
+// Show the gas settings in the inputs
+function updateGasInputs() {
+    const gas = diveState.gas;
+    const reservePressureInput = document.getElementById('reserve-pressure');
+    
+    // Converted settings keep their full precision; the inputs show them rounded
+    document.getElementById('gas-rate').value = parseFloat(gas.rate.toFixed(2));
+    document.getElementById('gas-rate-type').value = gas.rateType;
+    document.getElementById('cylinder-size').value = parseFloat(gas.cylinderSize.toFixed(1));
+    document.getElementById('cylinder-pressure').value = Math.round(gas.workingPressure);
+    document.getElementById('reserve-policy').value = gas.reservePolicy;
+    reservePressureInput.value = Math.round(gas.reservePressure);
+    reservePressureInput.style.display = gas.reservePolicy === 'fixed' ? '' : 'none';
+}
+
+// Cylinder for the gas planner from the gas settings
+function getGasCylinder(settings) {
+    const capacity = getUnitSystem().depth === 'm' ?
+        getCylinderCapacity(settings.cylinderSize, settings.workingPressure) :
+        settings.cylinderSize;
+    
+    return { capacity: capacity, workingPressure: settings.workingPressure };
+}
+
+// Respiratory minute volume from the gas settings
+function getGasRMV(settings) {
+    return settings.rateType === 'sac' ?
+        sacToRMV(settings.rate, getGasCylinder(settings)) :
+        settings.rate;
+}
+
+// Reserve policy from the gas settings
+function getReservePolicy(settings) {
+    return settings.reservePolicy === 'fixed' ?
+        { type: 'fixed', reserve: settings.reservePressure } :
+        { type: 'thirds' };
+}
+
+// Convert the gas settings between imperial and metric units
+function convertGasSettings(toMetric) {
+    const gas = diveState.gas;
+    const pressureFactor = toMetric ? 1 / PSI_PER_BAR : PSI_PER_BAR;
+    const workingPressure = gas.workingPressure * pressureFactor;
+    
+    if (gas.rateType === 'rmv') {
+        gas.rate = toMetric ? gas.rate * LITERS_PER_CUBIC_FOOT : gas.rate / LITERS_PER_CUBIC_FOOT;
+    } else {
+        gas.rate = gas.rate * pressureFactor;
+    }
+    
+    // Imperial cylinders are sized by gas capacity, metric cylinders by water volume
+    gas.cylinderSize = toMetric ?
+        gas.cylinderSize * LITERS_PER_CUBIC_FOOT / workingPressure :
+        gas.cylinderSize * gas.workingPressure / LITERS_PER_CUBIC_FOOT;
+    
+    gas.workingPressure = workingPressure;
+    gas.reservePressure = gas.reservePressure * pressureFactor;
+    
+    updateGasInputs();
+}
+
+// Update the gas plan for the current selection
+function updateGasPlan() {
+    const diveResult = document.getElementById('gas-dive-result');
+    const warning = document.getElementById('gas-warning');
+    const resultIds = ['gas-needed-result', 'turn-pressure-result', 'reserve-result', 'gas-time-result'];
+    
+    if (!diveResult) return;
+    
+    const depth = getSelectedActualDepth();
+    if (depth === null) {
+        diveResult.textContent = 'Select a depth in Table 1';
+        resultIds.forEach(id => {
+            document.getElementById(id).textContent = '--';
+        });
+        warning.style.display = 'none';
+        return;
+    }
+    
+    // Plan for the selected bottom time, or the whole no-decompression limit
+    const settings = diveState.gas;
+    const gasUnits = getGasUnits();
+    const time = diveState.selectedBottomTime || getTableSet().table1[diveState.selectedAirDepth][0];
+    const plan = planGas(getGasRMV(settings), getGasCylinder(settings), depth, time, getReservePolicy(settings));
+    const volumeDecimals = gasUnits.volume === 'L' ? 0 : 1;
+    
+    diveResult.textContent = `${formatDepth(depth)} for ${time} minutes${diveState.selectedBottomTime ? '' : ' (no-decompression limit)'}`;
+    document.getElementById('gas-needed-result').textContent =
+        `${plan.gasNeeded.toFixed(volumeDecimals)} ${gasUnits.volume} (${Math.round(plan.pressureNeeded)} ${gasUnits.pressure})`;
+    document.getElementById('turn-pressure-result').textContent = `${Math.round(plan.turnPressure)} ${gasUnits.pressure}`;
+    document.getElementById('reserve-result').textContent = `${Math.round(plan.reservePressure)} ${gasUnits.pressure}`;
+    document.getElementById('gas-time-result').textContent = `${plan.maxBottomTime} minutes`;
+    
+    if (!plan.isSufficient) {
+        warning.textContent = `WARNING: The dive ends at ${Math.round(plan.endPressure)} ${gasUnits.pressure}, below the ${Math.round(plan.reservePressure)} ${gasUnits.pressure} reserve. Limit the bottom time to ${plan.maxBottomTime} minutes or take a larger cylinder.`;
+        warning.style.display = 'block';
+    } else {
+        warning.style.display = 'none';
+    }
+}
+
+// Setup oxygen exposure tracking for the day's dives
+function setupOxygenTracking() {
+    const surfaceIntervalInput = document.getElementById('oxygen-surface-interval');
+    const addDiveBtn = document.getElementById('add-oxygen-dive');
+    const clearDayBtn = document.getElementById('clear-oxygen-day');
+    
+    if (!surfaceIntervalInput || !addDiveBtn || !clearDayBtn) return;
+    
+    updateOxygenExposure();
+    
+    surfaceIntervalInput.addEventListener('change', updateOxygenExposure);
+    
+    // Add the dive selected in Table 1 to the day
+    addDiveBtn.addEventListener('click', function() {
+        const depth = getSelectedActualDepth();
+        const surfaceInterval = getOxygenSurfaceInterval();
+        
+        if (depth === null || !diveState.selectedBottomTime) {
+            alert('Please select a depth and bottom time in Table 1 first.');
+            return;
+        }
+        
+        if (isNaN(surfaceInterval)) {
+            alert('Please enter the surface interval as h:mm.');
+            return;
+        }
+        
+        diveState.oxygenDives.push({
+            depth: depth,
+            time: diveState.selectedBottomTime,
+            o2Percentage: diveState.nitroxO2,
+            surfaceInterval: diveState.oxygenDives.length > 0 ? surfaceInterval : 0
+        });
+        updateOxygenExposure();
+    });
+    
+    clearDayBtn.addEventListener('click', function() {
+        diveState.oxygenDives = [];
+        updateOxygenExposure();
+    });
+}
+
+// Surface interval (minutes) entered for oxygen exposure, or NaN
+function getOxygenSurfaceInterval() {
+    const value = document.getElementById('oxygen-surface-interval').value.trim();
+    return /^\d+:[0-5]\d$/.test(value) ? parseTimeToMinutes(value) : NaN;
+}
+
+// Format minutes as "h:mm", the way the tables list surface intervals
+function formatSurfaceInterval(minutes) {
+    const totalMinutes = Math.round(minutes);
+    const mins = totalMinutes % 60;
+    return `${Math.floor(totalMinutes / 60)}:${mins < 10 ? '0' : ''}${mins}`;
+}
+
+// Update the oxygen exposure of the selected dive and the day's dives
+function updateOxygenExposure() {
+    const po2Result = document.getElementById('oxygen-po2-result');
+    const warning = document.getElementById('oxygen-warning');
+    
+    if (!po2Result) return;
+    
+    const warnings = [];
+    
+    // Selected dive, for the selected bottom time or the whole no-decompression limit
+    const depth = getSelectedActualDepth();
+    if (depth === null) {
+        po2Result.textContent = '--';
+        document.getElementById('oxygen-dive-result').textContent = '--';
+    } else {
+        const time = diveState.selectedBottomTime || getTableSet().table1[diveState.selectedAirDepth][0];
+        const exposure = calculateOxygenExposure(depth, time, diveState.nitroxO2);
+        po2Result.textContent = formatPressure(exposure.pO2);
+        document.getElementById('oxygen-dive-result').textContent =
+            `${Math.round(exposure.cns)}% / ${Math.round(exposure.otu)} OTU for ${time} minutes`;
+        
+        if (exposure.exceedsLimit) {
+            warnings.push('WARNING: The selected dive exceeds the NOAA oxygen exposure limits.');
+        }
+    }
+    
+    // The day's dives
+    const day = calculateDailyOxygenExposure(diveState.oxygenDives);
+    const tbody = document.querySelector('#oxygen-day-table tbody');
+    tbody.innerHTML = '';
+    diveState.oxygenDives.forEach((dive, i) => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${i + 1}</td>
+            <td>${formatDepth(dive.depth)}</td>
+            <td>${dive.time}</td>
+            <td>${dive.o2Percentage}</td>
+            <td>${i > 0 ? formatSurfaceInterval(dive.surfaceInterval) : '--'}</td>
+            <td>${Math.round(day.dives[i].totalCNS)}</td>
+            <td>${Math.round(day.dives[i].totalOTU)}</td>
+        `;
+        tbody.appendChild(row);
+    });
+    
+    const surfaceInterval = getOxygenSurfaceInterval();
+    document.getElementById('oxygen-day-cns-result').textContent = `${Math.round(day.cns)}%`;
+    document.getElementById('oxygen-next-cns-result').textContent = isNaN(surfaceInterval) ?
+        '--' :
+        `${Math.round(recoverCNS(day.cns, surfaceInterval))}%`;
+    document.getElementById('oxygen-day-otu-result').textContent = `${Math.round(day.otu)} of ${DAILY_OTU_LIMIT}`;
+    
+    if (day.exceedsCNS) {
+        warnings.push('WARNING: The CNS clock is over 100%.');
+    }
+    if (day.exceedsOTU) {
+        warnings.push(`WARNING: The day's OTUs are over the ${DAILY_OTU_LIMIT} OTU limit.`);
+    }
+    
+    warning.textContent = warnings.join(' ');
+    warning.style.display = warnings.length > 0 ? 'block' : 'none';
+}
+
+// Setup the flying after diving calculator
+function setupFlyingAfterDiving() {
+    const sourceSelect = document.getElementById('flying-source');
+    const destinationSelect = document.getElementById('flying-destination');
+    const calculateFlyingBtn = document.getElementById('calculate-flying');
+    
+    if (!sourceSelect || !destinationSelect || !calculateFlyingBtn) return;
+    
+    // The group options only apply to an entered group, the elevation only to a mountain pass
+    sourceSelect.addEventListener('change', function() {
+        document.getElementById('flying-group-options').style.display = this.value === 'group' ? 'block' : 'none';
+    });
+    destinationSelect.addEventListener('change', function() {
+        const display = this.value === 'elevation' ? '' : 'none';
+        document.getElementById('flying-altitude-label').style.display = display;
+        document.getElementById('flying-altitude').style.display = display;
+    });
+    
+    calculateFlyingBtn.addEventListener('click', function() {
+        const timeSince = document.getElementById('flying-time-since').value.trim();
+        const options = {};
+        
+        if (!/^\d+:[0-5]\d$/.test(timeSince)) {
+            alert('Please enter the time since the last dive as h:mm.');
+            return;
+        }
+        options.timeSinceDive = parseTimeToMinutes(timeSince);
+        
+        if (destinationSelect.value === 'elevation') {
+            const elevation = parseFloat(document.getElementById('flying-altitude').value);
+            if (isNaN(elevation) || elevation < 0) {
+                alert('Please enter a valid elevation.');
+                return;
+            }
+            options.altitude = depthToFeet(elevation);
+        }
+        
+        if (sourceSelect.value === 'selected') {
+            const depth = getSelectedActualDepth();
+            if (depth === null || !diveState.selectedBottomTime) {
+                alert('Please select a depth and bottom time in Table 1 first.');
+                return;
+            }
+            options.dives = [{ depth: depth, time: diveState.selectedBottomTime, o2Percentage: diveState.nitroxO2 }];
+        } else if (sourceSelect.value === 'day') {
+            if (diveState.oxygenDives.length === 0) {
+                alert('Please add the day\'s dives in the Oxygen Exposure panel first.');
+                return;
+            }
+            options.dives = diveState.oxygenDives;
+        } else {
+            options.pressureGroup = document.getElementById('flying-group').value;
+            options.diveCount = document.getElementById('flying-repetitive').checked ? 2 : 1;
+            options.isDecompression = document.getElementById('flying-decompression').checked;
+        }
+        
+        let result;
+        try {
+            result = calculateFlyingAfterDiving(options);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        
+        displayFlyingAfterDiving(result);
+    });
+}
+
+// Format a surface interval (minutes) before flying for display
+function formatFlyingInterval(minutes) {
+    return minutes === 0 ? 'None' : `${formatSurfaceInterval(minutes)} (h:mm)`;
+}
+
+// Show the surface intervals before flying or driving to altitude
+function displayFlyingAfterDiving(result) {
+    const warning = document.getElementById('flying-warning');
+    
+    document.getElementById('flying-group-result').textContent = result.isExceptionalExposure ?
+        'None (exceptional exposure)' :
+        result.pressureGroup + (result.isDecompression ? ' (decompression dive)' : '');
+    document.getElementById('flying-navy-result').textContent = result.isBeyondTable ?
+        `Beyond the table (${formatDepth(result.altitudeAscent, 0)} climb)` :
+        formatFlyingInterval(result.navyInterval);
+    document.getElementById('flying-dan-result').textContent = formatFlyingInterval(result.danInterval);
+    
+    if (result.isBeyondTable) {
+        document.getElementById('flying-remaining-result').textContent = '--';
+        warning.textContent = `WARNING: The U.S. Navy table only covers climbs of up to ${formatDepth(10000, 0)} above the dive site.`;
+        warning.style.display = 'block';
+    } else {
+        document.getElementById('flying-remaining-result').textContent = result.remainingInterval === 0 ?
+            'None - clear to go' :
+            formatFlyingInterval(result.remainingInterval);
+        if (result.isExceptionalExposure) {
+            warning.textContent = 'WARNING: The dives are beyond the repetitive groups in the tables. Wait 48 hours before going to altitude.';
+            warning.style.display = 'block';
+        } else {
+            warning.style.display = 'none';
+        }
+    }
+    
+    document.getElementById('flying-results').style.display = 'block';
+}
+
+// Setup the multi-level dive planner
+function setupProfilePlanner() {
+    const profileForm = document.getElementById('profile-form');
+    const addSegmentBtn = document.getElementById('add-segment');
+    
+    if (!profileForm || !addSegmentBtn) return;
+    
+    // Start with a single level
+    addProfileSegment();
+    
+    addSegmentBtn.addEventListener('click', function() {
+        addProfileSegment();
+    });
+    
+    profileForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        
+        const segments = Array.from(document.querySelectorAll('.profile-segment')).map(row => ({
+            depth: depthToFeet(parseFloat(row.querySelector('.segment-depth').value)),
+            time: parseFloat(row.querySelector('.segment-time').value)
+        }));
+        
+        try {
+            const plan = planMultiLevelDive(segments, {
+                o2Percentage: diveState.nitroxO2,
+                gfLow: diveState.gfLow,
+                gfHigh: diveState.gfHigh
+            });
+            displayProfileResults(plan);
+        } catch (error) {
+            alert(error.message);
+        }
+    });
+}
+
+// Add a depth/time level to the multi-level planner form
+function addProfileSegment() {
+    const container = document.getElementById('profile-segments');
+    const index = container.querySelectorAll('.profile-segment').length + 1;
+    const units = getUnitSystem();
+    
+    const row = document.createElement('div');
+    row.className = 'profile-segment';
+    row.innerHTML = `
+        <div class="form-group">
+            <label>Level ${index} Depth (<span class="depth-unit">${units.depth}</span>):</label>
+            <input type="number" class="segment-depth" min="0" step="any">
+        </div>
+        <div class="form-group">
+            <label>Time (min):</label>
+            <input type="number" class="segment-time" min="1" step="1">
+        </div>
+        <button type="button" class="calculate-btn remove-segment" title="Remove level">&times;</button>
+    `;
+    
+    row.querySelector('.remove-segment').addEventListener('click', function() {
+        if (container.querySelectorAll('.profile-segment').length > 1) {
+            row.remove();
+            renumberProfileSegments();
+        }
+    });
+    
+    container.appendChild(row);
+}
+
+// Keep the level labels in order after a level is removed
+function renumberProfileSegments() {
+    document.querySelectorAll('.profile-segment').forEach((row, i) => {
+        const label = row.querySelector('label');
+        label.firstChild.textContent = `Level ${i + 1} Depth (`;
+    });
+}
+
+// Show the multi-level planner results
+function displayProfileResults(plan) {
+    const tbody = document.querySelector('#profile-table tbody');
+    const modWarning = document.getElementById('profile-mod-warning');
+    const warning = document.getElementById('profile-warning');
+    
+    tbody.innerHTML = '';
+    plan.segments.forEach((segment, i) => {
+        const row = document.createElement('tr');
+        if (segment.exceedsMOD || segment.exceedsTable) {
+            row.classList.add('profile-warning-row');
+        }
+        
+        const remaining = segment.noDecoTimeRemaining === Infinity ?
+            'No limit' :
+            segment.noDecoTimeRemaining + ' minutes';
+        
+        row.innerHTML = `
+            <td>${i + 1}</td>
+            <td>${parseFloat(feetToDepth(segment.depth).toFixed(1))}</td>
+            <td>${segment.time}</td>
+            <td>${segment.pressureGroup || 'Exceeded'}</td>
+            <td>${remaining}</td>
+        `;
+        tbody.appendChild(row);
+    });
+    
+    document.getElementById('profile-time-result').textContent = plan.totalTime + ' minutes';
+    document.getElementById('profile-group-result').textContent = plan.isExceeded ?
+        'Exceeds no-decompression limits' :
+        plan.pressureGroup;
+    
+    // MOD check for Nitrox mixes
+    if (plan.exceedsMOD) {
+        modWarning.textContent = `WARNING: One or more levels exceed the maximum operating depth of ${Math.floor(feetToDepth(plan.mod))} ${getUnitSystem().depth} for EANx ${diveState.nitroxO2}%.`;
+        modWarning.style.display = 'block';
+    } else {
+        modWarning.style.display = 'none';
+    }
+    
+    if (plan.isExceeded) {
+        warning.textContent = plan.segments.some(segment => segment.exceedsTable) ?
+            `WARNING: One or more levels are deeper than the maximum table depth of ${formatDepth(getMaxTableDepth())}.` :
+            `WARNING: The profile is equivalent to ${plan.equivalentTime} minutes at the ${formatDepth(plan.tableDepth)} table depth, beyond the no-decompression limit of ${plan.noDecoLimit} minutes.`;
+        warning.style.display = 'block';
+    } else if (plan.isReverseProfile) {
+        warning.textContent = 'WARNING: Reverse profile. Plan the deepest level first and move shallower through the dive.';
+        warning.style.display = 'block';
+    } else {
+        warning.style.display = 'none';
+    }
+    
+    document.getElementById('profile-results').style.display = 'block';
+}
+
+// Update the unit labels in headers, form labels and placeholders
+function updateUnitLabels() {
+    const units = getUnitSystem();
+    
+    document.querySelectorAll('.depth-unit').forEach(el => {
+        el.textContent = units.depth;
+    });
+    
+    document.querySelectorAll('.pressure-unit').forEach(el => {
+        el.textContent = units.pressure;
+    });
+    
+    const depthInput = document.getElementById('depth');
+    if (depthInput) {
+        depthInput.placeholder = units.depth === 'm' ? 'Enter depth in meters' : 'Enter depth in feet';
+    }
+    
+    const pO2Input = document.getElementById('po2');
+    if (pO2Input) {
+        pO2Input.placeholder = `Enter pO₂ in ${units.pressure}`;
+    }
+    
+    // Gas planning follows the depth unit: cubic feet and psi, or liters and bar
+    const gasUnits = getGasUnits();
+    document.querySelectorAll('.gas-pressure-unit').forEach(el => {
+        el.textContent = gasUnits.pressure;
+    });
+    
+    const rateTypeSelect = document.getElementById('gas-rate-type');
+    if (rateTypeSelect) {
+        rateTypeSelect.options[0].textContent = `RMV (${gasUnits.volume}/min)`;
+        rateTypeSelect.options[1].textContent = `SAC (${gasUnits.pressure}/min)`;
+    }
+    
+    const cylinderSizeLabel = document.getElementById('cylinder-size-label');
+    if (cylinderSizeLabel) {
+        cylinderSizeLabel.textContent = units.depth === 'm' ? 'Cylinder Size (L water volume)' : 'Cylinder Capacity (cu ft)';
+    }
+}
+
+// Setup interactive functionality for dive tables
+function setupInteractiveTables() {
+    // Add click event listeners to depth rows in Table 1
+    setupTable1Interactions();
+    
+    // Add click event listeners to cells in Table 2
+    setupTable2Interactions();
+    
+    // Add hover tooltips to Table 3 cells
+    setupTable3Tooltips();
+    
+    // Show calculation results container by default
+    document.getElementById('calculation-results').style.display = 'block';
+}
+
+// Setup Table 1 interactions
+function setupTable1Interactions() {
+    const table1 = document.getElementById('table1');
+    if (!table1) return;
+    
+    const tbody = table1.querySelector('tbody');
+    const rows = tbody.querySelectorAll('tr');
+    
+    // Make depth rows clickable
+    rows.forEach(row => {
+        row.classList.add('clickable');
+        
+        // Add click event to depth cell
+        const depthCell = row.querySelector('td:first-child');
+        if (depthCell) {
+            depthCell.addEventListener('click', function() {
+                const depth = parseFloat(this.textContent);
+                
+                // In Nitrox mode, we need to handle the depth differently
+                if (diveState.isNitroxMode) {
+                    // We're already displaying the actual depth for Nitrox
+                    // Just pass it directly to selectDepth
+                    selectDepth(depth);
+                } else {
+                    // Standard air mode
+                    selectDepth(depth);
+                }
+            });
+        }
+        
+        // Add click events to time cells
+        const timeCells = row.querySelectorAll('td:not(:first-child):not(:nth-child(2))');
+        timeCells.forEach((cell, index) => {
+            if (cell.textContent !== '-') {
+                cell.classList.add('clickable');
+                cell.addEventListener('click', function() {
+                    if (diveState.selectedDepth === null) {
+                        alert('Please select a depth first');
+                        return;
+                    }
+                    
+                    const bottomTime = parseFloat(this.textContent);
+                    
+                    // Get the actual column index of this cell
+                    const cellIndex = Array.from(row.cells).indexOf(this);
+                    
+                    // Get the pressure group from the column header
+                    // The header is at the same column index
+                    const headerCell = table1.querySelector(`thead tr:nth-child(2) th:nth-child(${cellIndex + 1})`);
+                    const pressureGroup = headerCell.textContent;
+                    
+                    selectBottomTime(bottomTime, pressureGroup);
+                });
+            }
+        });
+    });
+}
+
+// Setup Table 2 interactions
+function setupTable2Interactions() {
+    const table2 = document.getElementById('table2');
+    if (!table2) return;
+    
+    const tbody = table2.querySelector('tbody');
+    const rows = tbody.querySelectorAll('tr');
+    
+    // Make rows clickable
+    rows.forEach(row => {
+        // Add click event to pressure group row
+        const startGroupCell = row.querySelector('td:first-child');
+        if (startGroupCell) {
+            startGroupCell.classList.add('clickable');
+            startGroupCell.addEventListener('click', function() {
+                if (diveState.selectedPressureGroup === null) {
+                    alert('Please select a depth and bottom time first to determine your pressure group');
+                    return;
+                }
+                
+                const startGroup = this.textContent;
+                if (startGroup !== diveState.selectedPressureGroup) {
+                    alert(`You selected pressure group ${startGroup}, but your current pressure group is ${diveState.selectedPressureGroup}`);
+                    return;
+                }
+                
+                selectStartGroup(startGroup);
+            });
+        }
+        
+        // Add click events to surface interval cells
+        const intervalCells = row.querySelectorAll('td:not(:first-child)');
+        intervalCells.forEach((cell, index) => {
+            if (cell.textContent !== '-') {
+                cell.classList.add('clickable');
+                cell.addEventListener('click', function() {
+                    if (diveState.selectedPressureGroup === null) {
+                        alert('Please select a depth and bottom time first');
+                        return;
+                    }
+                    
+                    // Get the column index of this cell
+                    const cellIndex = Array.from(row.cells).indexOf(this);
+                    
+                    // Get the header cell at the same column index
+                    const headerCell = table2.querySelector(`thead tr:nth-child(2) th:nth-child(${cellIndex + 1})`);
+                    const newGroup = headerCell.textContent;
+                    
+                    // If the new group is '-', it means 'None'
+                    const finalGroup = newGroup === '-' ? null : newGroup;
+                    
+                    // Get the surface interval from the cell's top value
+                    const surfaceInterval = cell.querySelector('.top-value').textContent;
+                    
+                    selectSurfaceInterval(surfaceInterval, finalGroup);
+                });
+            }
+        });
+    });
+}
+
+// Setup Table 3 tooltips
+function setupTable3Tooltips() {
+    const table3 = document.getElementById('table3');
+    if (!table3) return;
+    
+    // Since we've simplified Table 3 to only show ANDL values, we don't need the dual tooltips anymore
+}
+
+// Setup Table 3 interactions
+function setupTable3Interactions() {
+    const table3 = document.getElementById('table3');
+    if (!table3) return;
+    
+    const tbody = table3.querySelector('tbody');
+    const rows = tbody.querySelectorAll('tr');
+    
+    // Add click events to depth cells
+    rows.forEach(row => {
+        const depthCell = row.querySelector('td:first-child');
+        if (depthCell && !depthCell.classList.contains('cell-unavailable')) {
+            // Make sure we don't add multiple event listeners to the same element
+            depthCell.classList.add('clickable');
+            
+            // Remove any existing click event listeners (to prevent duplicates)
+            const newDepthCell = depthCell.cloneNode(true);
+            depthCell.parentNode.replaceChild(newDepthCell, depthCell);
+            
+            // Add click event to depth cell
+            newDepthCell.addEventListener('click', function() {
+                selectRepetitiveDepth(row);
+            });
+        }
+        
+        // Add click events to ANDL cells (for target pressure group selection)
+        const andlCells = row.querySelectorAll('td:not(:first-child)');
+        andlCells.forEach((cell, index) => {
+            if (cell.textContent !== '-' && !cell.classList.contains('cell-unavailable')) {
+                // Make sure we don't add multiple event listeners to the same element
+                cell.classList.add('clickable');
+                
+                // Remove any existing click event listeners (to prevent duplicates)
+                const newCell = cell.cloneNode(true);
+                cell.parentNode.replaceChild(newCell, cell);
+                
+                // Add click event to the cell
+                newCell.addEventListener('click', function() {
+                    selectTargetGroup(row, this);
+                });
+            }
+        });
+    });
+}
+
+// Select a depth in Table 3: the depth of the repetitive dive once a surface interval
+// is picked, or else the depth of a dive
+function selectRepetitiveDepth(row) {
+    const clickedDepth = parseFloat(row.cells[0].textContent);
+    let airDepth, actualDepth;
+    
+    if (diveState.isNitroxMode) {
+        // In Nitrox mode, the displayed depth is the actual depth
+        // We need to calculate the air equivalent depth for table lookups
+        actualDepth = clickedDepth;
+        airDepth = findTableDepthForActualDepth(actualDepth);
+        
+        // Check if this depth exceeds MOD
+        const exceedsMOD = actualDepth > diveState.mod;
+        
+        if (exceedsMOD) {
+            alert(`Depth exceeds maximum operating depth of ${Math.floor(diveState.mod)} ${getUnitSystem().depth} (Oxygen toxicity limit).`);
+            return;
+        }
+    } else {
+        // In air mode, the displayed depth is the air depth (in the active unit)
+        airDepth = findTableDepthForActualDepth(clickedDepth);
+        actualDepth = airDepth;
+    }
+    
+    // If a pressure group is selected, highlight the row for this depth
+    if (diveState.newPressureGroup) {
+        // Clear previous row highlights but keep column highlights
+        document.querySelectorAll('#table3 tr.highlighted-row').forEach(el => {
+            el.classList.remove('highlighted-row');
+        });
+        
+        // Highlight just this row
+        row.classList.add('highlighted-row');
+        
+        // Update the selected depth for the second dive
+        diveState.selectedAirDepth = airDepth;
+        diveState.selectedDepth = actualDepth;
+        diveState.targetDepth = actualDepth;
+        diveState.repetitiveDepth = airDepth;
+    } else {
+        // If no pressure group is selected yet, just highlight the row
+        document.querySelectorAll('#table3 tr.highlighted-row').forEach(el => {
+            el.classList.remove('highlighted-row');
+        });
+        
+        // Highlight just this row
+        row.classList.add('highlighted-row');
+        
+        // Update the selected depth
+        diveState.selectedAirDepth = airDepth;
+        diveState.selectedDepth = actualDepth;
+        diveState.firstDiveDepth = depthToFeet(clickedDepth);
+    }
+    
+    // Update the results display with the selected depth
+    displaySelectedDepth(actualDepth, airDepth);
+    
+    // Update the residual nitrogen time and adjusted NDL
+    try {
+        // Use the air equivalent depth for table lookups
+        const repetitiveInfo = getRepetitiveDiveInfo(diveState.newPressureGroup, airDepth);
+        
+        // Update the results display
+        document.getElementById('repetitive-dive-section').style.display = 'block';
+        
+        if (repetitiveInfo.isExceeded) {
+            document.getElementById('rnt-result').textContent = 'N/A';
+            document.getElementById('andl-result').textContent = 'N/A';
+            document.getElementById('nodeco-warning').textContent = repetitiveInfo.message;
+            document.getElementById('nodeco-warning').style.display = 'block';
+        } else {
+            document.getElementById('rnt-result').textContent = repetitiveInfo.residualNitrogenTime + ' minutes';
+            document.getElementById('andl-result').textContent = repetitiveInfo.adjustedNoDecoLimit + ' minutes';
+            document.getElementById('nodeco-warning').style.display = 'none';
+            
+            // If we have both a selected pressure group and a target pressure group,
+            // calculate the minimum surface interval
+            if (diveState.selectedPressureGroup && diveState.targetPressureGroup) {
+                displayMinimumSurfaceInterval();
+            }
+        }
+    } catch (error) {
+        console.error('Error getting repetitive dive info:', error);
+        document.getElementById('rnt-result').textContent = 'N/A';
+        document.getElementById('andl-result').textContent = 'N/A';
+        document.getElementById('nodeco-warning').textContent = 'Error calculating residual nitrogen time.';
+        document.getElementById('nodeco-warning').style.display = 'block';
+    }
+    
+    updatePlanHash();
+}
+
+// Select an adjusted no-decompression limit in Table 3 as the target for the minimum surface interval
+function selectTargetGroup(row, cell) {
+    const table3 = document.getElementById('table3');
+    
+    // Get the column index of this cell
+    const cellIndex = Array.from(row.cells).indexOf(cell);
+    
+    // Get the header cell at the same column index
+    const headerCell = table3.querySelector(`thead tr:nth-child(2) th:nth-child(${cellIndex + 1})`);
+    const targetGroup = headerCell.textContent;
+    
+    // Set the target pressure group
+    diveState.targetPressureGroup = targetGroup;
+    
+    // Get the depth from the first cell in this row
+    const depthCell = row.querySelector('td:first-child');
+    const depth = parseFloat(depthCell.textContent);
+    
+    if (diveState.isNitroxMode) {
+        // In Nitrox mode, the displayed depth is the actual depth
+        diveState.targetDepth = depth;
+        diveState.targetAirDepth = findTableDepthForActualDepth(depth);
+    } else {
+        // In air mode, the displayed depth is the air depth (in the active unit)
+        diveState.targetDepth = findTableDepthForActualDepth(depth);
+        diveState.targetAirDepth = diveState.targetDepth;
+    }
+    
+    // Clear previous cell highlights in Table 3
+    document.querySelectorAll('#table3 td.target-highlighted').forEach(el => {
+        el.classList.remove('target-highlighted');
+    });
+    
+    // Clear any target highlights in Table 2
+    document.querySelectorAll('#table2 td.target-highlighted').forEach(el => {
+        el.classList.remove('target-highlighted');
+    });
+    
+    // Highlight this cell as the target
+    cell.classList.add('target-highlighted');
+    
+    // If we have both a selected pressure group and a target pressure group,
+    // calculate the minimum surface interval and highlight it in Table 2
+    if (diveState.selectedPressureGroup && diveState.targetPressureGroup) {
+        displayMinimumSurfaceInterval();
+        
+        // Highlight the corresponding cell in Table 2
+        highlightSurfaceIntervalInTable2(diveState.selectedPressureGroup, diveState.targetPressureGroup);
+    }
+    
+    updatePlanHash();
+}
+
+// Display the minimum surface interval in the UI
+function displayMinimumSurfaceInterval() {
+    if (!diveState.selectedPressureGroup || !diveState.targetPressureGroup) {
+        return;
+    }
+    
+    const minSurfaceInterval = calculateMinimumSurfaceInterval(
+        diveState.selectedPressureGroup,
+        diveState.targetPressureGroup
+    );
+    
+    if (minSurfaceInterval) {
+        // Update the UI to show the minimum surface interval
+        document.getElementById('repetitive-dive-section').style.display = 'block';
+        
+        // Create or update the minimum surface interval display
+        let minIntervalElement = document.getElementById('min-interval-result');
+        if (!minIntervalElement) {
+            // Create the elements if they don't exist
+            const resultItem = document.createElement('div');
+            resultItem.classList.add('result-item');
+            
+            const label = document.createElement('span');
+            label.classList.add('result-label');
+            label.textContent = 'Minimum Surface Interval:';
+            
+            minIntervalElement = document.createElement('span');
+            minIntervalElement.id = 'min-interval-result';
+            minIntervalElement.classList.add('result-value');
+            
+            resultItem.appendChild(label);
+            resultItem.appendChild(minIntervalElement);
+            
+            // Insert after the new pressure group result
+            const newGroupResult = document.querySelector('.result-item:has(#new-group-result)');
+            if (newGroupResult) {
+                newGroupResult.parentNode.insertBefore(resultItem, newGroupResult.nextSibling);
+            } else {
+                document.getElementById('repetitive-dive-section').appendChild(resultItem);
+            }
+        }
+        
+        minIntervalElement.textContent = minSurfaceInterval;
+        
+        // Highlight the cell in Table 2
+        highlightSurfaceIntervalInTable2(diveState.selectedPressureGroup, diveState.targetPressureGroup);
+    }
+}
+
+// Highlight the surface interval cell in Table 2
+function highlightSurfaceIntervalInTable2(startGroup, targetGroup) {
+    const table2 = document.getElementById('table2');
+    if (!table2) return;
+    
+    // Clear previous highlights but keep the row highlight
+    document.querySelectorAll('#table2 td.highlighted-cell').forEach(el => {
+        if (!el.parentElement.classList.contains('highlighted-row')) {
+            el.classList.remove('highlighted-cell');
+        }
+    });
+    
+    // Clear any target highlights
+    document.querySelectorAll('#table2 td.target-highlighted').forEach(el => {
+        el.classList.remove('target-highlighted');
+    });
+    
+    // Find the row for the start group
+    const startRow = Array.from(table2.querySelectorAll('tbody tr')).find(row => {
+        const firstCell = row.querySelector('td:first-child');
+        return firstCell && firstCell.textContent === startGroup;
+    });
+    
+    if (!startRow) return;
+    
+    // Find the column for the target group
+    const headerRow = table2.querySelector('thead tr:nth-child(2)');
+    let targetColIndex = -1;
+    
+    Array.from(headerRow.querySelectorAll('th')).forEach((th, index) => {
+        if (th.textContent === targetGroup) {
+            targetColIndex = index;
+        }
+    });
+    
+    if (targetColIndex === -1) return;
+    
+    // Highlight the cell at the intersection
+    const targetCell = startRow.querySelector(`td:nth-child(${targetColIndex + 1})`);
+    if (targetCell) {
+        // Use target-highlighted class to make it stand out
+        targetCell.classList.add('target-highlighted');
+        
+        // Scroll to make the cell visible
+        targetCell.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+}
+
+// Select a depth in Table 1
+function selectDepth(depth) {
+    // In Nitrox mode, we need to handle the depth differently
+    if (diveState.isNitroxMode) {
+        // The depth passed is the actual depth; the table row is the one at or
+        // just deeper than its equivalent air depth
+        const actualDepth = depth;
+        const airDepth = findTableDepthForActualDepth(actualDepth);
+        if (airDepth === -1) {
+            alert(`The equivalent air depth of ${formatDepth(depthToFeet(getEquivalentAirDepth(actualDepth)))} exceeds the maximum table depth of ${formatDepth(getMaxTableDepth())}.`);
+            return;
+        }
+        
+        // Check if the depth exceeds MOD
+        if (actualDepth > diveState.mod) {
+            alert(`Depth exceeds maximum operating depth of ${Math.floor(diveState.mod)} ${getUnitSystem().depth} (Oxygen toxicity limit).`);
+            return;
+        }
+        
+        if (!confirmNarcosisRisk(depthToFeet(actualDepth))) return;
+        
+        // Clear all highlights first
+        clearAllHighlights();
+        
+        // Update state - store both the actual depth and the air equivalent depth
+        diveState.selectedDepth = actualDepth;
+        diveState.selectedAirDepth = airDepth; // Store the air equivalent for table lookups
+        diveState.selectedBottomTime = null;
+        diveState.selectedPressureGroup = null;
+        diveState.selectedSurfaceInterval = null;
+        diveState.newPressureGroup = null;
+        diveState.targetDepth = null;
+        diveState.targetPressureGroup = null;
+        diveState.firstDiveDepth = depthToFeet(actualDepth);
+        diveState.repetitiveDepth = null;
+        
+        // Highlight the row in Table 1
+        highlightRowInTable1(actualDepth);
+        
+        document.getElementById('pressure-group-result').textContent = '--';
+    } else {
+        // Standard air mode
+        // Find the closest depth in the tables (the depth is in the active unit, the tables are in feet)
+        const tableDepth = findTableDepthForActualDepth(depth);
+        if (tableDepth === -1) {
+            alert(`Depth exceeds maximum table depth of ${formatDepth(getMaxTableDepth())}.`);
+            return;
+        }
+        
+        if (!confirmNarcosisRisk(depthToFeet(depth))) return;
+        
+        // Clear all highlights first
+        clearAllHighlights();
+        
+        // Update state
+        diveState.selectedDepth = tableDepth;
+        diveState.selectedAirDepth = tableDepth; // In air mode, these are the same
+        diveState.selectedBottomTime = null;
+        diveState.selectedPressureGroup = null;
+        diveState.selectedSurfaceInterval = null;
+        diveState.newPressureGroup = null;
+        diveState.targetDepth = null;
+        diveState.targetPressureGroup = null;
+        diveState.firstDiveDepth = depthToFeet(depth);
+        diveState.repetitiveDepth = null;
+        
+        // Highlight the row in Table 1
+        highlightRowInTable1(tableDepth);
+        
+        // Update the results display
+        displaySelectedDepth(tableDepth, tableDepth);
+        const [maxNDL, timeGroups] = getTableSet().table1[tableDepth];
+        document.getElementById('nodeco-result').textContent = maxNDL + ' minutes';
+        document.getElementById('pressure-group-result').textContent = '--';
+    }
+    
+    // Hide repetitive dive and decompression sections
+    document.getElementById('repetitive-dive-section').style.display = 'none';
+    document.getElementById('deco-schedule-section').style.display = 'none';
+    
+    // Remove the minimum surface interval display if it exists
+    const minIntervalElement = document.getElementById('min-interval-result');
+    if (minIntervalElement && minIntervalElement.parentElement) {
+        minIntervalElement.parentElement.remove();
+    }
+    
+    updateBuhlmannDisplay();
+    updateGasPlan();
+    updateOxygenExposure();
+    updateProfileChart();
+    updatePlanHash();
+}
+
+// Select a bottom time and pressure group in Table 1
+function selectBottomTime(bottomTime, pressureGroup) {
+    if (!diveState.selectedDepth) return;
+    
+    // Update state; the surface interval picked for the previous bottom time no longer applies
+    diveState.selectedBottomTime = bottomTime;
+    diveState.selectedPressureGroup = pressureGroup;
+    diveState.selectedSurfaceInterval = null;
+    diveState.newPressureGroup = null;
+    diveState.repetitiveDepth = null;
+    
+    // Highlight the pressure group column in Table 1
+    highlightPressureGroupInTable1(pressureGroup);
+    
+    // Update the results display
+    document.getElementById('pressure-group-result').textContent = pressureGroup;
+    updateBuhlmannDisplay();
+    updateGasPlan();
+    updateOxygenExposure();
+    updateProfileChart();
+    
+    // Hide repetitive dive and decompression sections
+    document.getElementById('repetitive-dive-section').style.display = 'none';
+    document.getElementById('deco-schedule-section').style.display = 'none';
+    
+    updatePlanHash();
+}
+
+// Setup the actual depth entry, which picks the Table 1 row for any depth
+function setupDepthEntry() {
+    const depthInput = document.getElementById('custom-depth');
+    const checkDepthBtn = document.getElementById('check-depth');
+    
+    if (!depthInput || !checkDepthBtn) return;
+    
+    checkDepthBtn.addEventListener('click', function() {
+        const depth = parseFloat(depthInput.value);
+        
+        if (isNaN(depth) || depth <= 0) {
+            alert('Please enter a valid depth.');
+            return;
+        }
+        
+        selectDepth(depth);
+    });
+}
+
+// Setup the bottom time entry for the depth selected in Table 1
+function setupBottomTimeEntry() {
+    const bottomTimeInput = document.getElementById('custom-bottom-time');
+    const checkBottomTimeBtn = document.getElementById('check-bottom-time');
+    
+    if (!bottomTimeInput || !checkBottomTimeBtn) return;
+    
+    checkBottomTimeBtn.addEventListener('click', function() {
+        const bottomTime = parseFloat(bottomTimeInput.value);
+        
+        if (diveState.selectedDepth === null) {
+            alert('Please select a depth in Table 1 first.');
+            return;
+        }
+        
+        if (isNaN(bottomTime) || bottomTime <= 0) {
+            alert('Please enter a valid bottom time.');
+            return;
+        }
+        
+        checkBottomTime(bottomTime);
+    });
+}
+
+// Check a bottom time at the selected depth, showing a decompression schedule past the limit
+function checkBottomTime(bottomTime) {
+    const result = getSingleDiveInfo(diveState.selectedAirDepth, bottomTime);
+    const warning = document.getElementById('nodeco-warning');
+    
+    // Within the limit, this is the same as clicking the bottom time in Table 1
+    if (!result.isExceeded) {
+        warning.style.display = 'none';
+        selectBottomTime(bottomTime, result.pressureGroup);
+        return;
+    }
+    
+    const schedule = result.decompressionSchedule;
+    
+    // Repetitive dives are only planned for groups covered by Table 2
+    diveState.selectedBottomTime = bottomTime;
+    diveState.selectedPressureGroup = schedule && getTableSet().table2[schedule.pressureGroup] ? schedule.pressureGroup : null;
+    diveState.selectedSurfaceInterval = null;
+    diveState.newPressureGroup = null;
+    diveState.repetitiveDepth = null;
+    highlightRowInTable1(diveState.selectedDepth);
+    
+    document.getElementById('repetitive-dive-section').style.display = 'none';
+    
+    if (schedule) {
+        document.getElementById('pressure-group-result').textContent = schedule.pressureGroup || 'None (no repetitive dive)';
+        displayDecompressionSchedule(schedule);
+        warning.style.display = 'none';
+    } else {
+        document.getElementById('pressure-group-result').textContent = '--';
+        document.getElementById('deco-schedule-section').style.display = 'none';
+        warning.textContent = result.message;
+        warning.style.display = 'block';
+    }
+    
+    updateBuhlmannDisplay();
+    updateGasPlan();
+    updateOxygenExposure();
+    updateProfileChart();
+    updatePlanHash();
+}
+
+// Show a decompression schedule in the results panel
+function displayDecompressionSchedule(schedule) {
+    const tbody = document.querySelector('#deco-stops-table tbody');
+    
+    document.getElementById('deco-schedule-result').textContent = schedule.isUnlimited ?
+        `None needed: ${formatDepth(schedule.tableDepth)} has no no-decompression limit` :
+        `${formatDepth(schedule.tableDepth)} for ${schedule.scheduleTime} minutes`;
+    
+    tbody.innerHTML = '';
+    schedule.stops.forEach(stop => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${formatDepth(stop.actualDepth)}</td>
+            <td>${stop.time}</td>
+        `;
+        tbody.appendChild(row);
+    });
+    
+    document.getElementById('deco-ascent-result').textContent = schedule.isUnlimited ? '--' : formatAscentTime(schedule.totalAscentTime);
+    document.getElementById('deco-schedule-section').style.display = 'block';
+}
+
+// Format a time in minutes as "m:ss", the way the decompression tables list ascent times
+function formatAscentTime(minutes) {
+    const totalSeconds = Math.round(minutes * 60);
+    const seconds = totalSeconds % 60;
+    return `${Math.floor(totalSeconds / 60)}:${seconds < 10 ? '0' : ''}${seconds}`;
+}
+
+// Setup the surface interval solver for a planned next dive
+function setupNextDivePlanner() {
+    const depthInput = document.getElementById('next-dive-depth');
+    const bottomTimeInput = document.getElementById('next-dive-bottom-time');
+    const findBtn = document.getElementById('find-surface-interval');
+    
+    if (!depthInput || !bottomTimeInput || !findBtn) return;
+    
+    findBtn.addEventListener('click', function() {
+        const depth = depthToFeet(parseFloat(depthInput.value));
+        const bottomTime = parseFloat(bottomTimeInput.value);
+        
+        if (!diveState.selectedPressureGroup) {
+            alert('Please select a depth and bottom time in Table 1 first to determine your pressure group');
+            return;
+        }
+        
+        if (isNaN(depth) || depth <= 0 || isNaN(bottomTime) || bottomTime <= 0) {
+            alert('Please enter a valid depth and bottom time for the next dive.');
+            return;
+        }
+        
+        const tableDepth = getTableDepthForMix(depth, diveState.nitroxO2);
+        if (tableDepth === -1) {
+            alert(`The depth is beyond the maximum table depth of ${formatDepth(getMaxTableDepth())}.`);
+            return;
+        }
+        
+        displayNextDivePlan(calculateSurfaceIntervalForDive(diveState.selectedPressureGroup, tableDepth, bottomTime));
+    });
+}
+
+// Show the surface interval for the next dive and follow it in Tables 2 and 3
+function displayNextDivePlan(result) {
+    const warning = document.getElementById('next-dive-warning');
+    const results = document.getElementById('next-dive-results');
+    
+    clearTable2Highlights();
+    clearTable3Highlights();
+    document.querySelectorAll('#table2 td.target-highlighted').forEach(el => {
+        el.classList.remove('target-highlighted');
+    });
+    highlightRowInTable2(diveState.selectedPressureGroup);
+    
+    if (result.isExceeded) {
+        results.style.display = 'none';
+        warning.textContent = `WARNING: ${result.message}`;
+        warning.style.display = 'block';
+        return;
+    }
+    
+    document.getElementById('next-interval-result').textContent = result.surfaceInterval;
+    document.getElementById('next-group-result').textContent = result.targetGroup || 'None (no longer a repetitive dive)';
+    document.getElementById('next-rnt-result').textContent = result.residualNitrogenTime + ' minutes';
+    document.getElementById('next-final-group-result').textContent = result.finalGroup;
+    results.style.display = 'block';
+    warning.style.display = 'none';
+    
+    if (result.targetGroup) {
+        highlightSurfaceIntervalInTable2(diveState.selectedPressureGroup, result.targetGroup);
+        highlightDepthAndGroup('table3', findTable3Depth(result.tableDepth), result.targetGroup);
+    }
+}
+
+// Setup the chain of repetitive dives: dive, surface interval, dive and so on
+function setupDiveChain() {
+    const surfaceIntervalInput = document.getElementById('chain-surface-interval');
+    const depthInput = document.getElementById('chain-depth');
+    const bottomTimeInput = document.getElementById('chain-bottom-time');
+    const fillBtn = document.getElementById('fill-chain-dive');
+    const addBtn = document.getElementById('add-chain-dive');
+    const clearBtn = document.getElementById('clear-dive-chain');
+    
+    if (!surfaceIntervalInput || !depthInput || !bottomTimeInput || !fillBtn || !addBtn || !clearBtn) return;
+    
+    updateDiveChain();
+    
+    // Take the dive picked in the tables
+    fillBtn.addEventListener('click', function() {
+        const depth = getSelectedActualDepth();
+        
+        if (depth === null || !diveState.selectedBottomTime) {
+            alert('Please select a depth and bottom time in Table 1 first.');
+            return;
+        }
+        
+        depthInput.value = parseFloat(feetToDepth(depth).toFixed(1));
+        bottomTimeInput.value = diveState.selectedBottomTime;
+        if (diveState.selectedSurfaceInterval) {
+            surfaceIntervalInput.value = diveState.selectedSurfaceInterval;
+        }
+    });
+    
+    addBtn.addEventListener('click', function() {
+        const depth = depthToFeet(parseFloat(depthInput.value));
+        const bottomTime = parseFloat(bottomTimeInput.value);
+        const surfaceInterval = surfaceIntervalInput.value.trim();
+        const isFirstDive = diveState.diveChain.length === 0;
+        
+        if (isNaN(depth) || depth <= 0 || isNaN(bottomTime) || bottomTime <= 0) {
+            alert('Please enter a valid depth and bottom time.');
+            return;
+        }
+        
+        if (getTableDepthForMix(depth, diveState.nitroxO2) === -1) {
+            alert(`The depth is beyond the maximum table depth of ${formatDepth(getMaxTableDepth())}.`);
+            return;
+        }
+        
+        if (!isFirstDive && !/^\d+:[0-5]\d$/.test(surfaceInterval)) {
+            alert('Please enter the surface interval as h:mm.');
+            return;
+        }
+        
+        diveState.diveChain.push({
+            depth: depth,
+            o2Percentage: diveState.nitroxO2,
+            bottomTime: bottomTime,
+            surfaceInterval: isFirstDive ? null : surfaceInterval
+        });
+        updateDiveChain();
+        selectChainStep(diveState.diveChain.length - 1);
+    });
+    
+    clearBtn.addEventListener('click', function() {
+        diveState.diveChain = [];
+        diveState.selectedChainStep = null;
+        clearAllHighlights();
+        updateDiveChain();
+    });
+}
+
+// Plan the chain of dives through the tables
+function planSelectedDiveChain() {
+    return planDiveChainForMixes(diveState.diveChain);
+}
+
+// Show the chain of dives
+function updateDiveChain() {
+    const tbody = document.querySelector('#dive-chain-table tbody');
+    const warning = document.getElementById('dive-chain-warning');
+    
+    if (!tbody) return;
+    
+    const steps = planSelectedDiveChain();
+    
+    tbody.innerHTML = '';
+    steps.forEach((step, i) => {
+        const dive = diveState.diveChain[i];
+        const row = document.createElement('tr');
+        row.classList.add('clickable');
+        if (step.isExceeded) {
+            row.classList.add('chain-warning-row');
+        }
+        if (i === diveState.selectedChainStep) {
+            row.classList.add('highlighted-row');
+        }
+        
+        row.innerHTML = `
+            <td>${i + 1}</td>
+            <td>${step.surfaceInterval || '--'}</td>
+            <td>${step.repetitiveFactor ? `RF ${step.repetitiveFactor}` : step.newGroup || (step.startGroup && !step.isExceeded ? 'None' : '--')}</td>
+            <td>${formatDepth(dive.depth)}${dive.o2Percentage > 21 ? ` (EANx ${dive.o2Percentage})` : ''}</td>
+            <td>${step.bottomTime}</td>
+            <td>${step.isRepetitive ? step.residualNitrogenTime : '--'}</td>
+            <td>${step.noDecoLimit !== null ? step.noDecoLimit : '--'}</td>
+            <td>${step.pressureGroup || (step.isExceeded ? 'Exceeded' : '--')}</td>
+        `;
+        row.addEventListener('click', function() {
+            selectChainStep(i);
+        });
+        tbody.appendChild(row);
+    });
+    
+    document.getElementById('chain-surface-interval').disabled = steps.length === 0;
+    
+    const exceededIndex = steps.findIndex(step => step.isExceeded);
+    if (exceededIndex !== -1) {
+        warning.textContent = `WARNING: Dive ${exceededIndex + 1}: ${steps[exceededIndex].message}`;
+        warning.style.display = 'block';
+    } else {
+        warning.style.display = 'none';
+    }
+    
+    updateProfileChart();
+    updatePlanHash();
+}
+
+// Select a dive in the chain and follow it in the tables
+function selectChainStep(index) {
+    const steps = planSelectedDiveChain();
+    const step = steps[index];
+    
+    if (!step) return;
+    
+    diveState.selectedChainStep = index;
+    document.querySelectorAll('#dive-chain-table tbody tr').forEach((row, i) => {
+        row.classList.toggle('highlighted-row', i === index);
+    });
+    
+    clearAllHighlights();
+    
+    // Table 1: the depth row and the group for the bottom time (plus residual nitrogen time)
+    highlightDepthAndGroup('table1', step.tableDepth, step.pressureGroup);
+    
+    // Table 2: the group after the previous dive and the group after the surface interval
+    if (step.startGroup && (step.newGroup || !step.isExceeded)) {
+        highlightRowInTable2(step.startGroup);
+        highlightNewGroupInTable2(step.newGroup);
+    }
+    
+    // Table 3: the residual nitrogen time at the depth for the group after the surface interval
+    if (step.newGroup) {
+        highlightDepthAndGroup('table3', findTable3Depth(step.tableDepth), step.newGroup);
+    }
+}
+
+// Highlight a depth row (table depth in feet) and a pressure group column in Table 1 or Table 3
+function highlightDepthAndGroup(tableId, tableDepth, pressureGroup) {
+    const table = document.getElementById(tableId);
+    if (!table) return;
+    
+    const rows = table.querySelectorAll('tbody tr');
+    rows.forEach(row => {
+        if (Number(row.dataset.depth) === tableDepth) {
+            row.classList.add('highlighted-row');
+            row.querySelectorAll('td').forEach(cell => {
+                cell.classList.add('highlighted-cell');
+            });
+        }
+    });
+    
+    if (!pressureGroup) return;
+    
+    const headerCells = table.querySelectorAll('thead tr:nth-child(2) th');
+    headerCells.forEach((cell, colIndex) => {
+        if (cell.textContent === pressureGroup) {
+            cell.classList.add('highlighted-cell');
+            rows.forEach(row => {
+                if (row.cells[colIndex]) {
+                    row.cells[colIndex].classList.add('highlighted-cell');
+                }
+            });
+        }
+    });
+}
+
+// Setup the dive log: save, list, load, edit and delete entries kept in IndexedDB
+function setupDiveLog() {
+    const dateInput = document.getElementById('log-date');
+    const saveBtn = document.getElementById('save-log-entry');
+    const cancelBtn = document.getElementById('cancel-log-edit');
+    
+    if (!dateInput || !saveBtn || !cancelBtn) return;
+    
+    dateInput.value = formatLogDate(new Date());
+    
+    saveBtn.addEventListener('click', function() {
+        const dives = getDiveLogDives();
+        if (dives.length === 0) {
+            alert('Please add dives to the dive chain, or select a depth and bottom time in Table 1, first.');
+            return;
+        }
+        
+        saveDiveLogEntry({
+            id: diveState.editingLogEntryId,
+            date: dateInput.value,
+            kind: document.getElementById('log-kind').value,
+            site: document.getElementById('log-site').value,
+            notes: document.getElementById('log-notes').value,
+            tableSetId: getTableSet().id,
+            altitude: getAltitude(),
+            dives: dives
+        }).then(() => {
+            endDiveLogEdit();
+            updateDiveLogList();
+        }).catch(error => {
+            alert(error.message);
         });
     });
+    
+    cancelBtn.addEventListener('click', endDiveLogEdit);
+    
+    updateDiveLogList();
 }
 
-// Setup Table 3 tooltips
-function setupTable3Tooltips() {
-    const table3 = document.getElementById('table3');
-    if (!table3) return;
+// Local date as YYYY-MM-DD for the log
+function formatLogDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Dives to save in the log: the dive chain, or else the dive picked in Table 1
+function getDiveLogDives() {
+    if (diveState.diveChain.length > 0) {
+        const steps = planSelectedDiveChain();
+        return diveState.diveChain.map((dive, i) => ({
+            depth: dive.depth,
+            bottomTime: dive.bottomTime,
+            o2Percentage: dive.o2Percentage,
+            surfaceInterval: dive.surfaceInterval,
+            pressureGroup: steps[i].pressureGroup,
+            newGroup: steps[i].newGroup
+        }));
+    }
     
-    // Since we've simplified Table 3 to only show ANDL values, we don't need the dual tooltips anymore
+    const depth = getSelectedActualDepth();
+    if (depth === null || !diveState.selectedBottomTime) return [];
+    
+    return [{
+        depth: depth,
+        bottomTime: diveState.selectedBottomTime,
+        o2Percentage: diveState.nitroxO2,
+        surfaceInterval: null,
+        pressureGroup: diveState.selectedPressureGroup
+    }];
 }
 
-// Setup Table 3 interactions
-function setupTable3Interactions() {
-    const table3 = document.getElementById('table3');
-    if (!table3) return;
+// Show the saved log entries
+function updateDiveLogList() {
+    const tbody = document.querySelector('#dive-log-table tbody');
+    const warning = document.getElementById('dive-log-warning');
     
-    const tbody = table3.querySelector('tbody');
-    const rows = tbody.querySelectorAll('tr');
+    if (!tbody) return;
     
-    // Add click events to depth cells
-    rows.forEach(row => {
-        const depthCell = row.querySelector('td:first-child');
-        if (depthCell && !depthCell.classList.contains('cell-unavailable')) {
-            // Make sure we don't add multiple event listeners to the same element
-            depthCell.classList.add('clickable');
-            
-            // Remove any existing click event listeners (to prevent duplicates)
-            const newDepthCell = depthCell.cloneNode(true);
-            depthCell.parentNode.replaceChild(newDepthCell, depthCell);
-            
-            // Add click event to depth cell
-            newDepthCell.addEventListener('click', function() {
-                const clickedDepth = parseFloat(this.textContent);
-                let airDepth, actualDepth;
-                
-                if (diveState.isNitroxMode) {
-                    // In Nitrox mode, the displayed depth is the actual depth
-                    // We need to calculate the air equivalent depth for table lookups
-                    actualDepth = clickedDepth;
-                    
-                    // Find the closest air equivalent depth
-                    const depths = Object.keys(navyTable3).map(Number).sort((a, b) => a - b);
-                    let minDiff = Infinity;
-                    
-                    for (const d of depths) {
-                        const nitroxDepth = Math.round(calculateActualDepthFromEAD(d, diveState.nitroxO2));
-                        const diff = Math.abs(nitroxDepth - actualDepth);
-                        if (diff < minDiff) {
-                            minDiff = diff;
-                            airDepth = d;
-                        }
-                    }
-                    
-                    // Check if this depth exceeds MOD
-                    const exceedsMOD = actualDepth > diveState.mod;
-                    
-                    if (exceedsMOD) {
-                        if (diveState.nitroxO2 < 27) {
-                            alert(`Depth exceeds maximum operating depth of 100 feet (Nitrogen narcosis limit).`);
-                        } else {
-                            alert(`Depth exceeds maximum operating depth of ${Math.floor(diveState.mod)} feet (Oxygen toxicity limit).`);
-                        }
-                        return;
-                    }
-                } else {
-                    // In air mode, the displayed depth is the air depth
-                    airDepth = clickedDepth;
-                    actualDepth = clickedDepth;
-                }
-                
-                // If a pressure group is selected, highlight the row for this depth
-                if (diveState.newPressureGroup) {
-                    // Clear previous row highlights but keep column highlights
-                    document.querySelectorAll('#table3 tr.highlighted-row').forEach(el => {
-                        el.classList.remove('highlighted-row');
-                    });
-                    
-                    // Highlight just this row
-                    row.classList.add('highlighted-row');
-                    
-                    // Update the selected depth for the second dive
-                    diveState.selectedAirDepth = airDepth;
-                    diveState.selectedDepth = actualDepth;
-                    diveState.targetDepth = actualDepth;
-                } else {
-                    // If no pressure group is selected yet, just highlight the row
-                    document.querySelectorAll('#table3 tr.highlighted-row').forEach(el => {
-                        el.classList.remove('highlighted-row');
-                    });
-                    
-                    // Highlight just this row
-                    row.classList.add('highlighted-row');
-                    
-                    // Update the selected depth
-                    diveState.selectedAirDepth = airDepth;
-                    diveState.selectedDepth = actualDepth;
-                }
-                
-                // Update the results display with the selected depth
-                document.getElementById('selected-depth-result').textContent = actualDepth + ' ft';
-                
-                // Update the residual nitrogen time and adjusted NDL
-                try {
-                    // Use the air equivalent depth for table lookups
-                    const repetitiveInfo = getRepetitiveDiveInfo(diveState.newPressureGroup, airDepth);
-                    
-                    // Update the results display
-                    document.getElementById('repetitive-dive-section').style.display = 'block';
-                    
-                    if (repetitiveInfo.isExceeded) {
-                        document.getElementById('andl-result').textContent = 'N/A';
-                        document.getElementById('nodeco-warning').textContent = repetitiveInfo.message;
-                        document.getElementById('nodeco-warning').style.display = 'block';
-                    } else {
-                        document.getElementById('andl-result').textContent = repetitiveInfo.adjustedNoDecoLimit + ' minutes';
-                        document.getElementById('nodeco-warning').style.display = 'none';
-                        
-                        // If we have both a selected pressure group and a target pressure group,
-                        // calculate the minimum surface interval
-                        if (diveState.selectedPressureGroup && diveState.targetPressureGroup) {
-                            displayMinimumSurfaceInterval();
-                        }
-                    }
-                } catch (error) {
-                    console.error('Error getting repetitive dive info:', error);
-                    document.getElementById('rnt-result').textContent = 'N/A';
-                    document.getElementById('andl-result').textContent = 'N/A';
-                    document.getElementById('nodeco-warning').textContent = 'Error calculating residual nitrogen time.';
-                    document.getElementById('nodeco-warning').style.display = 'block';
-                }
-            });
+    getDiveLogEntries().then(entries => {
+        warning.style.display = 'none';
+        tbody.innerHTML = '';
+        
+        if (entries.length === 0) {
+            const row = document.createElement('tr');
+            row.innerHTML = '<td colspan="8">No saved dives yet</td>';
+            tbody.appendChild(row);
+            return;
         }
         
-        // Add click events to ANDL cells (for target pressure group selection)
-        const andlCells = row.querySelectorAll('td:not(:first-child)');
-        andlCells.forEach((cell, index) => {
-            if (cell.textContent !== '-' && !cell.classList.contains('cell-unavailable')) {
-                // Make sure we don't add multiple event listeners to the same element
-                cell.classList.add('clickable');
-                
-                // Remove any existing click event listeners (to prevent duplicates)
-                const newCell = cell.cloneNode(true);
-                cell.parentNode.replaceChild(newCell, cell);
-                
-                // Add click event to the cell
-                newCell.addEventListener('click', function() {
-                    // Get the column index of this cell
-                    const cellIndex = Array.from(row.cells).indexOf(this);
-                    
-                    // Get the header cell at the same column index
-                    const headerCell = table3.querySelector(`thead tr:nth-child(2) th:nth-child(${cellIndex + 1})`);
-                    const targetGroup = headerCell.textContent;
-                    
-                    // Set the target pressure group
-                    diveState.targetPressureGroup = targetGroup;
-                    
-                    // Get the depth from the first cell in this row
-                    const depthCell = row.querySelector('td:first-child');
-                    const depth = parseFloat(depthCell.textContent);
-                    
-                    if (diveState.isNitroxMode) {
-                        // In Nitrox mode, the displayed depth is the actual depth
-                        diveState.targetDepth = depth;
-                        
-                        // Find the air equivalent depth
-                        const depths = Object.keys(navyTable3).map(Number).sort((a, b) => a - b);
-                        let minDiff = Infinity;
-                        let airDepth = null;
-                        
-                        for (const d of depths) {
-                            const nitroxDepth = Math.round(calculateActualDepthFromEAD(d, diveState.nitroxO2));
-                            const diff = Math.abs(nitroxDepth - depth);
-                            if (diff < minDiff) {
-                                minDiff = diff;
-                                airDepth = d;
-                            }
-                        }
-                        
-                        diveState.targetAirDepth = airDepth;
-                    } else {
-                        // In air mode, the displayed depth is the air depth
-                        diveState.targetDepth = depth;
-                        diveState.targetAirDepth = depth;
-                    }
-                    
-                    // Clear previous cell highlights in Table 3
-                    document.querySelectorAll('#table3 td.target-highlighted').forEach(el => {
-                        el.classList.remove('target-highlighted');
-                    });
-                    
-                    // Clear any target highlights in Table 2
-                    document.querySelectorAll('#table2 td.target-highlighted').forEach(el => {
-                        el.classList.remove('target-highlighted');
-                    });
-                    
-                    // Highlight this cell as the target
-                    this.classList.add('target-highlighted');
-                    
-                    // If we have both a selected pressure group and a target pressure group,
-                    // calculate the minimum surface interval and highlight it in Table 2
-                    if (diveState.selectedPressureGroup && diveState.targetPressureGroup) {
-                        displayMinimumSurfaceInterval();
-                        
-                        // Highlight the corresponding cell in Table 2
-                        highlightSurfaceIntervalInTable2(diveState.selectedPressureGroup, diveState.targetPressureGroup);
-                    }
-                });
+        entries.forEach(entry => {
+            const summary = summarizeDiveLogEntry(entry);
+            const row = document.createElement('tr');
+            if (entry.id === diveState.editingLogEntryId) {
+                row.classList.add('highlighted-row');
             }
+            
+            row.innerHTML = `
+                <td>${entry.date}</td>
+                <td>${diveLogKinds[entry.kind]}</td>
+                <td></td>
+                <td>${summary.diveCount} (${summary.totalBottomTime} min)</td>
+                <td>${formatDepth(summary.maxDepth)}</td>
+                <td>${summary.mixes.map(o2 => o2 > 21 ? `EANx ${o2}` : 'Air').join(', ')}</td>
+                <td>${summary.finalGroup || '--'}</td>
+                <td></td>
+            `;
+            
+            // The site and notes are the diver's own text
+            row.cells[2].textContent = entry.site || '--';
+            row.cells[2].title = entry.notes;
+            
+            [['Load', loadDiveLogEntry], ['Edit', editDiveLogEntry], ['Delete', removeDiveLogEntry]].forEach(([label, action]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'calculate-btn log-action-btn';
+                button.textContent = label;
+                button.addEventListener('click', function() {
+                    action(entry);
+                });
+                row.cells[7].appendChild(button);
+            });
+            
+            tbody.appendChild(row);
         });
+    }).catch(error => {
+        warning.textContent = `The dive log is not available: ${error.message}`;
+        warning.style.display = 'block';
     });
 }
 
-// Calculate minimum surface interval between two dives
-function calculateMinimumSurfaceInterval(startGroup, targetGroup) {
-    // If the target group is the same or higher than the start group, no surface interval is needed
-    if (!startGroup || !targetGroup) {
-        return null;
+// Put a log entry back into the tables and the dive chain
+function loadDiveLogEntry(entry) {
+    const warning = document.getElementById('dive-log-warning');
+    const warnings = [];
+    
+    // Plan on the tables the entry was saved with, when they are loaded
+    if (entry.tableSetId !== getTableSet().id) {
+        if (getTableSets().some(tableSet => tableSet.id === entry.tableSetId)) {
+            setTableSet(entry.tableSetId);
+            onTableSetChange();
+        } else {
+            warnings.push(`This entry was saved with the "${entry.tableSetId}" tables, which are not loaded. It is shown on the ${getTableSet().name} tables.`);
+        }
     }
     
-    // Get the alphabetical order of the groups
-    const groups = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K'];
-    const startIndex = groups.indexOf(startGroup);
-    const targetIndex = groups.indexOf(targetGroup);
+    // Entries saved before the altitude was kept are from sea level
+    const previousAltitude = getAltitude();
+    try {
+        applySavedAltitude(entry.altitude || 0);
+    } catch (error) {
+        warnings.push(`The entry's altitude can't be used: ${error.message} It is shown at ${formatDepth(getAltitude(), 0)}.`);
+    }
     
-    // If target group is same or higher (alphabetically) than start group, return minimum interval
-    if (targetIndex <= startIndex) {
-        // Look up the minimum surface interval in navyTable2
-        if (navyTable2[startGroup] && navyTable2[startGroup][targetGroup]) {
-            return navyTable2[startGroup][targetGroup][0]; // Return the minimum time
-        }
+    // The tables show the mix of the first dive, at the entry's altitude
+    if (entry.dives[0].o2Percentage !== diveState.nitroxO2) {
+        applyNitroxMix(entry.dives[0].o2Percentage);
+    } else if (getAltitude() !== previousAltitude) {
+        refreshDiveTables();
     }
     
-    return null; // No valid surface interval found
+    diveState.diveChain = entry.dives.map(dive => ({
+        depth: dive.depth,
+        o2Percentage: dive.o2Percentage,
+        bottomTime: dive.bottomTime,
+        surfaceInterval: dive.surfaceInterval
+    }));
+    updateDiveChain();
+    selectChainStep(diveState.diveChain.length - 1);
+    
+    warning.textContent = warnings.map(message => `WARNING: ${message}`).join(' ');
+    warning.style.display = warnings.length > 0 ? 'block' : 'none';
 }
 
-// Display the minimum surface interval in the UI
-function displayMinimumSurfaceInterval() {
-    if (!diveState.selectedPressureGroup || !diveState.targetPressureGroup) {
+// Load a log entry and save the changes made to it back over it
+function editDiveLogEntry(entry) {
+    loadDiveLogEntry(entry);
+    
+    diveState.editingLogEntryId = entry.id;
+    document.getElementById('log-date').value = entry.date;
+    document.getElementById('log-kind').value = entry.kind;
+    document.getElementById('log-site').value = entry.site;
+    document.getElementById('log-notes').value = entry.notes;
+    document.getElementById('save-log-entry').textContent = 'Save Changes';
+    document.getElementById('cancel-log-edit').style.display = '';
+    updateDiveLogList();
+}
+
+// Stop editing a log entry; the next save adds a new entry
+function endDiveLogEdit() {
+    diveState.editingLogEntryId = null;
+    document.getElementById('log-site').value = '';
+    document.getElementById('log-notes').value = '';
+    document.getElementById('save-log-entry').textContent = 'Save to Log';
+    document.getElementById('cancel-log-edit').style.display = 'none';
+    updateDiveLogList();
+}
+
+// Delete a log entry after asking
+function removeDiveLogEntry(entry) {
+    if (!confirm(`Delete the ${diveLogKinds[entry.kind].toLowerCase()} from ${entry.date}${entry.site ? ` at ${entry.site}` : ''}?`)) {
         return;
     }
     
-    const minSurfaceInterval = calculateMinimumSurfaceInterval(
-        diveState.selectedPressureGroup,
-        diveState.targetPressureGroup
-    );
+    deleteDiveLogEntry(entry.id).then(() => {
+        if (entry.id === diveState.editingLogEntryId) {
+            endDiveLogEdit();
+        } else {
+            updateDiveLogList();
+        }
+    }).catch(error => {
+        alert(error.message);
+    });
+}
+
+// Setup the plan export (JSON, UDDF and CSV) and the JSON plan import
+function setupPlanFiles() {
+    const importBtn = document.getElementById('import-plan');
+    const fileInput = document.getElementById('plan-file');
     
-    if (minSurfaceInterval) {
-        // Update the UI to show the minimum surface interval
-        document.getElementById('repetitive-dive-section').style.display = 'block';
-        
-        // Create or update the minimum surface interval display
-        let minIntervalElement = document.getElementById('min-interval-result');
-        if (!minIntervalElement) {
-            // Create the elements if they don't exist
-            const resultItem = document.createElement('div');
-            resultItem.classList.add('result-item');
-            
-            const label = document.createElement('span');
-            label.classList.add('result-label');
-            label.textContent = 'Minimum Surface Interval:';
-            
-            minIntervalElement = document.createElement('span');
-            minIntervalElement.id = 'min-interval-result';
-            minIntervalElement.classList.add('result-value');
+    if (!importBtn || !fileInput) return;
+    
+    [
+        ['export-plan-json', 'json', 'application/json', planDocument => JSON.stringify(planDocument, null, 2) + '\n'],
+        ['export-plan-uddf', 'uddf', 'application/xml', exportPlanUDDF],
+        ['export-plan-csv', 'csv', 'text/csv', exportPlanCSV]
+    ].forEach(([id, extension, type, write]) => {
+        document.getElementById(id).addEventListener('click', function() {
+            const planDocument = createPlanDocument(getCurrentPlan());
+            if (!planDocument.firstDive && planDocument.diveChain.length === 0) {
+                alert('Please select a depth in Table 1, or add dives to the dive chain, first.');
+                return;
+            }
             
-            resultItem.appendChild(label);
-            resultItem.appendChild(minIntervalElement);
+            try {
+                downloadFile(write(planDocument), `dive-plan-${formatLogDate(new Date())}.${extension}`, type);
+            } catch (error) {
+                alert(error.message);
+            }
+        });
+    });
+    
+    importBtn.addEventListener('click', function() {
+        fileInput.click();
+    });
+    
+    fileInput.addEventListener('change', function() {
+        const file = this.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = function() {
+            fileInput.value = '';
             
-            // Insert after the new pressure group result
-            const newGroupResult = document.querySelector('.result-item:has(#new-group-result)');
-            if (newGroupResult) {
-                newGroupResult.parentNode.insertBefore(resultItem, newGroupResult.nextSibling);
-            } else {
-                document.getElementById('repetitive-dive-section').appendChild(resultItem);
+            let plan;
+            try {
+                plan = readPlanDocument(reader.result);
+            } catch (error) {
+                alert(`Could not import ${file.name}: ${error.message}`);
+                return;
             }
+            
+            restorePlan(plan);
+            updatePlanHash();
+        };
+        reader.readAsText(file);
+    });
+}
+
+// Offer text as a file download
+function downloadFile(text, fileName, type) {
+    const url = URL.createObjectURL(new Blob([text], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// The plan picked in the tables and the dive chain, in the shape js/planfile.js takes
+function getCurrentPlan() {
+    return {
+        o2Percentage: diveState.nitroxO2,
+        depth: diveState.firstDiveDepth,
+        bottomTime: diveState.selectedBottomTime,
+        surfaceInterval: diveState.selectedSurfaceInterval,
+        repetitiveTableDepth: diveState.repetitiveDepth,
+        targetTableDepth: diveState.targetPressureGroup ? diveState.targetAirDepth : null,
+        targetGroup: diveState.targetPressureGroup,
+        diveChain: diveState.diveChain
+    };
+}
+
+// Put a plan back into the tables and the dive chain by making the same selections
+// The selections are not added to the browser history one by one
+function restorePlan(plan) {
+    const warning = document.getElementById('plan-file-warning');
+    const warnings = [];
+    
+    diveState.isRestoringPlan = true;
+    try {
+        makePlanSelections(plan, warnings);
+    } catch (error) {
+        warning.style.display = 'none';
+        alert(`Could not restore the whole plan: ${error.message}`);
+        return;
+    } finally {
+        diveState.isRestoringPlan = false;
+    }
+    
+    // Links give the groups for people reading them; say when these tables disagree
+    if (plan.pressureGroup && plan.pressureGroup !== diveState.selectedPressureGroup) {
+        warnings.push(`The link gives group ${plan.pressureGroup} after the first dive, but the ${getTableSet().name} tables give ${diveState.selectedPressureGroup || 'none'}.`);
+    }
+    if (plan.newGroup && diveState.selectedSurfaceInterval && plan.newGroup !== (diveState.newPressureGroup || 'None')) {
+        warnings.push(`The link gives group ${plan.newGroup} after the surface interval, but the ${getTableSet().name} tables give ${diveState.newPressureGroup || 'None'}.`);
+    }
+    
+    warning.textContent = warnings.map(message => `WARNING: ${message}`).join(' ');
+    warning.style.display = warnings.length > 0 ? 'block' : 'none';
+}
+
+// Make the selections of a plan in the tables, stopping where the tables no longer allow it
+function makePlanSelections(plan, warnings) {
+    // Plan on the tables the plan was made with, when they are loaded
+    if (plan.tableSetId !== getTableSet().id) {
+        if (getTableSets().some(tableSet => tableSet.id === plan.tableSetId)) {
+            setTableSet(plan.tableSetId);
+            onTableSetChange();
+        } else {
+            warnings.push(`This plan was made with the "${plan.tableSetId}" tables, which are not loaded. It is shown on the ${getTableSet().name} tables.`);
         }
+    }
+    
+    // The table depths depend on the altitude of the dive site
+    try {
+        applySavedAltitude(plan.altitude);
+    } catch (error) {
+        warnings.push(`The plan's altitude can't be used: ${error.message}`);
+        return;
+    }
+    
+    // Applying the mix also clears the current selections
+    applyNitroxMix(plan.o2Percentage);
+    
+    diveState.diveChain = plan.diveChain.map(dive => Object.assign({}, dive));
+    updateDiveChain();
+    
+    if (!plan.depth) return;
+    selectDepth(feetToDepth(plan.depth));
+    
+    // Stop where the tables no longer allow the plan
+    if (diveState.firstDiveDepth === null || !plan.bottomTime) return;
+    checkBottomTime(plan.bottomTime);
+    
+    if (!diveState.selectedPressureGroup) return;
+    if (plan.surfaceInterval) {
+        selectSurfaceInterval(plan.surfaceInterval, getNewPressureGroup(diveState.selectedPressureGroup, plan.surfaceInterval));
         
-        minIntervalElement.textContent = minSurfaceInterval;
-        
-        // Highlight the cell in Table 2
-        highlightSurfaceIntervalInTable2(diveState.selectedPressureGroup, diveState.targetPressureGroup);
+        const row = findTable3Row(plan.repetitiveTableDepth);
+        if (row && diveState.newPressureGroup) {
+            selectRepetitiveDepth(row);
+        }
+    }
+    
+    const targetRow = findTable3Row(plan.targetTableDepth);
+    if (targetRow && plan.targetGroup) {
+        const groups = Array.from(document.querySelectorAll('#table3 thead tr:nth-child(2) th')).map(th => th.textContent);
+        const cell = targetRow.cells[groups.indexOf(plan.targetGroup)];
+        if (cell && cell.classList.contains('clickable')) {
+            selectTargetGroup(targetRow, cell);
+        }
     }
 }
 
-// Highlight the surface interval cell in Table 2
-function highlightSurfaceIntervalInTable2(startGroup, targetGroup) {
-    const table2 = document.getElementById('table2');
-    if (!table2) return;
+// Dive at the altitude (in feet) a plan or log entry was saved with; throws when it is out of range
+function applySavedAltitude(altitude) {
+    if (altitude === getAltitude()) return;
     
-    // Clear previous highlights but keep the row highlight
-    document.querySelectorAll('#table2 td.highlighted-cell').forEach(el => {
-        if (!el.parentElement.classList.contains('highlighted-row')) {
-            el.classList.remove('highlighted-cell');
+    setAltitude(altitude);
+    document.getElementById('altitude').value = Math.round(feetToDepth(altitude));
+    updateMODs();
+    updateNitroxDisplay();
+    updateAltitudeDisplay();
+}
+
+// The Table 3 row for a table depth (in feet), or null
+function findTable3Row(tableDepth) {
+    if (!tableDepth) return null;
+    return Array.from(document.querySelectorAll('#table3 tbody tr')).find(row => Number(row.dataset.depth) === tableDepth) || null;
+}
+
+// Open the plan in the page's link, and follow the plan through the browser history
+function setupPlanLinks() {
+    const copyLinkBtn = document.getElementById('copy-plan-link');
+    
+    if (location.hash.length > 1) {
+        restorePlanFromHash();
+    }
+    diveState.isRestoringPlan = false;
+    
+    // Back and forward, or a link edited in the address bar, change only the hash
+    window.addEventListener('hashchange', function() {
+        if (location.hash.replace(/^#/, '') !== getCurrentPlanHash()) {
+            restorePlanFromHash();
         }
     });
     
-    // Clear any target highlights
-    document.querySelectorAll('#table2 td.target-highlighted').forEach(el => {
-        el.classList.remove('target-highlighted');
+    copyLinkBtn.addEventListener('click', function() {
+        const url = location.href;
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url).catch(() => prompt('Copy this link to the plan:', url));
+        } else {
+            prompt('Copy this link to the plan:', url);
+        }
     });
+}
+
+// Open the plan given in the page's link
+function restorePlanFromHash() {
+    let plan;
+    try {
+        plan = decodePlanHash(location.hash);
+    } catch (error) {
+        alert(`Could not open the plan in the link: ${error.message}`);
+        return;
+    }
     
-    // Find the row for the start group
-    const startRow = Array.from(table2.querySelectorAll('tbody tr')).find(row => {
-        const firstCell = row.querySelector('td:first-child');
-        return firstCell && firstCell.textContent === startGroup;
-    });
+    restorePlan(plan);
     
-    if (!startRow) return;
+    // Show the link the way the page writes it
+    updatePlanHash(true);
+}
+
+// The current plan as the hash of a shareable link
+function getCurrentPlanHash() {
+    return encodePlanHash(createPlanDocument(getCurrentPlan()));
+}
+
+// Keep the plan in the page's link; each change is a history entry, so that back and
+// forward step through the selections
+function updatePlanHash(replace = false) {
+    if (diveState.isRestoringPlan) return;
     
-    // Find the column for the target group
-    const headerRow = table2.querySelector('thead tr:nth-child(2)');
-    let targetColIndex = -1;
+    const hash = getCurrentPlanHash();
+    if (hash === location.hash.replace(/^#/, '')) return;
     
-    Array.from(headerRow.querySelectorAll('th')).forEach((th, index) => {
-        if (th.textContent === targetGroup) {
-            targetColIndex = index;
-        }
-    });
+    if (replace) {
+        location.replace(`#${hash}`);
+    } else {
+        location.hash = hash;
+    }
+}
+
+// Setup the import of dive computer logs and the table limit report
+function setupLogImport() {
+    const importBtn = document.getElementById('import-dive-log');
+    const fileInput = document.getElementById('dive-log-file');
     
-    if (targetColIndex === -1) return;
+    if (!importBtn || !fileInput) return;
     
-    // Highlight the cell at the intersection
-    const targetCell = startRow.querySelector(`td:nth-child(${targetColIndex + 1})`);
-    if (targetCell) {
-        // Use target-highlighted class to make it stand out
-        targetCell.classList.add('target-highlighted');
+    importBtn.addEventListener('click', function() {
+        fileInput.click();
+    });
+    
+    fileInput.addEventListener('change', function() {
+        const file = this.files[0];
+        if (!file) return;
         
-        // Scroll to make the cell visible
-        targetCell.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        const reader = new FileReader();
+        reader.onload = function() {
+            fileInput.value = '';
+            
+            try {
+                diveState.importedDives = importDiveComputerLog(reader.result, file.name);
+            } catch (error) {
+                alert(`Could not import ${file.name}: ${error.message}`);
+                return;
+            }
+            
+            diveState.importedFileName = file.name;
+            updateLogImportReport();
+        };
+        reader.readAsText(file);
+    });
+}
+
+// Gas of an imported dive for display
+function formatImportedGas(dive) {
+    if (dive.heliumPercentage > 0) {
+        return `Trimix ${dive.o2Percentage}/${dive.heliumPercentage}`;
     }
+    return dive.o2Percentage > 21 ? `EANx ${dive.o2Percentage}` : 'Air';
 }
 
-// Select a depth in Table 1
-function selectDepth(depth) {
-    // In Nitrox mode, we need to handle the depth differently
-    if (diveState.isNitroxMode) {
-        // The depth passed is the actual Nitrox depth
-        // We need to find the corresponding air depth for the tables
-        const depths = Object.keys(navyTable1).map(Number).sort((a, b) => a - b);
-        let airDepth = null;
-        let actualDepth = depth;
-        
-        // Find the air depth that corresponds to this Nitrox depth
-        for (const d of depths) {
-            const nitroxDepth = Math.round(calculateActualDepthFromEAD(d, diveState.nitroxO2));
-            if (nitroxDepth === Math.round(actualDepth)) {
-                airDepth = d;
-                break;
-            }
-        }
-        
-        // If we couldn't find a matching air depth, find the closest one
-        if (airDepth === null) {
-            let minDiff = Infinity;
-            for (const d of depths) {
-                const nitroxDepth = Math.round(calculateActualDepthFromEAD(d, diveState.nitroxO2));
-                const diff = Math.abs(nitroxDepth - Math.round(actualDepth));
-                if (diff < minDiff) {
-                    minDiff = diff;
-                    airDepth = d;
-                    actualDepth = nitroxDepth; // Use the exact Nitrox depth for display
-                }
-            }
-        }
-        
-        // Check if the depth exceeds MOD
-        if (actualDepth > diveState.mod) {
-            if (diveState.nitroxO2 < 27) {
-                alert(`Depth exceeds maximum operating depth of 100 feet (Nitrogen narcosis limit).`);
-            } else {
-                alert(`Depth exceeds maximum operating depth of ${Math.floor(diveState.mod)} feet (Oxygen toxicity limit).`);
-            }
-            return;
-        }
-        
-        // Clear all highlights first
-        clearAllHighlights();
-        
-        // Update state - store both the actual depth and the air equivalent depth
-        diveState.selectedDepth = actualDepth;
-        diveState.selectedAirDepth = airDepth; // Store the air equivalent for table lookups
-        diveState.selectedBottomTime = null;
-        diveState.selectedPressureGroup = null;
-        diveState.selectedSurfaceInterval = null;
-        diveState.newPressureGroup = null;
-        diveState.targetDepth = null;
-        diveState.targetPressureGroup = null;
-        
-        // Highlight the row in Table 1
-        highlightRowInTable1(actualDepth);
-        
-        // Update the results display
-        document.getElementById('selected-depth-result').textContent = actualDepth + ' ft';
-        const [maxNDL, timeGroups] = navyTable1[airDepth];
-        document.getElementById('nodeco-result').textContent = maxNDL + ' minutes';
-        document.getElementById('pressure-group-result').textContent = '--';
-    } else {
-        // Standard air mode
-        // Find the closest depth in the tables
-        const tableDepth = findClosestDepth(depth);
-        if (tableDepth === -1) {
-            alert('Depth exceeds maximum table depth of 130 feet.');
-            return;
+// Show where the imported dives went past the limits of the active tables
+function updateLogImportReport() {
+    const results = document.getElementById('log-import-results');
+    const tbody = document.querySelector('#log-import-table tbody');
+    const summary = document.getElementById('log-import-summary');
+    
+    if (!results || !tbody) return;
+    
+    if (diveState.importedDives.length === 0) {
+        results.style.display = 'none';
+        return;
+    }
+    
+    const report = analyzeImportedDives(diveState.importedDives);
+    const exceededCount = report.filter(result => result.isExceeded).length;
+    
+    tbody.innerHTML = '';
+    report.forEach(result => {
+        const dive = result.dive;
+        const row = document.createElement('tr');
+        if (result.isExceeded) {
+            row.classList.add('chain-warning-row');
         }
         
-        // Clear all highlights first
-        clearAllHighlights();
-        
-        // Update state
-        diveState.selectedDepth = tableDepth;
-        diveState.selectedAirDepth = tableDepth; // In air mode, these are the same
-        diveState.selectedBottomTime = null;
-        diveState.selectedPressureGroup = null;
-        diveState.selectedSurfaceInterval = null;
-        diveState.newPressureGroup = null;
-        diveState.targetDepth = null;
-        diveState.targetPressureGroup = null;
-        
-        // Highlight the row in Table 1
-        highlightRowInTable1(tableDepth);
-        
-        // Update the results display
-        document.getElementById('selected-depth-result').textContent = tableDepth + ' ft';
-        const [maxNDL, timeGroups] = navyTable1[tableDepth];
-        document.getElementById('nodeco-result').textContent = maxNDL + ' minutes';
-        document.getElementById('pressure-group-result').textContent = '--';
+        row.innerHTML = `
+            <td>${dive.number}</td>
+            <td>${dive.dateTime ? `${formatLogDate(dive.dateTime)} ${dive.dateTime.toTimeString().slice(0, 5)}` : '--'}</td>
+            <td>${formatDepth(dive.maxDepth)}</td>
+            <td>${dive.bottomTime} min</td>
+            <td>${formatImportedGas(dive)}</td>
+            <td>${result.surfaceInterval || '--'}</td>
+            <td>${result.tableDepth > 0 ? formatDepth(result.tableDepth) : '--'}</td>
+            <td>${result.noDecoLimit !== null ? `${result.noDecoLimit} min` : '--'}</td>
+            <td>${result.pressureGroup || '--'}</td>
+            <td>${result.isExceeded ? result.problems.join(' ') : 'Within the table limits'}</td>
+        `;
+        tbody.appendChild(row);
+    });
+    
+    summary.textContent = `${diveState.importedFileName}: ${report.length} dive${report.length === 1 ? '' : 's'} checked on the ${getTableSet().name} tables; ${exceededCount} went past the limits.`;
+    results.style.display = 'block';
+}
+
+// Decompression stops to draw in the profile chart, at their actual depths
+function getChartStops(schedule) {
+    return schedule ? schedule.stops.map(stop => ({ depth: stop.actualDepth, time: stop.time })) : [];
+}
+
+// Dives to draw in the profile chart: the dive chain, or else the dive picked in Table 1
+function getProfileChartPlan() {
+    if (diveState.diveChain.length > 0) {
+        const steps = planSelectedDiveChain();
+        return {
+            dives: diveState.diveChain.map((dive, i) => ({
+                depth: dive.depth,
+                bottomTime: dive.bottomTime,
+                surfaceInterval: dive.surfaceInterval ? parseTimeToMinutes(dive.surfaceInterval) : 0,
+                surfaceIntervalGroup: steps[i].newGroup,
+                pressureGroup: steps[i].pressureGroup,
+                noDecoLimit: steps[i].noDecoLimit,
+                stops: getChartStops(steps[i].decompressionSchedule)
+            })),
+            options: {}
+        };
     }
     
-    // Hide repetitive dive section
-    document.getElementById('repetitive-dive-section').style.display = 'none';
+    const depth = getSelectedActualDepth();
+    if (depth === null) return null;
     
-    // Remove the minimum surface interval display if it exists
-    const minIntervalElement = document.getElementById('min-interval-result');
-    if (minIntervalElement && minIntervalElement.parentElement) {
-        minIntervalElement.parentElement.remove();
+    // The selected bottom time, or the whole no-decompression limit
+    const bottomTime = diveState.selectedBottomTime || getTableSet().table1[diveState.selectedAirDepth][0];
+    const info = getSingleDiveInfo(diveState.selectedAirDepth, bottomTime);
+    const schedule = info.decompressionSchedule || null;
+    const options = {};
+    
+    if (diveState.selectedSurfaceInterval) {
+        options.finalSurfaceInterval = {
+            time: parseTimeToMinutes(diveState.selectedSurfaceInterval),
+            pressureGroup: diveState.newPressureGroup
+        };
     }
+    
+    return {
+        dives: [{
+            depth: depth,
+            bottomTime: bottomTime,
+            pressureGroup: schedule ? schedule.pressureGroup : info.pressureGroup,
+            noDecoLimit: info.noDecoLimit,
+            stops: getChartStops(schedule)
+        }],
+        options: options
+    };
 }
 
-// Select a bottom time and pressure group in Table 1
-function selectBottomTime(bottomTime, pressureGroup) {
-    if (!diveState.selectedDepth) return;
+// Redraw the depth-vs-time profile chart for the current plan
+function updateProfileChart() {
+    const svg = document.getElementById('profile-chart');
+    const empty = document.getElementById('profile-chart-empty');
     
-    // Update state
-    diveState.selectedBottomTime = bottomTime;
-    diveState.selectedPressureGroup = pressureGroup;
+    if (!svg) return;
     
-    // Highlight the pressure group column in Table 1
-    highlightPressureGroupInTable1(pressureGroup);
+    const plan = getProfileChartPlan();
+    if (!plan) {
+        svg.innerHTML = '';
+        svg.style.display = 'none';
+        empty.style.display = 'block';
+        return;
+    }
     
-    // Update the results display
-    document.getElementById('pressure-group-result').textContent = pressureGroup;
+    const chart = buildProfileChart(plan.dives, plan.options);
+    const width = 720;
+    const height = 300;
+    const margin = { top: 25, right: 20, bottom: 45, left: 60 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
     
-    // Hide repetitive dive section
-    document.getElementById('repetitive-dive-section').style.display = 'none';
+    // The depth axis covers the deepest point and the MOD of a Nitrox mix
+    const modFeet = diveState.isNitroxMode ? depthToFeet(diveState.mod) : null;
+    const axisDepth = feetToDepth(Math.max(chart.maxDepth, modFeet || 0) * 1.1);
+    const depthStep = [5, 10, 20, 25, 50, 100].find(step => axisDepth / step <= 6) || 100;
+    const maxAxisDepth = Math.ceil(axisDepth / depthStep) * depthStep;
+    const x = time => margin.left + (time / chart.totalTime) * plotWidth;
+    const y = feet => margin.top + (feetToDepth(feet) / maxAxisDepth) * plotHeight;
+    const depthUnit = getUnitSystem().depth;
+    const parts = [];
+    
+    // Depth grid and labels
+    for (let depth = 0; depth <= maxAxisDepth; depth += depthStep) {
+        const lineY = margin.top + (depth / maxAxisDepth) * plotHeight;
+        parts.push(`<line class="chart-grid" x1="${margin.left}" y1="${lineY}" x2="${width - margin.right}" y2="${lineY}"></line>`);
+        parts.push(`<text x="${margin.left - 6}" y="${lineY + 4}" text-anchor="end">${depth}</text>`);
+    }
+    parts.push(`<text x="12" y="${margin.top + plotHeight / 2}" transform="rotate(-90 12 ${margin.top + plotHeight / 2})" text-anchor="middle">Depth (${depthUnit})</text>`);
+    
+    // Surface intervals, with their real length and the group at the end of them
+    chart.surfaceIntervals.forEach(interval => {
+        const midX = (x(interval.startTime) + x(interval.endTime)) / 2;
+        parts.push(`<rect class="chart-surface-interval" x="${x(interval.startTime)}" y="${margin.top}" width="${x(interval.endTime) - x(interval.startTime)}" height="${plotHeight}"></rect>`);
+        parts.push(`<text x="${midX}" y="${height - margin.bottom + 16}" text-anchor="middle">SI ${formatSurfaceInterval(interval.surfaceInterval)}</text>`);
+        parts.push(`<text class="chart-group" x="${midX}" y="${margin.top + 16}" text-anchor="middle">${interval.pressureGroup || 'None'}</text>`);
+    });
+    
+    // The profile itself
+    const path = chart.points.map(point => `${x(point.time)},${y(point.depth)}`).join(' ');
+    parts.push(`<polygon class="chart-profile" points="${path}"></polygon>`);
+    
+    chart.dives.forEach((dive, i) => {
+        // Pressure group for each dive over its bottom segment
+        const bottomMidX = (x(dive.startTime) + x(dive.bottomEndTime)) / 2;
+        parts.push(`<text class="chart-group" x="${bottomMidX}" y="${y(dive.depth) + 16}" text-anchor="middle">${dive.pressureGroup || 'Exceeded'}</text>`);
+        parts.push(`<text x="${x(dive.startTime)}" y="${height - margin.bottom + 16}" text-anchor="start">Dive ${i + 1}</text>`);
+        parts.push(`<text x="${x(dive.bottomEndTime)}" y="${height - margin.bottom + 30}" text-anchor="middle">${dive.bottomTime} min</text>`);
+        
+        // No-decompression limit (or adjusted limit) measured from the start of the dive
+        if (dive.noDecoLimitTime !== null && dive.noDecoLimitTime <= chart.totalTime) {
+            const ndlX = x(dive.noDecoLimitTime);
+            parts.push(`<line class="chart-ndl" x1="${ndlX}" y1="${margin.top}" x2="${ndlX}" y2="${y(dive.depth)}"></line>`);
+            parts.push(`<text class="chart-ndl-label" x="${ndlX + 3}" y="${margin.top + 30}">NDL ${dive.noDecoLimit}</text>`);
+        }
+    });
+    
+    // Maximum operating depth of the Nitrox mix
+    if (modFeet !== null) {
+        parts.push(`<line class="chart-mod" x1="${margin.left}" y1="${y(modFeet)}" x2="${width - margin.right}" y2="${y(modFeet)}"></line>`);
+        parts.push(`<text class="chart-mod-label" x="${width - margin.right}" y="${y(modFeet) - 4}" text-anchor="end">MOD ${formatDepth(modFeet)} (EANx ${diveState.nitroxO2})</text>`);
+    }
+    
+    // Axes
+    parts.push(`<line class="chart-axis" x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${height - margin.bottom}"></line>`);
+    parts.push(`<line class="chart-axis" x1="${margin.left}" y1="${margin.top}" x2="${width - margin.right}" y2="${margin.top}"></line>`);
+    
+    svg.innerHTML = parts.join('');
+    svg.style.display = 'block';
+    empty.style.display = 'none';
 }
 
 // Select a starting pressure group in Table 2
@@ -1381,6 +3279,7 @@ function selectSurfaceInterval(surfaceInterval, newGroup) {
     // Update state
     diveState.selectedSurfaceInterval = surfaceInterval;
     diveState.newPressureGroup = newGroup;
+    diveState.repetitiveDepth = null;
     
     // Re-highlight the starting pressure group row in Table 2
     highlightRowInTable2(diveState.selectedPressureGroup);
@@ -1416,6 +3315,9 @@ function selectSurfaceInterval(surfaceInterval, newGroup) {
             minIntervalElement.parentElement.remove();
         }
     }
+    
+    updateProfileChart();
+    updatePlanHash();
 }
 
 // Clear all highlighted rows and cells
@@ -1427,7 +3329,7 @@ function clearAllHighlights() {
 
 // Clear Table 1 highlights
 function clearTable1Highlights() {
-    document.querySelectorAll('#table1 tr.highlighted-row, #table1 td.highlighted-cell').forEach(el => {
+    document.querySelectorAll('#table1 tr.highlighted-row, #table1 td.highlighted-cell, #table1 th.highlighted-cell').forEach(el => {
         el.classList.remove('highlighted-row');
         el.classList.remove('highlighted-cell');
     });
@@ -1435,7 +3337,7 @@ function clearTable1Highlights() {
 
 // Clear Table 2 highlights
 function clearTable2Highlights() {
-    document.querySelectorAll('#table2 tr.highlighted-row, #table2 td.highlighted-cell').forEach(el => {
+    document.querySelectorAll('#table2 tr.highlighted-row, #table2 td.highlighted-cell, #table2 th.highlighted-cell').forEach(el => {
         el.classList.remove('highlighted-row');
         el.classList.remove('highlighted-cell');
     });
@@ -1460,6 +3362,7 @@ function clearTable3Highlights() {
 }
 
 // Highlight the row in Table 1 for the given depth
+// In Nitrox mode this is the actual depth in the active unit, otherwise the table depth in feet
 function highlightRowInTable1(depth) {
     const table1 = document.getElementById('table1');
     if (table1) {
@@ -1469,79 +3372,27 @@ function highlightRowInTable1(depth) {
         // Clear previous highlights first
         clearTable1Highlights();
         
-        // In Nitrox mode, we need to find the row by the displayed depth, not the air depth
-        if (diveState.isNitroxMode) {
-            // Find the closest row by displayed depth
-            let closestRow = null;
-            let minDiff = Infinity;
-            
-            rows.forEach(row => {
-                const depthCell = row.querySelector('td:first-child');
-                if (depthCell) {
-                    const rowDepth = parseFloat(depthCell.textContent);
-                    const diff = Math.abs(rowDepth - depth);
-                    if (diff < minDiff) {
-                        minDiff = diff;
-                        closestRow = row;
-                    }
-                }
-            });
-            
-            if (closestRow) {
+        // Rows keep their table depth in feet, so a Nitrox depth is looked up by its EAD
+        const tableDepth = diveState.isNitroxMode ? findTableDepthForActualDepth(depth) : depth;
+        if (!getTableSet().table1[tableDepth]) return;
+        
+        rows.forEach(row => {
+            if (Number(row.dataset.depth) === tableDepth) {
                 // Highlight the entire row
-                closestRow.classList.add('highlighted-row');
+                row.classList.add('highlighted-row');
                 
                 // Highlight all cells in the row
-                const cells = closestRow.querySelectorAll('td');
+                const cells = row.querySelectorAll('td');
                 cells.forEach(cell => {
                     cell.classList.add('highlighted-cell');
                 });
-                
-                // Get the actual depth from the row
-                const depthCell = closestRow.querySelector('td:first-child');
-                const actualDepth = parseFloat(depthCell.textContent);
-                
-                // Find the corresponding air depth for this Nitrox depth
-                // This is needed to get the correct NDL from navyTable1
-                const depths = Object.keys(navyTable1).map(Number).sort((a, b) => a - b);
-                let airDepth = null;
-                
-                for (const d of depths) {
-                    const nitroxDepth = Math.round(calculateActualDepthFromEAD(d, diveState.nitroxO2));
-                    if (nitroxDepth === actualDepth) {
-                        airDepth = d;
-                        break;
-                    }
-                }
-                
-                if (airDepth !== null) {
-                    // Update the results display
-                    document.getElementById('selected-depth-result').textContent = actualDepth + ' ft';
-                    const [maxNDL, timeGroups] = navyTable1[airDepth];
-                    document.getElementById('nodeco-result').textContent = maxNDL + ' minutes';
-                }
             }
-        } else {
-            // Standard air mode - find exact depth match
-            rows.forEach(row => {
-                const depthCell = row.querySelector('td:first-child');
-                if (depthCell && parseFloat(depthCell.textContent) === depth) {
-                    // Highlight the entire row
-                    row.classList.add('highlighted-row');
-                    
-                    // Highlight all cells in the row
-                    const cells = row.querySelectorAll('td');
-                    cells.forEach(cell => {
-                        cell.classList.add('highlighted-cell');
-                    });
-                    
-                    // Update the results display
-                    document.getElementById('selected-depth-result').textContent = depth + ' ft';
-                    const [maxNDL, timeGroups] = navyTable1[depth];
-                    document.getElementById('nodeco-result').textContent = maxNDL + ' minutes';
-                }
-            });
-        }
+        });
+        
+        // Update the results display
+        displaySelectedDepth(depth, tableDepth);
+        const [maxNDL, timeGroups] = getTableSet().table1[tableDepth];
+        document.getElementById('nodeco-result').textContent = maxNDL + ' minutes';
     }
 }
 
@@ -1721,13 +3572,13 @@ function highlightRowInTable3(depth, pressureGroup = null) {
         let lookupDepth = depth;
         if (diveState.isNitroxMode) {
             // Convert the actual depth to an air equivalent depth for table lookups
-            const depths = Object.keys(navyTable3).map(Number).sort((a, b) => a - b);
+            const depths = Object.keys(getTableSet().table3).map(Number).sort((a, b) => a - b);
             let airDepth = null;
             
             // Find the closest standard depth in the tables
             let minDiff = Infinity;
             for (const d of depths) {
-                const diff = Math.abs(d - depth);
+                const diff = Math.abs(d - depthToFeet(depth));
                 if (diff < minDiff) {
                     minDiff = diff;
                     airDepth = d;
@@ -1742,7 +3593,7 @@ function highlightRowInTable3(depth, pressureGroup = null) {
         // Highlight the depth row
         rows.forEach(row => {
             const depthCell = row.querySelector('td:first-child');
-            if (depthCell && parseFloat(depthCell.textContent) === lookupDepth) {
+            if (depthCell && Number(row.dataset.depth) === lookupDepth) {
                 // Highlight the entire row
                 row.classList.add('highlighted-row');
                 
@@ -1795,7 +3646,7 @@ function highlightRowInTable3(depth, pressureGroup = null) {
                                 
                                 // In Nitrox mode, display the actual depth in the results
                                 if (diveState.isNitroxMode) {
-                                    document.getElementById('selected-depth-result').textContent = depth + ' ft';
+                                    displaySelectedDepth(depth, lookupDepth);
                                 }
                             }
                         } catch (error) {
@@ -1812,6 +3663,36 @@ function highlightRowInTable3(depth, pressureGroup = null) {
     }
 }
 
+// Rebuild the pressure group header row of a dive table for the active table set
+// leadingCells is the number of empty header cells before the groups; 'None' shows as '-'
+function populateGroupHeader(table, groups, leadingCells) {
+    const headerRow = table.querySelector('thead tr:nth-child(2)');
+    if (!headerRow) return;
+    
+    headerRow.innerHTML = '';
+    for (let i = 0; i < leadingCells; i++) {
+        headerRow.appendChild(document.createElement('th'));
+    }
+    groups.forEach(group => {
+        const th = document.createElement('th');
+        th.textContent = group === 'None' ? '-' : group;
+        headerRow.appendChild(th);
+    });
+    
+    // The heading above the groups spans all of them
+    table.querySelector('thead tr:first-child th:last-child').colSpan = groups.length;
+}
+
+// Reason given for a Nitrox table row beyond the working MOD
+function getMODReason(exceedsContingencyMOD) {
+    const limits = getOxygenLimits();
+    const pressureUnit = getUnitSystem().pressure;
+    if (exceedsContingencyMOD) {
+        return `Oxygen toxicity limit (contingency pO₂ ${limits.contingency} ${pressureUnit})`;
+    }
+    return `Beyond the working pO₂ limit of ${limits.working} ${pressureUnit}, within the contingency limit of ${limits.contingency} ${pressureUnit}`;
+}
+
 // Populate Table 1: No-Decompression Limits and Repetitive Group Designation
 function populateTable1() {
     const table = document.getElementById('table1');
@@ -1820,44 +3701,52 @@ function populateTable1() {
     const tbody = table.querySelector('tbody');
     tbody.innerHTML = '';
     
-    // Get depths from navyTable1
-    const depths = Object.keys(navyTable1).map(Number).sort((a, b) => a - b);
+    const tableSet = getTableSet();
+    const groups = tableSet.groups;
+    populateGroupHeader(table, groups, 2);
+    
+    // Get depths from Table 1 of the active table set
+    const depths = Object.keys(tableSet.table1).map(Number).sort((a, b) => a - b);
     
     // If in Nitrox mode, we need to calculate equivalent air depths
     if (diveState.isNitroxMode) {
         // Create rows for each depth
         depths.forEach(airDepth => {
             // Calculate the actual depth for this EAD based on Nitrox mix
-            const actualDepth = calculateActualDepthFromEAD(airDepth, diveState.nitroxO2);
-            const roundedActualDepth = Math.round(actualDepth);
+            // The row covers actual depths down to this one; its label is rounded down so that
+            // it maps back onto the same row
+            const actualDepth = feetToDepth(getActualDepthForTableRow(airDepth));
+            const actualDepthLabel = formatTableDepthLabel(getActualDepthForTableRow(airDepth));
             
-            // Check if this depth exceeds MOD (oxygen toxicity limit)
-            const exceedsMOD = roundedActualDepth > diveState.mod;
+            // Check if this depth exceeds the working MOD, and whether it is past the contingency MOD too
+            const exceedsMOD = actualDepth > diveState.mod;
+            const exceedsContingencyMOD = actualDepth > diveState.contingencyMod;
             
-            // Check if this depth is at risk for nitrogen narcosis
-            const narcosisRisk = isNarcosisRisk(roundedActualDepth);
+            // Check the narcosis policy for this depth on the mix
+            const narcosisRisk = isNarcosisRiskOnMix(getActualDepthForTableRow(airDepth));
+            const narcosisWarning = narcosisRisk ? getNarcosisWarning(getActualDepthForTableRow(airDepth)) : '';
             
             // Add a reason for the MOD limit or narcosis risk
-            let modReason = '';
-            if (exceedsMOD) {
-                modReason = `Oxygen toxicity limit (pO₂ 1.4 ATA)`;
-            }
+            const modReason = exceedsMOD ? getMODReason(exceedsContingencyMOD) : '';
             
-            const [maxNDL, timeGroups] = navyTable1[airDepth];
+            const [maxNDL, timeGroups] = tableSet.table1[airDepth];
             const row = document.createElement('tr');
+            row.dataset.depth = airDepth;
             
             // Add classes for styling
             row.classList.add('adjusted-depth');
-            if (exceedsMOD) {
+            if (exceedsContingencyMOD) {
                 row.classList.add('beyond-mod');
+            } else if (exceedsMOD) {
+                row.classList.add('contingency-mod');
             } else if (narcosisRisk) {
                 row.classList.add('narcosis-risk');
             }
             
             // Add depth cell (showing the actual Nitrox depth)
             const depthCell = document.createElement('td');
-            depthCell.textContent = roundedActualDepth;
-            depthCell.title = `Equivalent Air Depth: ${airDepth} ft`;
+            depthCell.textContent = actualDepthLabel;
+            depthCell.title = `Equivalent Air Depth: ${formatDepth(airDepth)}`;
             row.appendChild(depthCell);
             
             // Add NDL cell
@@ -1866,7 +3755,6 @@ function populateTable1() {
             row.appendChild(ndlCell);
             
             // Add cells for each pressure group
-            const groups = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K'];
             groups.forEach(group => {
                 const cell = document.createElement('td');
                 
@@ -1888,9 +3776,9 @@ function populateTable1() {
                         cell.classList.add('cell-unavailable');
                         cell.title = `Exceeds Maximum Operating Depth: ${modReason}`;
                     } else if (narcosisRisk) {
-                        // For depths beyond 100ft, add warning but keep clickable
+                        // For depths beyond the maximum END, add warning but keep clickable
                         cell.classList.add('narcosis-warning');
-                        cell.title = `Warning: Increased risk of nitrogen narcosis beyond 100ft`;
+                        cell.title = narcosisWarning;
                     }
                 } else {
                     cell.textContent = '-';
@@ -1905,11 +3793,13 @@ function populateTable1() {
         // Standard air table
         // Create rows for each depth
         depths.forEach(depth => {
-            const [maxNDL, timeGroups] = navyTable1[depth];
+            const [maxNDL, timeGroups] = tableSet.table1[depth];
             const row = document.createElement('tr');
+            row.dataset.depth = depth;
             
-            // Check if this depth is at risk for nitrogen narcosis
-            const narcosisRisk = isNarcosisRisk(depth);
+            // Check the narcosis policy for this depth
+            const narcosisRisk = isNarcosisRiskOnMix(getActualDepthForTableRow(depth));
+            const narcosisWarning = narcosisRisk ? getNarcosisWarning(getActualDepthForTableRow(depth)) : '';
             
             // Add classes for styling
             if (narcosisRisk) {
@@ -1918,9 +3808,14 @@ function populateTable1() {
             
             // Add depth cell
             const depthCell = document.createElement('td');
-            depthCell.textContent = depth;
+            depthCell.textContent = formatTableDepthLabel(getActualDepthForTableRow(depth));
+            if (isAltitudeDive()) {
+                // At altitude the row shows the actual depth; the table depth is the theoretical ocean depth
+                row.classList.add('altitude-depth');
+                depthCell.title = `Theoretical Ocean Depth: ${formatDepth(depth)}`;
+            }
             if (narcosisRisk) {
-                depthCell.title = `Warning: Increased risk of nitrogen narcosis beyond 100ft`;
+                depthCell.title = narcosisWarning;
             }
             row.appendChild(depthCell);
             
@@ -1930,7 +3825,6 @@ function populateTable1() {
             row.appendChild(ndlCell);
             
             // Add cells for each pressure group
-            const groups = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K'];
             groups.forEach(group => {
                 const cell = document.createElement('td');
                 
@@ -1947,10 +3841,10 @@ function populateTable1() {
                     cell.textContent = time;
                     cell.classList.add(`group-${group.toLowerCase()}`);
                     
-                    // Add narcosis warning for depths beyond 100ft
+                    // Add narcosis warning for depths beyond the maximum END
                     if (narcosisRisk) {
                         cell.classList.add('narcosis-warning');
-                        cell.title = `Warning: Increased risk of nitrogen narcosis beyond 100ft`;
+                        cell.title = narcosisWarning;
                     }
                 } else {
                     cell.textContent = '-';
@@ -1972,27 +3866,13 @@ function populateTable2() {
     const tbody = table.querySelector('tbody');
     tbody.innerHTML = '';
     
-    // Update the table header to show groups from K to A
-    const thead = table.querySelector('thead');
-    const headerRow = thead.querySelector('tr:nth-child(2)');
-    if (headerRow) {
-        headerRow.innerHTML = '';
-        const groups = ['K', 'J', 'I', 'H', 'G', 'F', 'E', 'D', 'C', 'B', 'A', 'None'];
-        
-        // Add empty cell for the corner
-        const cornerCell = document.createElement('th');
-        headerRow.appendChild(cornerCell);
-        
-        // Add header cells for each group
-        groups.forEach(group => {
-            const th = document.createElement('th');
-            th.textContent = group === 'None' ? '-' : group;
-            headerRow.appendChild(th);
-        });
-    }
+    // Show the groups from the highest to A, then no group once the dive is no longer repetitive
+    const tableSet = getTableSet();
+    const endGroups = tableSet.groups.slice().reverse().concat('None');
+    populateGroupHeader(table, endGroups, 1);
     
-    // Get groups from navyTable2 in reverse order (K to A)
-    const groups = Object.keys(navyTable2).sort().reverse();
+    // Get the starting groups from Table 2 in the same order
+    const groups = tableSet.groups.filter(group => tableSet.table2[group]).reverse();
     
     // Create rows for each starting group
     groups.forEach(startGroup => {
@@ -2004,14 +3884,13 @@ function populateTable2() {
         startGroupCell.classList.add(`group-${startGroup.toLowerCase()}`);
         row.appendChild(startGroupCell);
         
-        // Add cells for each ending group (K to A and None)
-        const endGroups = ['K', 'J', 'I', 'H', 'G', 'F', 'E', 'D', 'C', 'B', 'A', 'None'];
+        // Add cells for each ending group (highest to A and None)
         endGroups.forEach(endGroup => {
             const cell = document.createElement('td');
             
             // Check if this end group is available for this start group
-            if (navyTable2[startGroup] && navyTable2[startGroup][endGroup]) {
-                const [minTime, maxTime] = navyTable2[startGroup][endGroup];
+            if (tableSet.table2[startGroup][endGroup]) {
+                const [minTime, maxTime] = tableSet.table2[startGroup][endGroup];
                 
                 cell.classList.add('cell-double');
                 
@@ -2077,43 +3956,51 @@ function populateTable3() {
     const tbody = table.querySelector('tbody');
     tbody.innerHTML = '';
     
-    // Get depths from navyTable3
-    const depths = Object.keys(navyTable3).map(Number).sort((a, b) => a - b);
+    const tableSet = getTableSet();
+    const groups = tableSet.groups;
+    populateGroupHeader(table, groups, 1);
+    
+    // Get depths from Table 3 of the active table set
+    const depths = Object.keys(tableSet.table3).map(Number).sort((a, b) => a - b);
     
     // If in Nitrox mode, we need to calculate equivalent air depths
     if (diveState.isNitroxMode) {
         // Create rows for each depth
         depths.forEach(airDepth => {
             // Calculate the actual depth for this EAD based on Nitrox mix
-            const actualDepth = calculateActualDepthFromEAD(airDepth, diveState.nitroxO2);
-            const roundedActualDepth = Math.round(actualDepth);
+            // The row covers actual depths down to this one; its label is rounded down so that
+            // it maps back onto the same row
+            const actualDepth = feetToDepth(getActualDepthForTableRow(airDepth));
+            const actualDepthLabel = formatTableDepthLabel(getActualDepthForTableRow(airDepth));
             
-            // Check if this depth exceeds MOD (oxygen toxicity limit)
-            const exceedsMOD = roundedActualDepth > diveState.mod;
+            // Check if this depth exceeds the working MOD, and whether it is past the contingency MOD too
+            const exceedsMOD = actualDepth > diveState.mod;
+            const exceedsContingencyMOD = actualDepth > diveState.contingencyMod;
             
-            // Check if this depth is at risk for nitrogen narcosis
-            const narcosisRisk = isNarcosisRisk(roundedActualDepth);
+            // Check the narcosis policy for this depth on the mix
+            const narcosisRisk = isNarcosisRiskOnMix(getActualDepthForTableRow(airDepth));
+            const narcosisWarning = narcosisRisk ? getNarcosisWarning(getActualDepthForTableRow(airDepth)) : '';
             
             // Add a reason for the MOD limit or narcosis risk
-            let modReason = '';
-            if (exceedsMOD) {
-                modReason = `Oxygen toxicity limit (pO₂ 1.4 ATA)`;
-            }
+            const modReason = exceedsMOD ? getMODReason(exceedsContingencyMOD) : '';
             
             const row = document.createElement('tr');
+            row.dataset.depth = airDepth;
             
             // Add classes for styling
             row.classList.add('adjusted-depth');
-            if (exceedsMOD) {
+            if (exceedsContingencyMOD) {
                 row.classList.add('beyond-mod');
+            } else if (exceedsMOD) {
+                row.classList.add('contingency-mod');
             } else if (narcosisRisk) {
                 row.classList.add('narcosis-risk');
             }
             
             // Add depth cell (showing the actual Nitrox depth, not the air depth)
             const depthCell = document.createElement('td');
-            depthCell.textContent = roundedActualDepth;
-            depthCell.title = `Equivalent Air Depth: ${airDepth} ft`;
+            depthCell.textContent = actualDepthLabel;
+            depthCell.title = `Equivalent Air Depth: ${formatDepth(airDepth)}`;
             depthCell.classList.add('clickable');
             
             // If beyond MOD, make cell non-clickable
@@ -2121,21 +4008,21 @@ function populateTable3() {
                 depthCell.classList.add('cell-unavailable');
                 depthCell.title = `Exceeds Maximum Operating Depth: ${modReason}`;
             } else if (narcosisRisk) {
-                // For depths beyond 100ft, add warning but keep clickable
+                // For depths beyond the maximum END, add warning but keep clickable
                 depthCell.classList.add('narcosis-warning');
-                depthCell.title = `Warning: Increased risk of nitrogen narcosis beyond 100ft`;
+                depthCell.title = narcosisWarning;
             }
             
             // Add click event to depth cell
             depthCell.addEventListener('click', function() {
                 if (exceedsMOD) {
-                    alert(`Depth exceeds maximum operating depth of ${Math.floor(diveState.mod)} feet (Oxygen toxicity limit).`);
+                    alert(`Depth exceeds maximum operating depth of ${Math.floor(diveState.mod)} ${getUnitSystem().depth} (Oxygen toxicity limit).`);
                     return;
                 }
                 
                 // For depths with narcosis risk, show a warning but allow the user to proceed
                 if (narcosisRisk) {
-                    if (!confirm(`Warning: Depths beyond 100 feet have an increased risk of nitrogen narcosis. Do you want to proceed?`)) {
+                    if (!confirm(`${narcosisWarning}. Do you want to proceed?`)) {
                         return;
                     }
                 }
@@ -2157,6 +4044,7 @@ function populateTable3() {
                     diveState.selectedAirDepth = airDepth;
                     diveState.selectedDepth = actualDepthClicked;
                     diveState.targetDepth = actualDepthClicked;
+                    diveState.repetitiveDepth = airDepth;
                 } else {
                     // If no pressure group is selected yet, just highlight the row
                     // Clear previous row highlights
@@ -2170,13 +4058,14 @@ function populateTable3() {
                     // Update the selected depth
                     diveState.selectedAirDepth = airDepth;
                     diveState.selectedDepth = actualDepthClicked;
+                    diveState.firstDiveDepth = depthToFeet(actualDepthClicked);
                     
                     // Update the results display with the selected depth
-                    document.getElementById('selected-depth-result').textContent = actualDepthClicked + ' ft';
+                    displaySelectedDepth(actualDepthClicked, airDepth);
                 }
                 
                 // Update the results display with the selected depth
-                document.getElementById('selected-depth-result').textContent = actualDepthClicked + ' ft';
+                displaySelectedDepth(actualDepthClicked, airDepth);
                 
                 // Update the residual nitrogen time and adjusted NDL
                 try {
@@ -2209,18 +4098,19 @@ function populateTable3() {
                     document.getElementById('nodeco-warning').textContent = 'Error calculating residual nitrogen time.';
                     document.getElementById('nodeco-warning').style.display = 'block';
                 }
+                
+                updatePlanHash();
             });
             
             row.appendChild(depthCell);
             
             // Add cells for each pressure group
-            const groups = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K'];
             groups.forEach(group => {
                 const cell = document.createElement('td');
                 
                 // Get RNT and ANDL for this depth and group
-                if (navyTable3[airDepth] && navyTable3[airDepth][group]) {
-                    const [rnt, andl] = navyTable3[airDepth][group];
+                if (tableSet.table3[airDepth][group]) {
+                    const [rnt, andl] = tableSet.table3[airDepth][group];
                     
                     if (rnt === 'N/L' || andl === 0) {
                         cell.textContent = '-';
@@ -2231,11 +4121,11 @@ function populateTable3() {
                         cell.classList.add('cell-unavailable');
                         cell.title = `Exceeds Maximum Operating Depth: ${modReason}`;
                     } else if (narcosisRisk) {
-                        // For depths beyond 100ft, add warning but keep clickable
+                        // For depths beyond the maximum END, add warning but keep clickable
                         cell.classList.add(`group-${group.toLowerCase()}`);
                         cell.classList.add('narcosis-warning');
                         cell.textContent = andl;
-                        cell.title = `Warning: Increased risk of nitrogen narcosis beyond 100ft. Adjusted No-Decompression Limit: ${andl} minutes.`;
+                        cell.title = `${narcosisWarning}. Adjusted No-Decompression Limit: ${andl} minutes.`;
                     } else {
                         cell.classList.add(`group-${group.toLowerCase()}`);
                         cell.textContent = andl;
@@ -2246,7 +4136,7 @@ function populateTable3() {
                         cell.addEventListener('click', function() {
                             // Set the target pressure group
                             diveState.targetPressureGroup = group;
-                            diveState.targetDepth = roundedActualDepth;
+                            diveState.targetDepth = actualDepthLabel;
                             diveState.targetAirDepth = airDepth;
                             
                             // Clear previous cell highlights in Table 3
@@ -2270,6 +4160,8 @@ function populateTable3() {
                                 // Highlight the corresponding cell in Table 2
                                 highlightSurfaceIntervalInTable2(diveState.selectedPressureGroup, diveState.targetPressureGroup);
                             }
+                            
+                            updatePlanHash();
                         });
                     }
                 } else {
@@ -2286,9 +4178,11 @@ function populateTable3() {
         // Create rows for each depth
         depths.forEach(depth => {
             const row = document.createElement('tr');
+            row.dataset.depth = depth;
             
-            // Check if this depth is at risk for nitrogen narcosis
-            const narcosisRisk = isNarcosisRisk(depth);
+            // Check the narcosis policy for this depth
+            const narcosisRisk = isNarcosisRiskOnMix(getActualDepthForTableRow(depth));
+            const narcosisWarning = narcosisRisk ? getNarcosisWarning(getActualDepthForTableRow(depth)) : '';
             
             // Add classes for styling
             if (narcosisRisk) {
@@ -2297,21 +4191,27 @@ function populateTable3() {
             
             // Add depth cell
             const depthCell = document.createElement('td');
-            depthCell.textContent = depth;
+            depthCell.textContent = formatTableDepthLabel(getActualDepthForTableRow(depth));
             depthCell.classList.add('clickable');
             
+            if (isAltitudeDive()) {
+                // At altitude the row shows the actual depth; the table depth is the theoretical ocean depth
+                row.classList.add('altitude-depth');
+                depthCell.title = `Theoretical Ocean Depth: ${formatDepth(depth)}`;
+            }
+            
             if (narcosisRisk) {
                 depthCell.classList.add('narcosis-warning');
-                depthCell.title = `Warning: Increased risk of nitrogen narcosis at 100ft and beyond`;
+                depthCell.title = narcosisWarning;
             }
             
             // Add click event to depth cell
             depthCell.addEventListener('click', function() {
-                const clickedDepth = parseFloat(this.textContent);
+                const clickedDepth = depth;
                 
                 // For depths with narcosis risk, show a warning but allow the user to proceed
                 if (narcosisRisk) {
-                    if (!confirm(`Warning: Depths at 100 feet and beyond have an increased risk of nitrogen narcosis. Do you want to proceed?`)) {
+                    if (!confirm(`${narcosisWarning}. Do you want to proceed?`)) {
                         return;
                     }
                 }
@@ -2329,9 +4229,10 @@ function populateTable3() {
                     // Update the selected depth for the second dive
                     diveState.selectedDepth = clickedDepth;
                     diveState.targetDepth = clickedDepth;
+                    diveState.repetitiveDepth = clickedDepth;
                     
                     // Update the results display with the selected depth
-                    document.getElementById('selected-depth-result').textContent = clickedDepth + ' ft';
+                    displaySelectedDepth(clickedDepth, clickedDepth);
                     
                     // Update the residual nitrogen time and adjusted NDL
                     try {
@@ -2364,18 +4265,19 @@ function populateTable3() {
                         document.getElementById('nodeco-warning').style.display = 'block';
                     }
                 }
+                
+                updatePlanHash();
             });
             
             row.appendChild(depthCell);
             
             // Add cells for each pressure group
-            const groups = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K'];
             groups.forEach(group => {
                 const cell = document.createElement('td');
                 
                 // Get RNT and ANDL for this depth and group
-                if (navyTable3[depth] && navyTable3[depth][group]) {
-                    const [rnt, andl] = navyTable3[depth][group];
+                if (tableSet.table3[depth][group]) {
+                    const [rnt, andl] = tableSet.table3[depth][group];
                     
                     if (rnt === 'N/L' || andl === 0) {
                         cell.textContent = '-';
@@ -2385,7 +4287,7 @@ function populateTable3() {
                         cell.classList.add(`group-${group.toLowerCase()}`);
                         cell.classList.add('narcosis-warning');
                         cell.textContent = andl;
-                        cell.title = `Warning: Increased risk of nitrogen narcosis at 100ft and beyond. Adjusted No-Decompression Limit: ${andl} minutes.`;
+                        cell.title = `${narcosisWarning}. Adjusted No-Decompression Limit: ${andl} minutes.`;
                     } else {
                         cell.classList.add(`group-${group.toLowerCase()}`);
                         cell.textContent = andl;
@@ -2397,6 +4299,7 @@ function populateTable3() {
                             // Set the target pressure group
                             diveState.targetPressureGroup = group;
                             diveState.targetDepth = depth;
+                            diveState.targetAirDepth = depth;
                             
                             // Clear previous cell highlights in Table 3
                             document.querySelectorAll('#table3 td.target-highlighted').forEach(el => {
@@ -2419,6 +4322,8 @@ function populateTable3() {
                                 // Highlight the corresponding cell in Table 2
                                 highlightSurfaceIntervalInTable2(diveState.selectedPressureGroup, diveState.targetPressureGroup);
                             }
+                            
+                            updatePlanHash();
                         });
                     }
                 } else {
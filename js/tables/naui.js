@@ -0,0 +1,141 @@
+// Scuba Diving Calculations - NAUI dive tables
+//
+// NAUI recreational air tables as a table set; pick with setTableSet('naui').
+// Depths in feet, times in minutes. No decompression schedules.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('../calculations.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function (calc) {
+
+    const nauiTableSet = calc.loadTableSet({
+        id: 'naui',
+        name: 'NAUI',
+        source: 'NAUI Dive Tables: no-decompression limits from 40 to 130 ft, with no decompression schedules.',
+        groups: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L'],
+
+        // Table 1: End-of-Dive Letter Group
+        // Format: depth -> [max dive time, {minutes: group}]
+        table1: {
+            40: [130, {5: 'A', 15: 'B', 25: 'C', 30: 'D', 40: 'E', 50: 'F', 70: 'G', 80: 'H', 100: 'I', 110: 'J', 130: 'K'}],
+            50: [80, {10: 'B', 15: 'C', 25: 'D', 30: 'E', 40: 'F', 50: 'G', 60: 'H', 70: 'I', 80: 'J'}],
+            60: [55, {10: 'B', 15: 'C', 20: 'D', 25: 'E', 30: 'F', 40: 'G', 50: 'H', 55: 'I'}],
+            70: [45, {5: 'B', 10: 'C', 15: 'D', 20: 'E', 30: 'F', 35: 'G', 40: 'H', 45: 'I'}],
+            80: [35, {5: 'B', 10: 'C', 15: 'D', 20: 'E', 25: 'F', 30: 'G', 35: 'H'}],
+            90: [25, {5: 'B', 10: 'C', 12: 'D', 15: 'E', 20: 'F', 25: 'G'}],
+            100: [22, {5: 'B', 7: 'C', 10: 'D', 15: 'E', 20: 'F', 22: 'G'}],
+            110: [15, {5: 'C', 10: 'D', 13: 'E', 15: 'F'}],
+            120: [12, {5: 'C', 10: 'D', 12: 'E'}],
+            130: [8, {5: 'C', 8: 'D'}]
+        },
+
+        // Table 2: Surface Interval Time
+        // Format: group -> {new group: [min time, max time]}
+        table2: {
+            'L': {
+                'L': ['0:10', '0:26'], 'K': ['0:27', '0:45'], 'J': ['0:46', '1:04'], 'I': ['1:05', '1:25'],
+                'H': ['1:26', '1:49'], 'G': ['1:50', '2:19'], 'F': ['2:20', '2:53'], 'E': ['2:54', '3:36'],
+                'D': ['3:37', '4:35'], 'C': ['4:36', '6:02'], 'B': ['6:03', '9:12'], 'A': ['9:13', '23:59'],
+                'None': ['24:00', '--']
+            },
+            'K': {
+                'K': ['0:10', '0:28'], 'J': ['0:29', '0:49'], 'I': ['0:50', '1:11'], 'H': ['1:12', '1:35'],
+                'G': ['1:36', '2:03'], 'F': ['2:04', '2:38'], 'E': ['2:39', '3:21'], 'D': ['3:22', '4:19'],
+                'C': ['4:20', '5:48'], 'B': ['5:49', '8:58'], 'A': ['8:59', '23:59'], 'None': ['24:00', '--']
+            },
+            'J': {
+                'J': ['0:10', '0:31'], 'I': ['0:32', '0:54'], 'H': ['0:55', '1:19'], 'G': ['1:20', '1:47'],
+                'F': ['1:48', '2:20'], 'E': ['2:21', '3:04'], 'D': ['3:05', '4:02'], 'C': ['4:03', '5:40'],
+                'B': ['5:41', '8:50'], 'A': ['8:51', '23:59'], 'None': ['24:00', '--']
+            },
+            'I': {
+                'I': ['0:10', '0:33'], 'H': ['0:34', '0:59'], 'G': ['1:00', '1:29'], 'F': ['1:30', '2:02'],
+                'E': ['2:03', '2:44'], 'D': ['2:45', '3:43'], 'C': ['3:44', '5:12'], 'B': ['5:13', '8:21'],
+                'A': ['8:22', '23:59'], 'None': ['24:00', '--']
+            },
+            'H': {
+                'H': ['0:10', '0:36'], 'G': ['0:37', '1:06'], 'F': ['1:07', '1:41'], 'E': ['1:42', '2:23'],
+                'D': ['2:24', '3:20'], 'C': ['3:21', '4:49'], 'B': ['4:50', '7:59'], 'A': ['8:00', '23:59'],
+                'None': ['24:00', '--']
+            },
+            'G': {
+                'G': ['0:10', '0:40'], 'F': ['0:41', '1:15'], 'E': ['1:16', '1:59'], 'D': ['2:00', '2:58'],
+                'C': ['2:59', '4:25'], 'B': ['4:26', '7:35'], 'A': ['7:36', '23:59'], 'None': ['24:00', '--']
+            },
+            'F': {
+                'F': ['0:10', '0:45'], 'E': ['0:46', '1:29'], 'D': ['1:30', '2:28'], 'C': ['2:29', '3:57'],
+                'B': ['3:58', '7:05'], 'A': ['7:06', '23:59'], 'None': ['24:00', '--']
+            },
+            'E': {
+                'E': ['0:10', '0:54'], 'D': ['0:55', '1:57'], 'C': ['1:58', '3:22'], 'B': ['3:23', '6:32'],
+                'A': ['6:33', '23:59'], 'None': ['24:00', '--']
+            },
+            'D': {
+                'D': ['0:10', '1:09'], 'C': ['1:10', '2:38'], 'B': ['2:39', '5:48'], 'A': ['5:49', '23:59'],
+                'None': ['24:00', '--']
+            },
+            'C': {
+                'C': ['0:10', '1:39'], 'B': ['1:40', '4:49'], 'A': ['4:50', '23:59'], 'None': ['24:00', '--']
+            },
+            'B': {
+                'B': ['0:10', '3:20'], 'A': ['3:21', '23:59'], 'None': ['24:00', '--']
+            },
+            'A': {
+                'A': ['0:10', '23:59'], 'None': ['24:00', '--']
+            }
+        },
+
+        // Table 3: Repetitive Dive Timetable
+        // Format: depth -> {group: [residual nitrogen time, adjusted maximum dive time]}
+        // An adjusted time of 0 means no repetitive dive to that depth in that group
+        table3: {
+            40: {
+                'A': [7, 123], 'B': [17, 113], 'C': [25, 105], 'D': [37, 93], 'E': [49, 81], 'F': [61, 69],
+                'G': [73, 57], 'H': [87, 43], 'I': [101, 29], 'J': [116, 14], 'K': [138, 0], 'L': [161, 0]
+            },
+            50: {
+                'A': [6, 74], 'B': [13, 67], 'C': [21, 59], 'D': [29, 51], 'E': [38, 42], 'F': [47, 33],
+                'G': [56, 24], 'H': [66, 14], 'I': [76, 4], 'J': [87, 0], 'K': [99, 0], 'L': [111, 0]
+            },
+            60: {
+                'A': [5, 50], 'B': [11, 44], 'C': [17, 38], 'D': [24, 31], 'E': [30, 25], 'F': [36, 19],
+                'G': [44, 11], 'H': [52, 3], 'I': [61, 0], 'J': [70, 0], 'K': [79, 0], 'L': [88, 0]
+            },
+            70: {
+                'A': [4, 41], 'B': [9, 36], 'C': [15, 30], 'D': [20, 25], 'E': [26, 19], 'F': [31, 14],
+                'G': [37, 8], 'H': [43, 2], 'I': [50, 0], 'J': [57, 0], 'K': [64, 0], 'L': [72, 0]
+            },
+            80: {
+                'A': [4, 31], 'B': [8, 27], 'C': [13, 22], 'D': [18, 17], 'E': [23, 12], 'F': [28, 7],
+                'G': [32, 3], 'H': [38, 0], 'I': [43, 0], 'J': [48, 0], 'K': [54, 0], 'L': [61, 0]
+            },
+            90: {
+                'A': [3, 22], 'B': [7, 18], 'C': [11, 14], 'D': [16, 9], 'E': [20, 5], 'F': [24, 1],
+                'G': [29, 0], 'H': [33, 0], 'I': [38, 0], 'J': [43, 0], 'K': [47, 0], 'L': [53, 0]
+            },
+            100: {
+                'A': [3, 19], 'B': [7, 15], 'C': [10, 12], 'D': [14, 8], 'E': [18, 4], 'F': [22, 0],
+                'G': [26, 0], 'H': [30, 0], 'I': [34, 0], 'J': [38, 0], 'K': [43, 0], 'L': [47, 0]
+            },
+            110: {
+                'A': [3, 12], 'B': [6, 9], 'C': [10, 5], 'D': [13, 2], 'E': [16, 0], 'F': [20, 0],
+                'G': [24, 0], 'H': [27, 0], 'I': [31, 0], 'J': [34, 0], 'K': [38, 0], 'L': [42, 0]
+            },
+            120: {
+                'A': [3, 9], 'B': [6, 6], 'C': [9, 3], 'D': [12, 0], 'E': [15, 0], 'F': [18, 0],
+                'G': [21, 0], 'H': [25, 0], 'I': [28, 0], 'J': [31, 0], 'K': [35, 0], 'L': [39, 0]
+            },
+            130: {
+                'A': [3, 5], 'B': [6, 2], 'C': [8, 0], 'D': [11, 0], 'E': [13, 0], 'F': [16, 0],
+                'G': [19, 0], 'H': [22, 0], 'I': [25, 0], 'J': [28, 0], 'K': [31, 0], 'L': [35, 0]
+            }
+        }
+    });
+
+    return {
+        nauiTableSet
+    };
+});
@@ -0,0 +1,201 @@
+// Scuba Diving Calculations - Dive table integrity checks
+//
+// Checks that Tables 1, 2 and 3 (or the repetitive factors) of a table set agree
+// with each other. Depths in feet, times in minutes.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./calculations.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function (calc) {
+
+    const { getTableSet, parseTimeToMinutes } = calc;
+
+    // Check Table 1: times increase with the groups and stay within the no-deco limit,
+    // which gets shorter with depth; rows down to noLimitDepth have no real limit, so
+    // their limit is only where the row stops
+    function checkTable1(tableSet, addProblem) {
+        const depths = Object.keys(tableSet.table1).map(Number).sort((a, b) => a - b);
+        let previousLimit = null;
+
+        depths.forEach(depth => {
+            const [noDecoLimit, timeGroups] = tableSet.table1[depth];
+            const times = Object.keys(timeGroups).map(Number).sort((a, b) => a - b);
+            const isNoLimitDepth = depth <= tableSet.noLimitDepth;
+            let previousIndex = -1;
+
+            times.forEach(time => {
+                const group = timeGroups[time];
+                const index = tableSet.groups.indexOf(group);
+                if (index <= previousIndex) {
+                    addProblem(1, depth, group, `${time} minutes gives group ${group}, which is not after group ${tableSet.groups[previousIndex]} at a shorter time.`);
+                }
+                previousIndex = Math.max(previousIndex, index);
+
+                if (!isNoLimitDepth && time > noDecoLimit) {
+                    addProblem(1, depth, group, `${time} minutes is past the no-decompression limit of ${noDecoLimit} minutes.`);
+                }
+            });
+
+            if (isNoLimitDepth) {
+                return;
+            }
+            if (previousLimit !== null && noDecoLimit > previousLimit) {
+                addProblem(1, depth, null, `The no-decompression limit of ${noDecoLimit} minutes is longer than the ${previousLimit} minutes at a shallower depth.`);
+            }
+            previousLimit = noDecoLimit;
+        });
+    }
+
+    // Format a Table 2 range for a problem message
+    function formatRange(range) {
+        return range.max === Infinity ? `from ${range.minTime}` : `${range.minTime}-${range.maxTime}`;
+    }
+
+    // Groups that Table 1 gives at the end of a dive
+    function getTable1Groups(tableSet) {
+        const table1Groups = new Set();
+        Object.values(tableSet.table1).forEach(([, timeGroups]) => {
+            Object.values(timeGroups).forEach(group => table1Groups.add(group));
+        });
+        return table1Groups;
+    }
+
+    // Put surface interval ranges in order, shortest first; label names a range in messages
+    function sortRanges(entries) {
+        return entries
+            .map(([label, minTime, maxTime]) => ({
+                label: label,
+                minTime: minTime,
+                maxTime: maxTime,
+                min: parseTimeToMinutes(minTime),
+                max: maxTime === '--' ? Infinity : parseTimeToMinutes(maxTime)
+            }))
+            .sort((a, b) => a.min - b.min);
+    }
+
+    // Check that sorted ranges each start the minute after the previous one ends
+    function checkRangesFollowOn(ranges, startGroup, addProblem) {
+        ranges.forEach((range, i) => {
+            if (range.max < range.min) {
+                addProblem(2, null, startGroup, `The range to ${range.label} ends (${range.maxTime}) before it starts (${range.minTime}).`);
+            }
+            if (range.max === Infinity && i < ranges.length - 1) {
+                addProblem(2, null, startGroup, `The range to ${range.label} has no end but is followed by ${ranges[i + 1].label}.`);
+            }
+
+            if (i === 0) return;
+            const previous = ranges[i - 1];
+            if (range.min <= previous.max) {
+                addProblem(2, null, startGroup, `The ranges to ${previous.label} (${formatRange(previous)}) and ${range.label} (${formatRange(range)}) overlap.`);
+            } else if (range.min > previous.max + 1) {
+                addProblem(2, null, startGroup, `There is a gap between ${previous.maxTime} (${previous.label}) and ${range.minTime} (${range.label}).`);
+            }
+        });
+    }
+
+    // Check Table 2: for each starting group the ranges run from the shortest interval
+    // to the lower groups, each starting the minute after the previous one ends
+    function checkTable2(tableSet, addProblem) {
+        getTable1Groups(tableSet).forEach(group => {
+            if (!tableSet.table2[group]) {
+                addProblem(2, null, group, `Table 1 gives group ${group}, which has no surface intervals.`);
+            }
+        });
+
+        Object.entries(tableSet.table2).forEach(([startGroup, intervals]) => {
+            const ranges = sortRanges(Object.entries(intervals).map(([group, [minTime, maxTime]]) => [group, minTime, maxTime]));
+            checkRangesFollowOn(ranges, startGroup, addProblem);
+
+            ranges.forEach((range, i) => {
+                if (i === 0) return;
+                const previous = ranges[i - 1];
+
+                // Longer intervals can only lead to lower groups, and 'None' comes last
+                const previousIndex = previous.label === 'None' ? -1 : tableSet.groups.indexOf(previous.label);
+                const index = range.label === 'None' ? -1 : tableSet.groups.indexOf(range.label);
+                if (previous.label === 'None' || index >= previousIndex) {
+                    addProblem(2, null, startGroup, `A longer interval leads to ${range.label} after ${previous.label}.`);
+                }
+            });
+        });
+    }
+
+    // Check the repetitive factors: for each group the ranges follow on from each other
+    // and a longer interval never gives a larger factor
+    function checkRepetitiveFactors(tableSet, addProblem) {
+        getTable1Groups(tableSet).forEach(group => {
+            if (!tableSet.repetitiveFactors[group]) {
+                addProblem(2, null, group, `Table 1 gives group ${group}, which has no repetitive factors.`);
+            }
+        });
+
+        Object.entries(tableSet.repetitiveFactors).forEach(([startGroup, factorRanges]) => {
+            const ranges = sortRanges(factorRanges.map(([minTime, maxTime, factor]) => [`factor ${factor}`, minTime, maxTime]));
+            checkRangesFollowOn(ranges, startGroup, addProblem);
+
+            const factors = factorRanges.slice()
+                .sort(([a], [b]) => parseTimeToMinutes(a) - parseTimeToMinutes(b))
+                .map(([, , factor]) => factor);
+            factors.forEach((factor, i) => {
+                if (i > 0 && factor > factors[i - 1]) {
+                    addProblem(2, null, startGroup, `A longer interval gives a repetitive factor of ${factor} after ${factors[i - 1]}.`);
+                }
+            });
+        });
+    }
+
+    // Check Table 3: RNT + ANDL is the Table 1 limit wherever a repetitive dive is allowed
+    // Table 3 may skip depths that Table 1 has, as the Navy one does; repetitive dives to
+    // them use the next deeper row
+    function checkTable3(tableSet, addProblem) {
+        const table3Depths = Object.keys(tableSet.table3).map(Number);
+        Object.keys(tableSet.table1).map(Number).sort((a, b) => a - b).forEach(depth => {
+            if (!table3Depths.some(table3Depth => table3Depth >= depth)) {
+                addProblem(3, depth, null, 'Table 1 has this depth but Table 3 has no row for it or deeper, so repetitive dives to it can\'t be looked up.');
+            }
+        });
+
+        Object.keys(tableSet.table3).map(Number).sort((a, b) => a - b).forEach(depth => {
+            if (!tableSet.table1[depth]) {
+                addProblem(3, depth, null, 'Table 3 has this depth but Table 1 has no row for it.');
+                return;
+            }
+
+            const noDecoLimit = tableSet.table1[depth][0];
+            Object.entries(tableSet.table3[depth]).forEach(([group, [rnt, andl]]) => {
+                if (typeof rnt !== 'number' || typeof andl !== 'number' || andl === 0) {
+                    return;
+                }
+                if (rnt + andl !== noDecoLimit) {
+                    addProblem(3, depth, group, `RNT ${rnt} + ANDL ${andl} = ${rnt + andl} minutes, but the Table 1 limit is ${noDecoLimit} minutes.`);
+                }
+            });
+        });
+    }
+
+    // Check the tables of a table set (the active one by default)
+    // Returns a list of problems: [{ table, depth, group, message }], empty when the tables agree
+    function validateTableSet(tableSet = getTableSet()) {
+        const problems = [];
+        const addProblem = (table, depth, group, message) => {
+            problems.push({ table: table, depth: depth, group: group, message: message });
+        };
+
+        checkTable1(tableSet, addProblem);
+        if (tableSet.repetitiveFactors) {
+            checkRepetitiveFactors(tableSet, addProblem);
+        } else {
+            checkTable2(tableSet, addProblem);
+            checkTable3(tableSet, addProblem);
+        }
+
+        return problems;
+    }
+
+    return {
+        validateTableSet
+    };
+});